@@ -0,0 +1,147 @@
+// Track firing/resolved state of each alert type between monitoring cycles
+function createAlertTracker() {
+  // key -> { firing, severity, maxSeverity, pendingSince, startedAt, peak, lastValue, notified }
+  const states = {};
+
+  // Evaluate one sample against its rule and move the alert between states
+  // rule: { warning, critical, clearThreshold, forSeconds }
+  // Returns { status: 'ok' | 'pending' | 'fired' | 'firing' | 'escalated' | 'resolved', severity?, resolution? }
+  function evaluate(key, value, rule) {
+    const now = Date.now();
+    const state = states[key] || { firing: false, pendingSince: null };
+    states[key] = state;
+
+    if (state.firing) {
+      // Hysteresis: stay firing until the value drops below the clear threshold
+      const clearThreshold = rule.clearThreshold !== null && rule.clearThreshold !== undefined
+        ? rule.clearThreshold
+        : rule.warning;
+
+      if (value < clearThreshold) {
+        return { status: 'resolved', resolution: resolve(key, value) };
+      }
+
+      state.lastValue = value;
+      if (value > state.peak) {
+        state.peak = value;
+      }
+
+      const severity = severityOf(value, rule);
+      // Escalate once per firing period: a value flapping around the critical level must not
+      // send a new critical alert (past the cooldown) every time it crosses back up
+      const escalated = severity === 'critical' && state.maxSeverity !== 'critical';
+      state.severity = severity;
+      if (escalated) {
+        state.maxSeverity = 'critical';
+      }
+      return { status: escalated ? 'escalated' : 'firing', severity };
+    }
+
+    if (value < rule.warning) {
+      // A short spike that did not last long enough is forgotten
+      state.pendingSince = null;
+      return { status: 'ok' };
+    }
+
+    if (state.pendingSince === null) {
+      state.pendingSince = now;
+      state.pendingPeak = value;
+    } else if (value > state.pendingPeak) {
+      state.pendingPeak = value;
+    }
+
+    if ((now - state.pendingSince) / 1000 < (rule.forSeconds || 0)) {
+      return { status: 'pending' };
+    }
+
+    // Condition held long enough: the alert starts when the condition was first seen
+    const severity = severityOf(value, rule);
+    states[key] = {
+      firing: true,
+      severity,
+      maxSeverity: severity,
+      pendingSince: null,
+      startedAt: state.pendingSince,
+      peak: state.pendingPeak,
+      lastValue: value,
+      notified: false
+    };
+    return { status: 'fired', severity };
+  }
+
+  function severityOf(value, rule) {
+    return rule.critical !== null && rule.critical !== undefined && value >= rule.critical
+      ? 'critical'
+      : 'warning';
+  }
+
+  // Remember that a notification went out for the current firing period
+  function markNotified(key) {
+    if (states[key] && states[key].firing) {
+      states[key].notified = true;
+    }
+  }
+
+  // Finish the current firing period and return its summary
+  // The key is forgotten: per-pid keys (Leak:node:812) would otherwise pile up as processes come and go
+  function resolve(key, value) {
+    const state = states[key];
+    const resolvedAt = Date.now();
+    delete states[key];
+
+    return {
+      startedAt: state.startedAt,
+      resolvedAt,
+      durationSeconds: Math.round((resolvedAt - state.startedAt) / 1000),
+      peak: state.peak,
+      maxSeverity: state.maxSeverity,
+      lastValue: value,
+      notified: state.notified
+    };
+  }
+
+  // Forget every key not in checked (a Set of the alert types evaluated this cycle): a mount that was
+  // unmounted or a rule whose variable went missing produces no check, so evaluate() never resolves it.
+  // Returns [{ key, resolution }] for the ones that were firing
+  function resolveMissing(checked) {
+    const resolved = [];
+    Object.keys(states)
+      .filter(key => !checked.has(key))
+      .forEach(key => {
+        if (states[key].firing) {
+          resolved.push({ key, resolution: resolve(key, states[key].lastValue) });
+        }
+        delete states[key];
+      });
+    return resolved;
+  }
+
+  function isFiring(key) {
+    return Boolean(states[key] && states[key].firing);
+  }
+
+  // Snapshot of all firing alerts, e.g. for status endpoints
+  function getFiring() {
+    return Object.keys(states)
+      .filter(key => states[key].firing)
+      .map(key => ({
+        type: key,
+        severity: states[key].severity,
+        since: new Date(states[key].startedAt).toISOString(),
+        peak: states[key].peak,
+        lastValue: states[key].lastValue
+      }));
+  }
+
+  return {
+    evaluate,
+    markNotified,
+    resolveMissing,
+    isFiring,
+    getFiring
+  };
+}
+
+module.exports = {
+  createAlertTracker
+};
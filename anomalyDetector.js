@@ -0,0 +1,128 @@
+const config = require('config');
+const { METRIC_COLUMNS } = require('./storageAdapter');
+const { parseDuration, toDbTimestamp } = require('./timeUtils');
+
+// History is read as 5 minute averages (served from the metrics_5m rollup when it exists)
+const BUCKET_SECONDS = 300;
+
+// Smallest spread a baseline may have, in the metric's own unit; a metric that never moved
+// (swap at 0%) would otherwise turn the first small change into a huge deviation
+const MIN_STDDEV = {
+  ram: 2,
+  cpu: 5,
+  disk: 1,
+  swap: 2,
+  load: 10,
+  network_rx: 1,
+  network_tx: 1
+};
+
+function durationSetting(key) {
+  const seconds = parseDuration(config.get(key));
+  if (!seconds) {
+    throw new Error(`Invalid ${key}: ${config.get(key)}`);
+  }
+  return seconds;
+}
+
+// Metrics listed in anomaly.metrics; throws on names queryMetrics does not know
+function getAnomalyMetrics() {
+  const metrics = config.get('anomaly.metrics');
+  const unknown = metrics.filter(name => !METRIC_COLUMNS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown anomaly.metrics: ${unknown.join(', ')}. Available: ${Object.keys(METRIC_COLUMNS).join(', ')}`);
+  }
+  return metrics;
+}
+
+function meanStddev(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return { mean, stddev: Math.sqrt(variance), samples: values.length };
+}
+
+// Group 5 minute averages by hour of day (server time) and describe each hour by mean and stddev
+function hourlyBaseline(buckets, metrics) {
+  const baseline = {};
+  metrics.forEach(name => {
+    const hours = Array.from({ length: 24 }, () => []);
+    buckets.forEach(bucket => {
+      hours[new Date(bucket.timestamp).getHours()].push(bucket[name].avg);
+    });
+    baseline[name] = hours.map(values => (values.length > 0 ? meanStddev(values) : null));
+  });
+  return baseline;
+}
+
+// Usual range of every metric in anomaly.metrics by hour of day, learned from stored history per host
+// and recomputed every anomaly.refresh
+function createBaselines(db, logger) {
+  const metrics = getAnomalyMetrics();
+  const historySeconds = durationSetting('anomaly.history');
+  const refreshSeconds = durationSetting('anomaly.refresh');
+  const minSamples = config.get('anomaly.minSamples');
+
+  // hostname -> { computedAt, baseline: { metric: [24 x { mean, stddev, samples } | null] } }
+  const hosts = new Map();
+
+  async function compute(hostname) {
+    const to = new Date();
+    const from = new Date(to.getTime() - historySeconds * 1000);
+    const buckets = await db.queryMetrics({
+      from: toDbTimestamp(from),
+      to: toDbTimestamp(to),
+      hostname,
+      metrics,
+      bucketSeconds: BUCKET_SECONDS
+    });
+
+    logger.debug(`Baseline for ${hostname} computed from ${buckets.length} bucket(s)`);
+    return hourlyBaseline(buckets, metrics);
+  }
+
+  // Load the baseline of a host if it is missing or older than anomaly.refresh
+  // A failed refresh keeps the previous baseline and is retried after anomaly.refresh
+  async function prepare(hostname) {
+    const cached = hosts.get(hostname);
+    if (cached && Date.now() - cached.computedAt < refreshSeconds * 1000) {
+      return;
+    }
+
+    try {
+      hosts.set(hostname, { computedAt: Date.now(), baseline: await compute(hostname) });
+    } catch (error) {
+      logger.error(`Failed to compute baseline for ${hostname}: ${error.message}`);
+      hosts.set(hostname, { computedAt: Date.now(), baseline: cached ? cached.baseline : {} });
+    }
+  }
+
+  // { mean, stddev, samples, hour } expected for the metric at the given time,
+  // null while there is not enough history for that hour
+  function expected(hostname, metric, date = new Date()) {
+    const cached = hosts.get(hostname);
+    const hour = date.getHours();
+    const stats = cached && cached.baseline[metric] ? cached.baseline[metric][hour] : null;
+    if (!stats || stats.samples < minSamples) {
+      return null;
+    }
+
+    const minStddev = config.has(`anomaly.perMetric.${metric}.minStddev`)
+      ? config.get(`anomaly.perMetric.${metric}.minStddev`)
+      : MIN_STDDEV[metric];
+    return { ...stats, stddev: Math.max(stats.stddev, minStddev), hour };
+  }
+
+  logger.info(`Anomaly detection enabled for ${metrics.join(', ')} (history: ${config.get('anomaly.history')})`);
+
+  return {
+    metrics,
+    prepare,
+    expected
+  };
+}
+
+module.exports = {
+  createBaselines,
+  getAnomalyMetrics,
+  hourlyBaseline
+};
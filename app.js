@@ -1,3 +1,18 @@
+// Config sections are swapped in place by a reload (SIGHUP, POST /api/config/reload),
+// which the config module only allows when this is set before the config is first read
+process.env.ALLOW_CONFIG_MUTATIONS = 'true';
+
+// Secrets come from the environment, a .env file in the working directory or NAME_FILE paths
+// (see secrets.js); all of them have to be in place before the config is first read
+require('dotenv').config();
+const { loadSecretFiles, secretsInConfigFiles, secretValues, createRedactor } = require('./secrets');
+try {
+  loadSecretFiles();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
 const express = require('express');
 const config = require('config');
 const winston = require('winston');
@@ -6,13 +21,43 @@ const path = require('path');
 const si = require('systeminformation');
 const os = require('os');
 const { exec } = require('child_process');
-const TelegramBot = require('node-telegram-bot-api');
 const cron = require('node-cron');
 
 // Import modules
-const { setupDatabase } = require('./database');
+const { setupDatabase, METRIC_COLUMNS } = require('./database');
+const { setupRetention } = require('./retention');
+const { createWriteBuffer } = require('./writeBuffer');
 const { setupPrometheus } = require('./prometheus');
-const { formatAlert } = require('./alertFormatter');
+const { formatAlert, formatTestMessage, formatResolved } = require('./alertFormatter');
+const { createAlertTracker } = require('./alertState');
+const { setupNotifiers } = require('./notifier');
+const { setupTelegramCommands } = require('./telegramCommands');
+const { parseTimestamp, formatDuration, parseDuration, toDbTimestamp, parseTimeParam } = require('./timeUtils');
+const { getMountUsage, getPrimaryMount } = require('./diskMonitor');
+const { createNetworkSampler } = require('./networkMonitor');
+const { createProcessWatcher, BYTES_PER_MB } = require('./processMonitor');
+const { createLeakDetector } = require('./leakDetector');
+const { createBaselines } = require('./anomalyDetector');
+const { createDiskForecaster } = require('./diskForecast');
+const { getFleetMode, isAuthorized, createFleetAgent, createHostRegistry, validateSample } = require('./fleet');
+const { createEventStream } = require('./eventStream');
+const { createSilences } = require('./silences');
+const { createRuleSet, thresholdRule, applyRuleOverrides } = require('./rules');
+const { validateConfig } = require('./configSchema');
+const { createConfigReloader } = require('./configReload');
+
+// Every log line, from the logger or console, has the current secrets masked
+const redactor = createRedactor(() => secretValues(config));
+redactor.patchConsole();
+
+// Check the whole config before anything uses it, naming every bad key at once
+const configProblems = validateConfig(config.util.toObject(config));
+configProblems.warnings.forEach(warning => console.warn(`Config: ${warning}`));
+if (configProblems.errors.length > 0) {
+  console.error('Invalid configuration:');
+  configProblems.errors.forEach(error => console.error(`  ${error}`));
+  process.exit(1);
+}
 
 // Create logs directory if it doesn't exist
 const logDir = path.dirname(config.get('monitoring.logFile'));
@@ -24,6 +69,10 @@ if (!fs.existsSync(logDir)) {
 const logger = winston.createLogger({
   level: config.get('monitoring.logLevel'),
   format: winston.format.combine(
+    winston.format(info => {
+      info.message = redactor.redact(info.message);
+      return info;
+    })(),
     winston.format.timestamp(),
     winston.format.printf(({ level, message, timestamp }) => {
       return `${timestamp} [${level.toUpperCase()}]: ${message}`;
@@ -35,31 +84,27 @@ const logger = winston.createLogger({
   ]
 });
 
+// Secrets left in config files end up in version control and backups
+secretsInConfigFiles(config.util.getConfigSources()).forEach(warning => logger.warn(warning));
+
 // Initialize Express app
 const app = express();
 const port = 3000;
 
-// Initialize Telegram bot
-const botToken = config.get('telegram.botToken');
-const chatId = config.get('telegram.chatId');
-const bot = new TelegramBot(botToken, { polling: false });
+// Initialize notification channels (Telegram, webhook, Slack, email)
+const notifier = setupNotifiers(logger);
 
-// Initialize database if enabled
+// Database interface, initialized in startServer() if enabled
 let db = null;
-if (config.get('database.enabled')) {
-  db = setupDatabase();
-}
 
-// Initialize Prometheus if enabled
+// Metric and alert writes go through the write buffer when it is enabled, otherwise straight to db
+let writeBuffer = null;
+let writer = null;
+
+// Initialize Prometheus if enabled; the exporter listens on prometheus.port, started in startServer()
 let prometheus = null;
 if (config.get('prometheus.enabled')) {
   prometheus = setupPrometheus();
-  
-  // Setup Prometheus endpoint
-  app.get('/metrics', async (req, res) => {
-    res.set('Content-Type', prometheus.register.contentType);
-    res.end(await prometheus.register.metrics());
-  });
 }
 
 // Store last alert times to prevent alert flooding
@@ -72,6 +117,267 @@ const lastAlertTimes = {
   network: 0
 };
 
+// When a silenced alert was last recorded, so it is recorded as often as it would have been sent
+const lastSuppressedTimes = {};
+
+// Silences from the REST API and recurring maintenance windows (silences.*)
+const silences = createSilences(logger);
+
+// Firing/resolved state of each alert type
+const alertTracker = createAlertTracker();
+
+// standalone: monitor this host only; agent: push metrics to a collector;
+// collector: also accept metrics from agents and evaluate alerts for every host
+const fleetMode = getFleetMode();
+const fleetAgent = fleetMode === 'agent' ? createFleetAgent(logger) : null;
+const hostRegistry = fleetMode === 'collector' ? createHostRegistry() : null;
+
+// Alert context of this host; reporting agents get their own (see POST /api/ingest)
+const localHost = { tracker: alertTracker, systemInfo: null, local: true };
+
+// Network counters from the previous cycle, used to compute throughput
+const networkSampler = createNetworkSampler();
+
+// Watched processes and systemd units (processes.watch / processes.units)
+const processWatcher = config.get('processes.monitor') ? createProcessWatcher(logger) : null;
+
+// Per-process RSS growth across cycles (leaks.*)
+const leakDetector = config.get('leaks.monitor') ? createLeakDetector() : null;
+
+// Usual range per metric and hour of day, learned from the database (anomaly.*)
+let baselines = null;
+
+// Per-mount usage trends from the database, projected to a fill date (disk.forecast.*)
+let diskForecaster = null;
+
+// Metrics and system info of the latest monitoring cycle, served by GET /api/current
+let lastSample = null;
+
+// Live samples and alert events for GET /api/stream
+const eventStream = createEventStream(logger);
+
+// Alert rules: the built-in threshold checks plus expressions from the "rules" config, validated at startup
+// and rebuilt by a config reload
+let ruleSet = createRuleSet();
+
+// Monitoring cycle schedule, replaced when a reload changes monitoring.checkInterval
+let monitoringTask = null;
+let scheduledInterval = null;
+
+// Reload thresholds, intervals, channels, rules and alert format without a restart
+const configReloader = createConfigReloader(logger, {
+  // A rule that does not compile rejects the whole reload
+  prepare: settings => createRuleSet(settings.rules),
+  apply: (changed, newRuleSet) => {
+    ruleSet = newRuleSet;
+    logger.level = config.get('monitoring.logLevel');
+    if (changed.includes('telegram') || changed.includes('notifications')) {
+      notifier.reload();
+    }
+    if (changed.includes('disk')) {
+      checkDiskPath();
+    }
+    if (monitoringTask && config.get('monitoring.checkInterval') !== scheduledInterval) {
+      scheduleMonitoring();
+      logger.info(`Monitoring interval changed to ${scheduledInterval} seconds`);
+    }
+  }
+});
+
+// Checks evaluated on every monitoring cycle
+// value() returns the number compared to the rule, format() the text shown in alerts
+const alertChecks = [
+  {
+    type: 'Rules',
+    enabled: () => true,
+    // Built-in threshold checks and the rules from config, see rules.js
+    expand: (metrics, hostname) => ruleSet.checks(metrics, hostname)
+  },
+  {
+    type: 'Process',
+    // Samples carry the limits of the host that watched them, so agents are checked with their own config
+    enabled: () => true,
+    expand: metrics => processChecks(metrics.processes || [])
+  },
+  {
+    type: 'Leak',
+    // Same as processes: the host that sampled the processes decided what counts as a leak
+    enabled: () => true,
+    expand: metrics => leakChecks(metrics.leaks || [])
+  },
+  {
+    type: 'Anomaly',
+    enabled: () => baselines !== null,
+    // One check per metric in anomaly.metrics, against the baseline of the host the metrics came from
+    expand: (metrics, hostname) => anomalyChecks(metrics, hostname)
+  },
+  {
+    type: 'DiskForecast',
+    enabled: () => diskForecaster !== null,
+    // One check per mount with enough stored history, against the trend of the host the metrics came from
+    expand: (metrics, hostname) => diskForecastChecks(diskForecaster.forecast(hostname, metrics.disks))
+  }
+];
+
+// Metrics that can be checked against a baseline: sample value, upper bound and how to show it
+const anomalyMetrics = {
+  ram: { label: 'RAM', value: metrics => metrics.ram, max: 100, format: value => `${Math.round(value)}%` },
+  cpu: { label: 'CPU', value: metrics => metrics.cpu, max: 100, format: value => `${Math.round(value)}%` },
+  disk: { label: 'Disk', value: metrics => metrics.disk, max: 100, format: value => `${Math.round(value)}%` },
+  swap: { label: 'Swap', value: metrics => metrics.swap, max: 100, format: value => `${Math.round(value)}%` },
+  load: { label: 'Load', value: metrics => metrics.load, format: value => `${(value / 100).toFixed(2)} per core` },
+  network_rx: { label: 'Network RX', value: metrics => (metrics.network || [])[0], format: value => `${value.toFixed(2)} Mbps` },
+  network_tx: { label: 'Network TX', value: metrics => (metrics.network || [])[1], format: value => `${value.toFixed(2)} Mbps` }
+};
+
+// Build liveness and RSS/CPU limit checks for every watched process and unit
+function processChecks(processes) {
+  const checks = [];
+  
+  processes.forEach(item => {
+    const limit = (warning, critical) => ({ warning, critical, clearThreshold: null, forSeconds: item.limits.forSeconds });
+    
+    // A missing process is always critical
+    checks.push({
+      type: `Process:${item.name}`,
+      value: () => (item.running ? 0 : 1),
+      rule: () => limit(1, 1),
+      format: value => (value ? 'not running' : 'running'),
+      logMessage: () => `${item.name} is not running (${item.state})`,
+      alertValue: () => (item.running ? 'running' : `not running (${item.state})`)
+    });
+    
+    if (!item.running) {
+      return;
+    }
+    
+    if (item.limits.maxRssMb) {
+      const rssMb = Math.round(item.rssBytes / BYTES_PER_MB);
+      checks.push({
+        type: `ProcessRSS:${item.name}`,
+        value: () => rssMb,
+        rule: () => limit(item.limits.maxRssMb, null),
+        format: value => `${value} MB`,
+        logMessage: () => `${item.name} uses ${rssMb} MB RSS (limit ${item.limits.maxRssMb} MB)`
+      });
+    }
+    
+    if (item.limits.maxCpu) {
+      checks.push({
+        type: `ProcessCPU:${item.name}`,
+        value: () => item.cpu,
+        rule: () => limit(item.limits.maxCpu, null),
+        format: value => `${value}%`,
+        logMessage: () => `${item.name} uses ${item.cpu}% CPU (limit ${item.limits.maxCpu}%)`
+      });
+    }
+  });
+  
+  return checks;
+}
+
+// One check per process whose memory keeps growing; a process that stopped growing or exited
+// is reported once more with leaking: false so its alert resolves
+function leakChecks(leaks) {
+  return leaks.map(item => {
+    const rss = item.rssBytes !== null ? `${Math.round(item.rssBytes / BYTES_PER_MB)} MB` : 'exited';
+    const growth = `+${(item.growthBytesPerHour / BYTES_PER_MB).toFixed(1)} MB/h`;
+    const exhaustion = item.exhaustionSeconds !== null ? `, memory full in ~${formatDuration(item.exhaustionSeconds)}` : '';
+    
+    return {
+      type: `Leak:${item.name}:${item.pid}`,
+      value: () => (item.leaking ? (item.critical ? 2 : 1) : 0),
+      rule: () => ({ warning: 1, critical: 2, clearThreshold: null, forSeconds: 0 }),
+      format: value => (value ? 'growing' : 'stable'),
+      logMessage: () => `Possible memory leak in ${item.name} (pid ${item.pid}): ${growth} over ${formatDuration(item.windowSeconds)}, RSS ${rss}${exhaustion}`,
+      alertValue: () => (item.leaking
+        ? `pid ${item.pid}, ${growth} over ${formatDuration(item.windowSeconds)}, RSS ${rss}${exhaustion}`
+        : `pid ${item.pid}, ${item.rssBytes !== null ? `stopped growing at ${rss}` : 'exited'}`)
+    };
+  });
+}
+
+// Compare each metric in anomaly.metrics with its usual value at this hour of day
+// The checked value is the distance from the mean in standard deviations; warning/critical are set in sigmas
+function anomalyChecks(metrics, hostname) {
+  const checks = [];
+  
+  baselines.metrics.forEach(name => {
+    const metric = anomalyMetrics[name];
+    const observed = metric.value(metrics);
+    const expected = baselines.expected(hostname, name);
+    // Nothing to compare with until enough history for this hour is stored
+    if (observed === undefined || observed === null || !expected) {
+      return;
+    }
+    
+    const rule = applyRuleOverrides(thresholdRule('anomaly'), config.has(`anomaly.perMetric.${name}`) ? config.get(`anomaly.perMetric.${name}`) : {});
+    const deviation = Math.abs(observed - expected.mean) / expected.stddev;
+    const low = Math.max(0, expected.mean - rule.warning * expected.stddev);
+    const high = Math.min(metric.max || Infinity, expected.mean + rule.warning * expected.stddev);
+    const range = `${metric.format(low)} - ${metric.format(high)}`;
+    const direction = observed > expected.mean ? 'above' : 'below';
+    
+    checks.push({
+      type: `Anomaly:${name}`,
+      value: () => deviation,
+      rule: () => rule,
+      format: value => `${value.toFixed(1)}σ`,
+      logMessage: () => `${metric.label} ${metric.format(observed)} is ${direction} its usual range ${range} at ${expected.hour}:00 (${deviation.toFixed(1)}σ)`,
+      alertValue: () => `${metric.format(observed)} (expected ${range}, ${deviation.toFixed(1)}σ ${direction} normal)`
+    });
+  });
+  
+  return checks;
+}
+
+// Warn when a mount is projected to fill up within disk.forecast.horizon, critical within criticalHorizon
+function diskForecastChecks(forecasts) {
+  return forecasts.map(item => {
+    const growth = `${formatGrowth(item.growthBytesPerDay)} (${item.growthPercentPerDay >= 0 ? '+' : ''}${item.growthPercentPerDay}%/day)`;
+    const fill = item.fullAt !== null
+      ? `full around ${item.fullAt.slice(0, 16).replace('T', ' ')} UTC (in ~${formatDuration(item.secondsToFull)})`
+      : 'not growing';
+    
+    return {
+      type: `DiskFull:${item.mount}`,
+      value: () => ({ critical: 2, warning: 1 }[item.severity] || 0),
+      rule: () => ({ warning: 1, critical: 2, clearThreshold: null, forSeconds: 0 }),
+      format: value => (value ? 'filling up' : 'ok'),
+      logMessage: () => `Disk ${item.mount} (${item.usage}%) is filling up: ${fill}, growing ${growth}`,
+      alertValue: () => `${item.usage}%, ${fill}, growing ${growth}`
+    };
+  });
+}
+
+// Raised on the collector when an agent has not reported for fleet.collector.staleAfter
+function heartbeatCheck(host) {
+  return {
+    type: 'Heartbeat',
+    value: () => hostRegistry.secondsSinceLastSeen(host),
+    rule: () => ({ warning: hostRegistry.staleSeconds, critical: null, clearThreshold: null, forSeconds: 0 }),
+    format: value => `no data for ${formatDuration(value)}`,
+    logMessage: () => `Host stopped reporting, last sample ${formatDuration(hostRegistry.secondsSinceLastSeen(host))} ago`
+  };
+}
+
+function formatNetwork([rxRate, txRate]) {
+  return `RX: ${rxRate.toFixed(2)} Mbps, TX: ${txRate.toFixed(2)} Mbps`;
+}
+
+// Warn when disk.path is not a monitored mount; alerts and summaries then show the fallback mount
+// Checked at startup and when a config reload changes the disk section, not on every cycle
+async function checkDiskPath() {
+  try {
+    const { mount, fallback } = getPrimaryMount(await getMountUsage());
+    if (fallback) {
+      logger.warn(`Mount ${config.get('disk.path')} is not monitored, showing ${mount ? mount.mount : 'no disk'} instead`);
+    }
+  } catch (error) {
+    logger.error(`Error checking disk.path: ${error.message}`);
+  }
+}
+
 // Get system information
 async function getSystemInfo() {
   try {
@@ -116,12 +422,10 @@ async function getSystemInfo() {
     const cpuLoad = await si.currentLoad();
     const cpuUsage = Math.round(cpuLoad.currentLoad);
     
-    // Get disk info
-    const diskPath = config.get('disk.path');
-    const fsSize = await si.fsSize();
-    let diskInfo = fsSize.find(fs => fs.mount === diskPath) || fsSize[0];
-    const totalDiskGB = (diskInfo.size / (1024 ** 3)).toFixed(1);
-    const diskUsage = Math.round(diskInfo.use);
+    // Get disk info for the primary mount (disk.path, see checkDiskPath)
+    const { mount: diskInfo } = getPrimaryMount(await getMountUsage());
+    const totalDiskGB = diskInfo ? (diskInfo.sizeBytes / (1024 ** 3)).toFixed(1) : '0.0';
+    const diskUsage = diskInfo ? diskInfo.usage : 0;
     
     return {
       hostname,
@@ -205,6 +509,25 @@ async function getTopProcesses(resourceType, count = 3) {
   }
 }
 
+// Time one collector of the monitoring cycle for system_collection_duration_seconds
+async function timeCollector(collector, collect) {
+  const stopTimer = prometheus ? prometheus.collectionDuration.startTimer({ collector }) : null;
+  try {
+    return await collect();
+  } finally {
+    if (stopTimer) {
+      stopTimer();
+    }
+  }
+}
+
+// Count a failed collector run in system_collector_errors_total
+function countCollectorError(collector) {
+  if (prometheus) {
+    prometheus.collectorErrors.inc({ collector });
+  }
+}
+
 // Check RAM usage
 async function checkRamUsage() {
   try {
@@ -212,6 +535,7 @@ async function checkRamUsage() {
     return Math.round((memInfo.used / memInfo.total) * 100);
   } catch (error) {
     logger.error(`Error checking RAM usage: ${error.message}`);
+    countCollectorError('ram');
     return 0;
   }
 }
@@ -227,27 +551,32 @@ async function checkCpuUsage() {
     return Math.round(cpuLoad.currentLoad);
   } catch (error) {
     logger.error(`Error checking CPU usage: ${error.message}`);
+    countCollectorError('cpu');
     return 0;
   }
 }
 
-// Check disk usage
+// Check disk and inode usage of every monitored mount
 async function checkDiskUsage() {
   if (!config.get('disk.monitor')) {
-    return 0;
+    return [];
   }
   
   try {
-    const diskPath = config.get('disk.path');
-    const fsSize = await si.fsSize();
-    const diskInfo = fsSize.find(fs => fs.mount === diskPath) || fsSize[0];
-    return Math.round(diskInfo.use);
+    return await getMountUsage();
   } catch (error) {
     logger.error(`Error checking disk usage: ${error.message}`);
-    return 0;
+    countCollectorError('disk');
+    return [];
   }
 }
 
+// Usage of the primary mount, kept in the "disk" metric for backwards compatibility
+function primaryDiskUsage(disks) {
+  const { mount } = getPrimaryMount(disks);
+  return mount ? mount.usage : 0;
+}
+
 // Check swap usage
 async function checkSwapUsage() {
   if (!config.get('swap.monitor')) {
@@ -262,6 +591,7 @@ async function checkSwapUsage() {
     return Math.round((memInfo.swapused / memInfo.swaptotal) * 100);
   } catch (error) {
     logger.error(`Error checking swap usage: ${error.message}`);
+    countCollectorError('swap');
     return 0;
   }
 }
@@ -281,184 +611,215 @@ async function checkLoadAverage() {
     return Math.round(loadPerCore * 100);
   } catch (error) {
     logger.error(`Error checking load average: ${error.message}`);
+    countCollectorError('load');
     return 0;
   }
 }
 
-// Check network usage
+// Check network throughput of every monitored interface since the previous cycle
 async function checkNetworkUsage() {
   if (!config.get('network.monitor')) {
-    return [0, 0];
+    return [];
   }
   
   try {
-    const networkInterface = config.get('network.interface');
-    const networkStats1 = await si.networkStats(networkInterface);
-    
-    // Wait 1 second
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    const networkStats2 = await si.networkStats(networkInterface);
-    
-    // Calculate rates in Mbps
-    const rxRate = ((networkStats2[0].rx_bytes - networkStats1[0].rx_bytes) * 8) / 1024 / 1024;
-    const txRate = ((networkStats2[0].tx_bytes - networkStats1[0].tx_bytes) * 8) / 1024 / 1024;
-    
-    return [rxRate, txRate];
+    return await networkSampler.sample();
   } catch (error) {
     logger.error(`Error checking network usage: ${error.message}`);
-    return [0, 0];
+    countCollectorError('network');
+    return [];
+  }
+}
+
+// Process list shared by the process watcher and the leak detector, fetched once per cycle
+async function listProcesses() {
+  try {
+    return (await si.processes()).list;
+  } catch (error) {
+    logger.error(`Error listing processes: ${error.message}`);
+    countCollectorError('process_list');
+    return null;
+  }
+}
+
+// Check watched processes and systemd units
+async function checkProcesses(list) {
+  if (!list) {
+    return [];
+  }
+  
+  try {
+    return await processWatcher.sample(list);
+  } catch (error) {
+    logger.error(`Error checking watched processes: ${error.message}`);
+    countCollectorError('processes');
+    return [];
+  }
+}
+
+// Look for processes whose memory keeps growing
+async function checkMemoryLeaks(list) {
+  if (!list) {
+    return [];
+  }
+  
+  try {
+    const memory = await si.mem();
+    return leakDetector.observe(list, memory.available);
+  } catch (error) {
+    logger.error(`Error checking for memory leaks: ${error.message}`);
+    countCollectorError('leaks');
+    return [];
   }
 }
 
-// Send Telegram alert
-async function sendTelegramAlert(alertType, usageValue) {
+// Total RX/TX over all interfaces, kept in the "network" metric for backwards compatibility
+function totalNetworkRates(interfaces) {
+  return interfaces.reduce(([rx, tx], item) => [rx + (item.rxMbps || 0), tx + (item.txMbps || 0)], [0, 0]);
+}
+
+// Send alert through all notification channels
+// Escalations (warning -> critical) bypass the cooldown so they are never rate limited away
+// systemInfo is passed for hosts reporting through an agent, otherwise this host is used
+async function sendAlert(alertType, usageValue, severity = 'warning', escalation = false, systemInfo = null) {
   const currentTime = Math.floor(Date.now() / 1000);
   const alertInterval = config.get('monitoring.checkInterval') * 10; // Minimum time between alerts
   
   // Check if we should send an alert (rate limiting)
-  const alertKey = alertType.toLowerCase();
+  const alertKey = systemInfo ? `${systemInfo.hostname}/${alertType.toLowerCase()}` : alertType.toLowerCase();
   if (!lastAlertTimes[alertKey]) {
     lastAlertTimes[alertKey] = 0;
   }
   
+  // A silenced alert is recorded instead of sent, and not marked as sent so it goes out once the silence ends
+  const suppressedBy = silences.match(alertType, systemInfo ? systemInfo.hostname : os.hostname());
+  if (suppressedBy) {
+    if (currentTime - (lastSuppressedTimes[alertKey] || 0) >= alertInterval) {
+      lastSuppressedTimes[alertKey] = currentTime;
+      await recordSuppressed(alertType, usageValue, severity, suppressedBy, systemInfo);
+    }
+    return false;
+  }
+  
   const timeSinceLastAlert = currentTime - lastAlertTimes[alertKey];
-  if (timeSinceLastAlert < alertInterval) {
+  if (!escalation && timeSinceLastAlert < alertInterval) {
     logger.debug(`${alertType} alert rate limited (${timeSinceLastAlert}s since last alert)`);
     return false;
   }
   
   try {
     // Get system info for alert
-    const systemInfo = await getSystemInfo();
+    const hostInfo = systemInfo || await getSystemInfo();
     
     // Format alert message
-    const message = await formatAlert(alertType, usageValue, systemInfo);
-    
-    // Log the message
-    logger.info('-'.repeat(40));
-    logger.info(message);
-    
-    // Send to Telegram with retry
-    const maxRetries = 3;
-    let retry = 0;
-    let success = false;
-    
-    while (retry < maxRetries && !success) {
-      try {
-        logger.debug(`Sending Telegram message: ${alertType}`);
-        
-        await bot.sendMessage(chatId, message);
-        
-        logger.info(`${alertType} alert message successfully sent to Telegram`);
-        success = true;
-        lastAlertTimes[alertKey] = currentTime;
-        
-        // Update Prometheus counter if enabled
-        if (prometheus && config.get('prometheus.enabled')) {
-          switch (alertType) {
-            case 'RAM':
-              prometheus.ramAlerts.inc();
-              break;
-            case 'CPU':
-              prometheus.cpuAlerts.inc();
-              break;
-            case 'Disk':
-              prometheus.diskAlerts.inc();
-              break;
-            case 'Swap':
-              prometheus.swapAlerts.inc();
-              break;
-            case 'Load':
-              prometheus.loadAlerts.inc();
-              break;
-            case 'Network':
-              prometheus.networkAlerts.inc();
-              break;
-          }
-        }
-        
-        // Store alert in database if enabled
-        if (db && config.get('database.enabled')) {
-          await storeAlert(alertType, usageValue, message, true);
-        }
-      } catch (error) {
-        retry++;
-        logger.warn(`Error sending Telegram message (attempt ${retry}/${maxRetries}): ${error.message}`);
-        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait before retrying
-      }
-    }
+    const message = await formatAlert(alertType, usageValue, hostInfo, severity);
     
-    // If all retries failed
+    const success = await deliverAlert(alertType, usageValue, message, hostInfo, 'firing', severity);
     if (!success) {
-      logger.error(`Failed to send Telegram message after ${maxRetries} attempts`);
-      logger.error(`BOT_TOKEN: ${botToken.substring(0, 5)}...${botToken.substring(botToken.length - 5)}`);
-      logger.error(`CHAT_ID: ${chatId}`);
-      
-      // Store failed alert in database if enabled
-      if (db && config.get('database.enabled')) {
-        await storeAlert(alertType, usageValue, message, false);
-      }
-      
       return false;
     }
     
+    lastAlertTimes[alertKey] = currentTime;
+    
+    // Count by base type so per-mount and per-process alerts do not add a series each
+    if (prometheus) {
+      prometheus.alertsSent.inc({ host: hostInfo.hostname, type: alertType.split(':')[0], severity });
+    }
+    
     return true;
   } catch (error) {
-    logger.error(`Error in sendTelegramAlert: ${error.message}`);
+    logger.error(`Error in sendAlert: ${error.message}`);
     return false;
   }
 }
 
-// Test Telegram connection
-async function testTelegramConnection() {
-  logger.info('Testing Telegram connection...');
-  
+// Send "resolved" message for an alert that went back to normal
+async function sendResolvedAlert(alertType, resolution, currentValue, systemInfo = null) {
   try {
-    // Get system info for test message
-    const systemInfo = await getSystemInfo();
-    const dateStr = new Date().toISOString().replace('T', ' ').substring(0, 19);
+    const hostInfo = systemInfo || await getSystemInfo();
+    const message = formatResolved(alertType, {
+      durationText: formatDuration(resolution.durationSeconds),
+      peakText: resolution.peakText,
+      currentText: currentValue
+    }, hostInfo);
     
-    // Format test message
-    let message;
+    const suppressedBy = silences.match(alertType, hostInfo.hostname);
+    if (suppressedBy) {
+      logger.info(`${alertType} resolved notification suppressed by ${suppressedBy}`);
+      await storeAlert(alertType, currentValue, message, false, null, 'resolved', resolution.maxSeverity, hostInfo, suppressedBy);
+      return false;
+    }
     
-    if (config.get('alertFormat.enabled')) {
-      const width = config.get('alertFormat.width');
-      const linePrefix = config.get('alertFormat.linePrefix');
-      const lineSuffix = config.get('alertFormat.lineSuffix');
-      const contentWidth = width - linePrefix.length - lineSuffix.length;
-      
-      message = [];
-      message.push(config.get('alertFormat.topBorder'));
-      message.push(`${linePrefix}🔄 SYSTEM MONITOR TEST MESSAGE${' '.repeat(contentWidth - '🔄 SYSTEM MONITOR TEST MESSAGE'.length)}${lineSuffix}`);
-      message.push(config.get('alertFormat.titleBorder'));
-      message.push(`${linePrefix}🖥️ Hostname:     ${systemInfo.hostname}${' '.repeat(contentWidth - '🖥️ Hostname:     '.length - systemInfo.hostname.length)}${lineSuffix}`);
-      message.push(`${linePrefix}🌐 IP Address:   ${systemInfo.ip}${' '.repeat(contentWidth - '🌐 IP Address:   '.length - systemInfo.ip.length)}${lineSuffix}`);
-      message.push(`${linePrefix}⏱️ Time:         ${dateStr}${' '.repeat(contentWidth - '⏱️ Time:         '.length - dateStr.length)}${lineSuffix}`);
-      message.push(config.get('alertFormat.bottomBorder'));
-      message = message.join('\n');
-    } else {
-      message = "🔄 SYSTEM MONITOR TEST MESSAGE\n\n";
-      message += `🖥️ Hostname: ${systemInfo.hostname}\n`;
-      message += `🌐 IP Address: ${systemInfo.ip}\n`;
-      message += `⏱️ Time: ${dateStr}`;
+    return await deliverAlert(alertType, currentValue, message, hostInfo, 'resolved', resolution.maxSeverity);
+  } catch (error) {
+    logger.error(`Error in sendResolvedAlert: ${error.message}`);
+    return false;
+  }
+}
+
+// Store an alert a silence or maintenance window kept from being sent, with the message it would have had
+async function recordSuppressed(alertType, value, severity, suppressedBy, systemInfo) {
+  try {
+    const hostInfo = systemInfo || await getSystemInfo();
+    const message = await formatAlert(alertType, value, hostInfo, severity);
+    logger.info(`${alertType} alert suppressed by ${suppressedBy}`);
+    await storeAlert(alertType, value, message, false, null, 'firing', severity, hostInfo, suppressedBy);
+  } catch (error) {
+    logger.error(`Error recording suppressed alert: ${error.message}`);
+  }
+}
+
+// Log, send to every channel (each with its own retry) and store the result per channel
+async function deliverAlert(alertType, value, message, systemInfo, state, severity) {
+  logger.info('-'.repeat(40));
+  logger.info(message);
+  
+  const results = await notifier.send(message, {
+    type: alertType,
+    value,
+    state,
+    severity,
+    hostname: systemInfo.hostname,
+    ip: systemInfo.ip
+  });
+  
+  // Store delivery result per channel in database if enabled
+  if (db && config.get('database.enabled')) {
+    for (const result of results) {
+      await storeAlert(alertType, value, message, result.success, result.channel, state, severity, systemInfo);
     }
+  }
+  
+  return results.some(result => result.success);
+}
+
+// Send test message through all channels (or only the named one)
+async function testNotifications(channelName = null) {
+  logger.info(`Testing notification channels${channelName ? ` (${channelName})` : ''}...`);
+  
+  try {
+    // Get system info for test message
+    const systemInfo = await getSystemInfo();
+    const message = formatTestMessage(systemInfo);
     
-    // Send test message
-    await bot.sendMessage(chatId, message);
+    const results = await notifier.send(message, null, channelName);
+    results.forEach(result => {
+      if (result.success) {
+        logger.info(`${result.channel} connection test successful`);
+      } else {
+        logger.error(`${result.channel} connection test failed`);
+      }
+    });
     
-    logger.info('Telegram connection test successful');
-    return true;
+    return results;
   } catch (error) {
-    logger.error(`Telegram connection test failed: ${error.message}`);
-    logger.error(`BOT_TOKEN: ${botToken.substring(0, 5)}...${botToken.substring(botToken.length - 5)}`);
-    logger.error(`CHAT_ID: ${chatId}`);
-    return false;
+    logger.error(`Notification test failed: ${error.message}`);
+    return [];
   }
 }
 
-// Store metrics in database
-async function storeMetrics(metrics, systemInfo) {
+// Store metrics in database; samples from agents keep the time they were taken
+async function storeMetrics(metrics, systemInfo, timestamp = toDbTimestamp(new Date())) {
   if (!db || !config.get('database.enabled')) {
     return false;
   }
@@ -474,15 +835,14 @@ async function storeMetrics(metrics, systemInfo) {
     // Prepare extra data (anything not in standard columns)
     const extraData = {};
     Object.keys(metrics).forEach(key => {
-      if (!['ram', 'cpu', 'disk', 'swap', 'load', 'network'].includes(key)) {
+      if (!['ram', 'cpu', 'disk', 'disks', 'swap', 'load', 'network', 'interfaces', 'processes', 'leaks'].includes(key)) {
         extraData[key] = metrics[key];
       }
     });
     
     const extraDataJson = Object.keys(extraData).length > 0 ? JSON.stringify(extraData) : null;
-    const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
     
-    await db.storeMetrics(
+    await writer.storeMetrics(
       timestamp,
       systemInfo.hostname,
       systemInfo.ip,
@@ -496,6 +856,34 @@ async function storeMetrics(metrics, systemInfo) {
       extraDataJson
     );
     
+    // One row per mount point
+    for (const disk of metrics.disks || []) {
+      await writer.storeDiskMetrics(
+        timestamp,
+        systemInfo.hostname,
+        disk.mount,
+        disk.type,
+        disk.usage,
+        disk.inodeUsage,
+        disk.sizeBytes,
+        disk.usedBytes
+      );
+    }
+    
+    // One row per watched process or unit
+    for (const item of metrics.processes || []) {
+      await writer.storeProcessMetrics(
+        timestamp,
+        systemInfo.hostname,
+        item.name,
+        item.running ? 1 : 0,
+        item.mainPid,
+        item.running ? item.cpu : null,
+        item.running ? item.rssBytes : null,
+        item.restarts
+      );
+    }
+    
     logger.debug('Metrics stored in database successfully');
     return true;
   } catch (error) {
@@ -504,23 +892,27 @@ async function storeMetrics(metrics, systemInfo) {
   }
 }
 
-// Store alert in database
-async function storeAlert(alertType, value, message, sentSuccessfully) {
+// Store alert in database under the host it is about
+async function storeAlert(alertType, value, message, sentSuccessfully, channel, state = 'firing', severity = 'warning', systemInfo = null, suppressedBy = null) {
   if (!db || !config.get('database.enabled')) {
     return false;
   }
   
   try {
     const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
-    const systemInfo = await getSystemInfo();
+    const hostInfo = systemInfo || await getSystemInfo();
     
-    await db.storeAlert(
+    await writer.storeAlert(
       timestamp,
-      systemInfo.hostname,
+      hostInfo.hostname,
       alertType,
       String(value),
       message,
-      sentSuccessfully
+      sentSuccessfully,
+      channel,
+      state,
+      severity,
+      suppressedBy
     );
     
     logger.debug(`Alert stored in database successfully: ${alertType}`);
@@ -531,25 +923,43 @@ async function storeAlert(alertType, value, message, sentSuccessfully) {
   }
 }
 
-// Update Prometheus metrics
-function updatePrometheusMetrics(metrics) {
-  if (!prometheus || !config.get('prometheus.enabled')) {
+// Update Prometheus metrics of a host, this one or an agent reporting to the collector
+function updatePrometheusMetrics(metrics, host) {
+  if (!prometheus) {
     return false;
   }
   
   try {
     // Update resource usage gauges
-    prometheus.ramUsage.set(metrics.ram || 0);
-    prometheus.cpuUsage.set(metrics.cpu || 0);
-    prometheus.diskUsage.set(metrics.disk || 0);
-    prometheus.swapUsage.set(metrics.swap || 0);
-    prometheus.loadAverage.set(metrics.load || 0);
+    prometheus.ramUsage.set({ host }, metrics.ram || 0);
+    prometheus.cpuUsage.set({ host }, metrics.cpu || 0);
+    (metrics.disks || []).forEach(disk => {
+      prometheus.diskUsage.set({ host, path: disk.mount }, disk.usage);
+      if (disk.inodeUsage !== null) {
+        prometheus.diskInodeUsage.set({ host, path: disk.mount }, disk.inodeUsage);
+      }
+    });
+    prometheus.swapUsage.set({ host }, metrics.swap || 0);
+    prometheus.loadAverage.set({ host }, metrics.load || 0);
     
     // Update network metrics
-    if (metrics.network && Array.isArray(metrics.network) && metrics.network.length === 2) {
-      prometheus.networkRx.set(metrics.network[0]);
-      prometheus.networkTx.set(metrics.network[1]);
-    }
+    (metrics.interfaces || []).forEach(item => {
+      if (item.rxMbps !== null) {
+        prometheus.networkRx.set({ host, interface: item.iface }, item.rxMbps);
+        prometheus.networkTx.set({ host, interface: item.iface }, item.txMbps);
+      }
+      if (item.utilization !== null) {
+        prometheus.networkUtilization.set({ host, interface: item.iface }, item.utilization);
+      }
+    });
+    
+    // Update watched process metrics
+    (metrics.processes || []).forEach(item => {
+      prometheus.processRunning.set({ host, name: item.name }, item.running ? 1 : 0);
+      prometheus.processCpu.set({ host, name: item.name }, item.cpu);
+      prometheus.processRss.set({ host, name: item.name }, item.rssBytes);
+      prometheus.processRestarts.inc({ host, name: item.name }, item.restarts);
+    });
     
     logger.debug('Prometheus metrics updated successfully');
     return true;
@@ -559,6 +969,36 @@ function updatePrometheusMetrics(metrics) {
   }
 }
 
+// Firing alert types per host, for the gauge below
+const firingAlertTypes = new Map();
+
+// Leak alerts carry the pid ("Leak:node:812"); the gauge drops it so every restart of a leaking
+// process does not add a series
+function alertFiringLabel(alertType) {
+  return alertType.startsWith('Leak:') ? alertType.split(':').slice(0, 2).join(':') : alertType;
+}
+
+// Update per-type firing gauge in Prometheus; a label stays 1 while any alert behind it fires
+function setAlertFiringGauge(alertType, firing, host) {
+  if (!prometheus) {
+    return;
+  }
+  
+  if (!firingAlertTypes.has(host)) {
+    firingAlertTypes.set(host, new Set());
+  }
+  const types = firingAlertTypes.get(host);
+  if (firing) {
+    types.add(alertType);
+  } else {
+    types.delete(alertType);
+  }
+  
+  const label = alertFiringLabel(alertType);
+  const anyFiring = [...types].some(type => alertFiringLabel(type) === label);
+  prometheus.alertFiring.set({ host, type: label }, anyFiring ? 1 : 0);
+}
+
 // Update status file
 function updateStatusFile(metrics) {
   try {
@@ -572,17 +1012,26 @@ function updateStatusFile(metrics) {
         statusContent += `RAM: ${metrics[key]}%\n`;
       } else if (key === 'cpu' && config.get('cpu.monitor')) {
         statusContent += `CPU: ${metrics[key]}%\n`;
-      } else if (key === 'disk' && config.get('disk.monitor')) {
-        statusContent += `Disk (${config.get('disk.path')}): ${metrics[key]}%\n`;
+      } else if (key === 'disks' && config.get('disk.monitor')) {
+        metrics[key].forEach(disk => {
+          const inodes = disk.inodeUsage !== null ? `, inodes: ${disk.inodeUsage}%` : '';
+          statusContent += `Disk (${disk.mount}): ${disk.usage}%${inodes}\n`;
+        });
       } else if (key === 'swap' && config.get('swap.monitor') && metrics[key] > 0) {
         statusContent += `Swap: ${metrics[key]}%\n`;
       } else if (key === 'load' && config.get('load.monitor')) {
         const loadPerCore = metrics[key] / 100; // Convert back from percentage
         const load1min = loadPerCore * os.cpus().length;
         statusContent += `Load: ${load1min.toFixed(2)} (per core: ${loadPerCore.toFixed(2)})\n`;
-      } else if (key === 'network' && config.get('network.monitor')) {
-        const [rxRate, txRate] = metrics[key];
-        statusContent += `Network (${config.get('network.interface') || 'default'}): RX: ${rxRate.toFixed(2)} Mbps, TX: ${txRate.toFixed(2)} Mbps\n`;
+      } else if (key === 'interfaces' && config.get('network.monitor')) {
+        metrics[key].filter(item => item.rxMbps !== null).forEach(item => {
+          statusContent += `Network (${item.iface}): ${formatNetwork([item.rxMbps, item.txMbps])}\n`;
+        });
+      } else if (key === 'processes') {
+        metrics[key].forEach(item => {
+          const pid = item.mainPid ? `, pid ${item.mainPid}` : '';
+          statusContent += `Process (${item.name}): ${item.running ? 'running' : 'NOT RUNNING'} (${item.state}${pid})\n`;
+        });
       }
     });
     
@@ -592,113 +1041,448 @@ function updateStatusFile(metrics) {
   }
 }
 
-// Main monitoring function
-async function runMonitoring() {
-  logger.info(`Monitoring started. Interval: ${config.get('monitoring.checkInterval')} seconds`);
+// Evaluate every built-in check and track firing/resolved state
+// host: { tracker, systemInfo, local }, this host unless the metrics came from an agent
+async function evaluateAlerts(metrics, host = localHost) {
+  const hostname = host.systemInfo ? host.systemInfo.hostname : os.hostname();
   
-  // Test Telegram connection at startup
-  await testTelegramConnection();
-  
-  // Schedule monitoring task
-  cron.schedule(`*/${config.get('monitoring.checkInterval')} * * * * *`, async () => {
-    try {
-      // Collect all metrics
-      const metrics = {
-        ram: await checkRamUsage(),
-        cpu: await checkCpuUsage(),
-        disk: await checkDiskUsage(),
-        swap: await checkSwapUsage(),
-        load: await checkLoadAverage(),
-        network: await checkNetworkUsage()
-      };
-      
-      // Get system info for database and alerts
-      const systemInfo = await getSystemInfo();
-      
-      // Store metrics in database if enabled
-      if (config.get('database.enabled')) {
-        await storeMetrics(metrics, systemInfo);
-      }
-      
-      // Update Prometheus metrics if enabled
-      if (config.get('prometheus.enabled')) {
-        updatePrometheusMetrics(metrics);
-      }
-      
-      // Update status file
-      updateStatusFile(metrics);
-      
-      // Check thresholds and send alerts
-      
-      // RAM check
-      if (metrics.ram >= config.get('monitoring.threshold')) {
-        logger.warn(`High RAM usage: ${metrics.ram}%`);
-        await sendTelegramAlert('RAM', `${metrics.ram}%`);
-      }
-      
-      // CPU check
-      if (config.get('cpu.monitor') && metrics.cpu >= config.get('cpu.threshold')) {
-        logger.warn(`High CPU usage: ${metrics.cpu}%`);
-        await sendTelegramAlert('CPU', `${metrics.cpu}%`);
-      }
-      
-      // Disk check
-      if (config.get('disk.monitor') && metrics.disk >= config.get('disk.threshold')) {
-        logger.warn(`High disk usage (${config.get('disk.path')}): ${metrics.disk}%`);
-        await sendTelegramAlert('Disk', `${metrics.disk}%`);
-      }
+  // Baselines are read from the database, so load them before the checks are expanded
+  if (baselines) {
+    await baselines.prepare(hostname);
+  }
+  if (diskForecaster) {
+    await diskForecaster.prepare(hostname);
+  }
+  
+  // Expand multi-instance checks (e.g. one per mount) into concrete checks
+  const checks = [];
+  alertChecks.forEach(check => {
+    if (!check.enabled()) {
+      return;
+    }
+    if (check.expand) {
+      checks.push(...check.expand(metrics, hostname));
+    } else {
+      checks.push(check);
+    }
+  });
+  
+  await evaluateChecks(checks, metrics, host);
+  await resolveMissing(checks, host);
+  await notifyRestarts(metrics.processes || [], host);
+}
+
+// Checks behind the firing alerts of each host, kept to describe the resolution of an alert
+// whose check is no longer produced
+const firingChecks = new Map();
+
+function firingChecksOf(hostname) {
+  if (!firingChecks.has(hostname)) {
+    firingChecks.set(hostname, new Map());
+  }
+  return firingChecks.get(hostname);
+}
+
+// Resolve alerts that had no check this cycle (mount unmounted, interface removed, rule variable
+// missing, check disabled by a config reload); evaluateChecks never sees them again
+async function resolveMissing(checks, host) {
+  const hostname = host.systemInfo ? host.systemInfo.hostname : os.hostname();
+  // The heartbeat is checked on its own schedule, see checkHeartbeats
+  const checked = new Set(['Heartbeat', ...checks.map(check => check.type)]);
+  
+  for (const { key, resolution } of host.tracker.resolveMissing(checked)) {
+    const check = firingChecksOf(hostname).get(key) || { type: key, format: value => String(value) };
+    await announceResolved(check, resolution, 'no longer reported', host);
+  }
+}
+
+// Restarts are one-off events: notify once, there is nothing to resolve later
+async function notifyRestarts(processes, host) {
+  const prefix = host.local ? '' : `[${host.systemInfo.hostname}] `;
+  const hostname = host.systemInfo ? host.systemInfo.hostname : os.hostname();
+  
+  for (const item of processes.filter(watched => watched.restarts > 0)) {
+    const type = `Restart:${item.name}`;
+    const value = `restarted${item.restarts > 1 ? ` ${item.restarts} times` : ''} (${item.state}${item.mainPid ? `, pid ${item.mainPid}` : ''})`;
+    logger.warn(`${prefix}${item.name} ${value}`);
+    
+    const delivered = await sendAlert(type, value, 'warning', false, host.systemInfo);
+    eventStream.publish('alert', { hostname, timestamp: new Date().toISOString(), type, state: 'restarted', severity: 'warning', value, delivered });
+  }
+}
+
+async function evaluateChecks(checks, metrics, host) {
+  // Log lines about other hosts name the host
+  const prefix = host.local ? '' : `[${host.systemInfo.hostname}] `;
+  const hostname = host.systemInfo ? host.systemInfo.hostname : os.hostname();
+  
+  // Alert state changes for stream clients, whether or not a notification went out
+  const publishAlert = (check, details) => {
+    eventStream.publish('alert', { hostname, timestamp: new Date().toISOString(), type: check.type, ...details });
+  };
+  
+  for (const check of checks) {
+    const value = check.value(metrics);
+    const alertValue = check.alertValue ? check.alertValue(metrics) : check.format(value);
+    const { status, severity, resolution } = host.tracker.evaluate(check.type, value, check.rule());
+    
+    if (status === 'pending') {
+      logger.debug(`${prefix}${check.logMessage(metrics)} (waiting for sustained duration)`);
+    } else if (status === 'fired' || status === 'firing' || status === 'escalated') {
+      logger.warn(`${prefix}${check.logMessage(metrics)} [${severity}]`);
       
-      // Swap check
-      if (config.get('swap.monitor') && metrics.swap >= config.get('swap.threshold') && metrics.swap > 0) {
-        logger.warn(`High swap usage: ${metrics.swap}%`);
-        await sendTelegramAlert('Swap', `${metrics.swap}%`);
+      if (status === 'fired') {
+        setAlertFiringGauge(check.type, true, hostname);
       }
+      firingChecksOf(hostname).set(check.type, check);
       
-      // Load check
-      if (config.get('load.monitor') && metrics.load >= config.get('load.threshold')) {
-        const loadPerCore = metrics.load / 100; // Convert back from percentage
-        const load1min = loadPerCore * os.cpus().length;
-        logger.warn(`High load average: ${load1min.toFixed(2)} (per core: ${loadPerCore.toFixed(2)})`);
-        await sendTelegramAlert('Load', `${load1min.toFixed(2)} (per core: ${loadPerCore.toFixed(2)})`);
+      const delivered = await sendAlert(check.type, alertValue, severity, status === 'escalated', host.systemInfo);
+      if (delivered) {
+        host.tracker.markNotified(check.type);
       }
       
-      // Network check
-      if (config.get('network.monitor')) {
-        const [rxRate, txRate] = metrics.network;
-        if (rxRate >= config.get('network.threshold') || txRate >= config.get('network.threshold')) {
-          logger.warn(`High network traffic (${config.get('network.interface') || 'default'}): RX: ${rxRate.toFixed(2)} Mbps, TX: ${txRate.toFixed(2)} Mbps`);
-          await sendTelegramAlert('Network', `RX: ${rxRate.toFixed(2)} Mbps, TX: ${txRate.toFixed(2)} Mbps`);
-        }
+      if (status !== 'firing') {
+        publishAlert(check, { state: 'firing', severity, escalated: status === 'escalated', value: alertValue, delivered });
       }
-    } catch (error) {
-      logger.error(`Error in monitoring process: ${error.message}`);
+    } else if (status === 'resolved') {
+      await announceResolved(check, resolution, alertValue, host);
     }
+  }
+}
+
+// Log, notify and publish the end of a firing period
+async function announceResolved(check, resolution, alertValue, host) {
+  const prefix = host.local ? '' : `[${host.systemInfo.hostname}] `;
+  const hostname = host.systemInfo ? host.systemInfo.hostname : os.hostname();
+  
+  logger.info(`${prefix}${check.type} back to normal after ${formatDuration(resolution.durationSeconds)} (peak ${check.format(resolution.peak)})`);
+  setAlertFiringGauge(check.type, false, hostname);
+  firingChecksOf(hostname).delete(check.type);
+  
+  // Only announce the recovery if the problem itself was announced
+  resolution.peakText = check.format(resolution.peak);
+  const delivered = resolution.notified
+    ? await sendResolvedAlert(check.type, resolution, alertValue, host.systemInfo)
+    : false;
+  
+  eventStream.publish('alert', {
+    hostname,
+    timestamp: new Date().toISOString(),
+    type: check.type,
+    state: 'resolved',
+    severity: resolution.maxSeverity,
+    value: alertValue,
+    peak: resolution.peakText,
+    durationSeconds: resolution.durationSeconds,
+    delivered
   });
 }
 
-// API routes
-app.get('/', (req, res) => {
-  res.send('Memory Monitor API is running');
-});
+// Alert on agents that stopped reporting (collector mode)
+async function checkHeartbeats() {
+  for (const host of hostRegistry.remoteHosts()) {
+    await evaluateChecks([heartbeatCheck(host)], host.metrics, { tracker: host.tracker, systemInfo: host.system, local: false });
+  }
+}
 
-app.get('/status', async (req, res) => {
-  try {
-    const systemInfo = await getSystemInfo();
-    const ramUsage = await checkRamUsage();
-    const cpuUsage = await checkCpuUsage();
-    const diskUsage = await checkDiskUsage();
+// Store and evaluate samples pushed by an agent, oldest first
+// Alerts are only evaluated for the newest sample; older ones are a backlog the agent could not send earlier
+async function ingestSamples(samples) {
+  const sorted = [...samples].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  
+  for (const [index, sample] of sorted.entries()) {
+    const systemInfo = { ...sample.system, remote: true };
+    const metrics = { disks: [], interfaces: [], ...sample.metrics };
+    const host = hostRegistry.report(systemInfo, metrics);
+    eventStream.publish('sample', { hostname: systemInfo.hostname, timestamp: sample.timestamp, system: systemInfo, metrics });
+    updatePrometheusMetrics(metrics, systemInfo.hostname);
+    
+    if (config.get('database.enabled')) {
+      await storeMetrics(metrics, systemInfo, toDbTimestamp(new Date(sample.timestamp)));
+    }
+    
+    if (index === sorted.length - 1) {
+      await evaluateAlerts(metrics, { tracker: host.tracker, systemInfo, local: false });
+    }
+  }
+}
+
+// Main monitoring function
+async function runMonitoring() {
+  logger.info(`Monitoring started. Interval: ${config.get('monitoring.checkInterval')} seconds`);
+  
+  // Agents leave notifications to the collector
+  if (fleetMode !== 'agent') {
+    await testNotifications();
+  }
+  
+  scheduleMonitoring();
+}
+
+// Schedule the monitoring cycle every monitoring.checkInterval seconds, replacing the previous
+// schedule when a config reload changed the interval
+function scheduleMonitoring() {
+  if (monitoringTask) {
+    monitoringTask.stop();
+  }
+  scheduledInterval = config.get('monitoring.checkInterval');
+  monitoringTask = cron.schedule(`*/${scheduledInterval} * * * * *`, runMonitoringCycle);
+}
+
+// Collect, store and export one sample, then evaluate alerts
+async function runMonitoringCycle() {
+  try {
+    // Collect all metrics
+    const metrics = {
+      ram: await timeCollector('ram', checkRamUsage),
+      cpu: await timeCollector('cpu', checkCpuUsage),
+      disks: await timeCollector('disk', checkDiskUsage),
+      swap: await timeCollector('swap', checkSwapUsage),
+      load: await timeCollector('load', checkLoadAverage),
+      interfaces: await timeCollector('network', checkNetworkUsage)
+    };
+    
+    if (processWatcher || leakDetector) {
+      const processList = await timeCollector('process_list', listProcesses);
+      if (processWatcher) {
+        metrics.processes = await timeCollector('processes', () => checkProcesses(processList));
+      }
+      if (leakDetector) {
+        metrics.leaks = await timeCollector('leaks', () => checkMemoryLeaks(processList));
+      }
+    }
+    
+    metrics.disk = primaryDiskUsage(metrics.disks);
+    metrics.network = totalNetworkRates(metrics.interfaces);
+    
+    // Get system info for database and alerts
+    const systemInfo = await getSystemInfo();
+    lastSample = { timestamp: new Date().toISOString(), system: systemInfo, metrics };
+    eventStream.publish('sample', { hostname: systemInfo.hostname, ...lastSample });
+    
+    // Store metrics in database if enabled
+    if (config.get('database.enabled')) {
+      await storeMetrics(metrics, systemInfo);
+    }
+    
+    // Update Prometheus metrics if enabled
+    updatePrometheusMetrics(metrics, systemInfo.hostname);
+    
+    // Update status file
+    updateStatusFile(metrics);
+    
+    // Agents only forward the sample, the collector evaluates alerts
+    if (fleetAgent) {
+      await fleetAgent.report({ timestamp: new Date().toISOString(), system: systemInfo, metrics });
+      return;
+    }
+    
+    // Check thresholds, send alerts and resolve alerts that went back to normal
+    await evaluateAlerts(metrics);
+    
+    // The collector lists itself with the agents and checks that they are still reporting
+    if (hostRegistry) {
+      hostRegistry.report(systemInfo, metrics, { local: true, tracker: alertTracker });
+      await checkHeartbeats();
+    }
+  } catch (error) {
+    logger.error(`Error in monitoring process: ${error.message}`);
+  }
+}
+
+// Get current status (shared by GET /status and the /status bot command)
+async function getStatus() {
+  const systemInfo = await getSystemInfo();
+  const ramUsage = await checkRamUsage();
+  const cpuUsage = await checkCpuUsage();
+  const disks = await checkDiskUsage();
+  
+  // Same projection the DiskFull alerts use
+  let diskForecast = null;
+  if (diskForecaster) {
+    await diskForecaster.prepare(systemInfo.hostname);
+    diskForecast = diskForecaster.forecast(systemInfo.hostname, disks);
+  }
+  
+  return {
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    system: systemInfo,
+    metrics: {
+      ram: ramUsage,
+      cpu: cpuUsage,
+      disk: primaryDiskUsage(disks),
+      disks
+    },
+    // From the last monitoring cycle: sampling again here would hide restarts from the cycle
+    processes: lastSample ? lastSample.metrics.processes || null : null,
+    leaks: lastSample ? lastSample.metrics.leaks || null : null,
+    diskForecast,
+    silences: silences.list(),
+    configReload: configReloader.lastReload(),
+    firingAlerts: alertTracker.getFiring(),
+    writeBuffer: writeBuffer ? writeBuffer.stats() : null,
+    fleet: {
+      mode: fleetMode,
+      agent: fleetAgent ? fleetAgent.stats() : null,
+      hosts: hostRegistry ? hostRegistry.list().length : null
+    }
+  };
+}
+
+// Summarise stored metrics (min/avg/max) for the last given number of seconds
+async function getHistorySummary(seconds) {
+  if (!db || !config.get('database.enabled')) {
+    return null;
+  }
+  
+  // Fetch enough rows to cover the period, with some headroom for missed cycles
+  const limit = Math.ceil(seconds / config.get('monitoring.checkInterval')) * 2 + 10;
+  const since = Date.now() - seconds * 1000;
+  const rows = (await db.getRecentMetrics(limit))
+    .filter(row => parseTimestamp(row.timestamp).getTime() >= since);
+  
+  const columns = {
+    ram: 'ram_usage',
+    cpu: 'cpu_usage',
+    disk: 'disk_usage',
+    swap: 'swap_usage',
+    load: 'load_average',
+    rx_mbps: 'network_rx',
+    tx_mbps: 'network_tx'
+  };
+  
+  const metrics = {};
+  if (rows.length > 0) {
+    Object.keys(columns).forEach(name => {
+      const values = rows.map(row => Number(row[columns[name]]));
+      metrics[name] = {
+        min: Math.min(...values),
+        avg: values.reduce((sum, value) => sum + value, 0) / values.length,
+        max: Math.max(...values)
+      };
+    });
+  }
+  
+  return { samples: rows.length, metrics };
+}
+
+// API routes
+app.get('/', (req, res) => {
+  res.send('Memory Monitor API is running');
+});
+
+// Web dashboard (dashboard/), served from this app so it needs no external assets
+if (config.get('dashboard.enabled')) {
+  app.use('/dashboard', express.static(path.join(__dirname, 'dashboard')));
+}
+
+// Latest sample from the monitoring cycle; unlike /status it does not run the collectors again
+app.get('/api/current', (req, res) => {
+  if (!lastSample) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'No monitoring cycle has completed yet'
+    });
+  }
+  
+  res.json({
+    status: 'ok',
+    interval: config.get('monitoring.checkInterval'),
+    ...lastSample,
+    thresholds: {
+      ram: thresholdRule('monitoring'),
+      cpu: thresholdRule('cpu'),
+      disk: thresholdRule('disk'),
+      swap: thresholdRule('swap'),
+      load: thresholdRule('load'),
+      network: thresholdRule('network')
+    },
+    firingAlerts: alertTracker.getFiring()
+  });
+});
+
+// Live samples and alert events as Server-Sent Events
+// GET /api/stream?events=sample,alert&hostname=web1
+app.get('/api/stream', eventStream.handler);
+
+app.get('/status', async (req, res) => {
+  try {
+    res.json(await getStatus());
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Historical metrics aggregated into time buckets
+// GET /api/metrics?from=2025-01-01T00:00:00Z&to=...&hostname=web1&metrics=ram,cpu&bucket=5m
+app.get('/api/metrics', async (req, res) => {
+  if (!db || !config.get('database.enabled')) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'Database integration is disabled'
+    });
+  }
+  
+  try {
+    const to = req.query.to ? parseTimeParam(req.query.to) : new Date();
+    const from = req.query.from ? parseTimeParam(req.query.from) : new Date(to.getTime() - 3600 * 1000);
+    if (!from || !to || from >= to) {
+      return res.status(400).json({
+        status: 'error',
+        message: '"from" and "to" must be ISO 8601 dates or epoch seconds, with "from" before "to"'
+      });
+    }
+    
+    const metrics = req.query.metrics ? String(req.query.metrics).split(',').map(name => name.trim()) : Object.keys(METRIC_COLUMNS);
+    const unknown = metrics.filter(name => !METRIC_COLUMNS[name]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown metrics: ${unknown.join(', ')}. Available: ${Object.keys(METRIC_COLUMNS).join(', ')}`
+      });
+    }
+    
+    const bucket = req.query.bucket || '1m';
+    const bucketSeconds = parseDuration(bucket);
+    if (!bucketSeconds || bucketSeconds < 60) {
+      return res.status(400).json({
+        status: 'error',
+        message: '"bucket" must be a duration of at least one minute, e.g. 1m, 5m, 1h'
+      });
+    }
+    
+    // Keep responses bounded
+    const maxBuckets = 10000;
+    if ((to - from) / 1000 / bucketSeconds > maxBuckets) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Time range too large for bucket ${bucket} (more than ${maxBuckets} buckets)`
+      });
+    }
+    
+    const buckets = await db.queryMetrics({
+      from: toDbTimestamp(from),
+      to: toDbTimestamp(to),
+      hostname: req.query.hostname || null,
+      metrics,
+      bucketSeconds
+    });
     
     res.json({
       status: 'ok',
-      timestamp: new Date().toISOString(),
-      system: systemInfo,
-      metrics: {
-        ram: ramUsage,
-        cpu: cpuUsage,
-        disk: diskUsage
-      }
+      from: from.toISOString(),
+      to: to.toISOString(),
+      hostname: req.query.hostname || null,
+      bucket,
+      metrics,
+      buckets
     });
   } catch (error) {
+    logger.error(`Error querying metrics: ${error.message}`);
     res.status(500).json({
       status: 'error',
       message: error.message
@@ -706,18 +1490,333 @@ app.get('/status', async (req, res) => {
   }
 });
 
+// Parse "true"/"false" query parameters; undefined when absent, null when invalid
+function parseBooleanParam(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === 'true' || value === '1') {
+    return true;
+  }
+  if (value === 'false' || value === '0') {
+    return false;
+  }
+  return null;
+}
+
+// Alert history with filters
+// GET /api/alerts?type=Disk&hostname=web1&from=...&to=...&delivered=false&acknowledged=false&suppressed=true&limit=50
+app.get('/api/alerts', async (req, res) => {
+  if (!db || !config.get('database.enabled')) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'Database integration is disabled'
+    });
+  }
+  
+  try {
+    const from = req.query.from ? parseTimeParam(req.query.from) : null;
+    const to = req.query.to ? parseTimeParam(req.query.to) : null;
+    if ((req.query.from && !from) || (req.query.to && !to) || (from && to && from >= to)) {
+      return res.status(400).json({
+        status: 'error',
+        message: '"from" and "to" must be ISO 8601 dates or epoch seconds, with "from" before "to"'
+      });
+    }
+    
+    const delivered = parseBooleanParam(req.query.delivered);
+    const acknowledged = parseBooleanParam(req.query.acknowledged);
+    const suppressed = parseBooleanParam(req.query.suppressed);
+    if (delivered === null || acknowledged === null || suppressed === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: '"delivered", "acknowledged" and "suppressed" must be true or false'
+      });
+    }
+    
+    const maxLimit = 1000;
+    const limit = req.query.limit ? Number(req.query.limit) : 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      return res.status(400).json({
+        status: 'error',
+        message: `"limit" must be an integer between 1 and ${maxLimit}`
+      });
+    }
+    
+    const alerts = await db.queryAlerts({
+      type: req.query.type || null,
+      hostname: req.query.hostname || null,
+      from: from ? toDbTimestamp(from) : null,
+      to: to ? toDbTimestamp(to) : null,
+      sentSuccessfully: delivered,
+      acknowledged,
+      suppressed,
+      limit
+    });
+    
+    res.json({
+      status: 'ok',
+      count: alerts.length,
+      alerts
+    });
+  } catch (error) {
+    logger.error(`Error querying alerts: ${error.message}`);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Acknowledge an alert
+// POST /api/alerts/42/ack with body { "by": "alice" }
+app.post('/api/alerts/:id/ack', express.json(), async (req, res) => {
+  if (!db || !config.get('database.enabled')) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'Database integration is disabled'
+    });
+  }
+  
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Alert id must be a positive integer'
+    });
+  }
+  
+  const acknowledgedBy = req.body && typeof req.body.by === 'string' ? req.body.by.trim() : '';
+  if (!acknowledgedBy || acknowledgedBy.length > 255) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Request body must contain "by": the name of who acknowledges the alert (max 255 characters)'
+    });
+  }
+  
+  try {
+    const alert = await db.getAlert(id);
+    if (!alert) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Alert ${id} not found`
+      });
+    }
+    
+    const acknowledged = await db.acknowledgeAlert(id, acknowledgedBy, toDbTimestamp(new Date()));
+    if (!acknowledged) {
+      const current = await db.getAlert(id);
+      return res.status(409).json({
+        status: 'error',
+        message: `Alert ${id} was already acknowledged by ${current.acknowledgedBy} at ${current.acknowledgedAt}`
+      });
+    }
+    
+    logger.info(`Alert ${id} (${alert.type}) acknowledged by ${acknowledgedBy}`);
+    res.json({
+      status: 'ok',
+      alert: await db.getAlert(id)
+    });
+  } catch (error) {
+    logger.error(`Error acknowledging alert ${id}: ${error.message}`);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Endpoints that change config or how alerts behave need "Authorization: Bearer <fleet.token>";
+// they stay closed while no token is set
+function requireToken(req, res, next) {
+  if (!isAuthorized(req.get('Authorization'))) {
+    logger.warn(`Rejected ${req.method} ${req.path} from ${req.ip}: invalid token`);
+    return res.status(401).json({
+      status: 'error',
+      message: config.get('fleet.token') ? 'Invalid or missing token' : 'Set fleet.token (FLEET_TOKEN) to use this endpoint'
+    });
+  }
+  next();
+}
+
+// Re-read the config files, like SIGHUP; 400 with every problem when the new config is invalid
+// POST /api/config/reload with "Authorization: Bearer <fleet.token>"
+app.post('/api/config/reload', requireToken, (req, res) => {
+  const result = configReloader.reload('api');
+  if (result.status === 'error') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid configuration, the running config was kept',
+      errors: result.errors
+    });
+  }
+  
+  res.json({
+    status: 'ok',
+    changed: result.changed,
+    restartRequired: result.restartRequired
+  });
+});
+
+// Active and upcoming silences (all=true adds expired ones) and the maintenance windows
+// GET /api/silences?all=true
+app.get('/api/silences', (req, res) => {
+  const all = parseBooleanParam(req.query.all);
+  if (all === null) {
+    return res.status(400).json({
+      status: 'error',
+      message: '"all" must be true or false'
+    });
+  }
+  
+  const list = silences.list(Boolean(all));
+  res.json({
+    status: 'ok',
+    count: list.length,
+    silences: list,
+    maintenance: silences.windows()
+  });
+});
+
+// Mute matching alerts for a while, e.g. before patching a host
+// POST /api/silences with "Authorization: Bearer <fleet.token>" and { "type": "Disk", "hostname": "web1", "duration": "2h", "reason": "resize /var", "createdBy": "alice" }
+// "startsAt" defaults to now; give "endsAt" or "duration"; missing type or hostname matches all
+app.post('/api/silences', requireToken, express.json(), (req, res) => {
+  let silence;
+  try {
+    silence = silences.create(req.body || {});
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  
+  res.status(201).json({
+    status: 'ok',
+    silence
+  });
+});
+
+// End a silence now
+// DELETE /api/silences/3 with "Authorization: Bearer <fleet.token>"
+app.delete('/api/silences/:id', requireToken, (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Silence id must be a positive integer'
+    });
+  }
+  
+  const silence = silences.expire(id);
+  if (!silence) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Silence ${id} not found`
+    });
+  }
+  
+  res.json({
+    status: 'ok',
+    silence
+  });
+});
+
+// Metrics pushed by agents (collector mode)
+// POST /api/ingest with "Authorization: Bearer <fleet.token>" and { samples: [{ timestamp, system, metrics }] }
+app.post('/api/ingest', express.json({ limit: '5mb' }), async (req, res) => {
+  if (!hostRegistry) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'This instance is not running in collector mode'
+    });
+  }
+  
+  if (!isAuthorized(req.get('Authorization'))) {
+    logger.warn(`Rejected metrics from ${req.ip}: invalid token`);
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid or missing token'
+    });
+  }
+  
+  const samples = req.body && req.body.samples;
+  const maxSamples = config.get('fleet.collector.maxSamplesPerRequest');
+  if (!Array.isArray(samples) || samples.length === 0 || samples.length > maxSamples) {
+    return res.status(400).json({
+      status: 'error',
+      message: `samples must be an array of 1 to ${maxSamples} samples`
+    });
+  }
+  
+  for (const [index, sample] of samples.entries()) {
+    const problem = validateSample(sample);
+    if (problem) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid sample ${index}: ${problem}`
+      });
+    }
+  }
+  
+  try {
+    await ingestSamples(samples);
+    res.json({
+      status: 'ok',
+      accepted: samples.length
+    });
+  } catch (error) {
+    logger.error(`Failed to ingest metrics from ${samples[0].system.hostname}: ${error.message}`);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Hosts reporting to this collector, with their latest sample and firing alerts
+app.get('/api/hosts', (req, res) => {
+  if (!hostRegistry) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'This instance is not running in collector mode'
+    });
+  }
+  
+  const hosts = hostRegistry.list();
+  res.json({
+    status: 'ok',
+    staleAfter: hostRegistry.staleSeconds,
+    reporting: hosts.filter(host => host.status === 'reporting').length,
+    stale: hosts.filter(host => host.status === 'stale').length,
+    hosts
+  });
+});
+
+// Send test message to every channel, or one channel with ?channel=slack
+app.get('/test-notifications', async (req, res) => {
+  await respondWithTestResults(res, req.query.channel || null);
+});
+
 app.get('/test-telegram', async (req, res) => {
+  await respondWithTestResults(res, 'telegram');
+});
+
+async function respondWithTestResults(res, channelName) {
   try {
-    const result = await testTelegramConnection();
-    if (result) {
+    const results = await testNotifications(channelName);
+    if (results.length > 0 && results.every(result => result.success)) {
       res.json({
         status: 'ok',
-        message: 'Telegram test message sent successfully'
+        message: 'Test message sent successfully',
+        results
       });
     } else {
       res.status(500).json({
         status: 'error',
-        message: 'Failed to send Telegram test message'
+        message: results.length > 0 ? 'Failed to send test message' : 'No matching notification channel is enabled',
+        results
       });
     }
   } catch (error) {
@@ -726,11 +1825,13 @@ app.get('/test-telegram', async (req, res) => {
       message: error.message
     });
   }
-});
+}
 
 // Start server and monitoring
 async function startServer() {
   try {
+    await checkDiskPath();
+    
     // Create data directory if database is enabled
     if (config.get('database.enabled')) {
       const dbType = config.get('database.type');
@@ -741,6 +1842,53 @@ async function startServer() {
           fs.mkdirSync(dbDir, { recursive: true });
         }
       }
+      
+      // MySQL and PostgreSQL adapters connect asynchronously
+      db = await setupDatabase();
+      
+      // Batch inserts and keep writes in a journal file while the database is down
+      if (db && config.get('database.buffer.enabled')) {
+        writeBuffer = createWriteBuffer(db, logger);
+      }
+      writer = writeBuffer || db;
+      
+      // Roll up and prune old metrics on a schedule
+      if (db && config.get('database.retention.enabled')) {
+        setupRetention(db, logger);
+      }
+      
+      // Baselines are learned from stored history
+      if (db && config.get('anomaly.metrics').length > 0) {
+        baselines = createBaselines(db, logger);
+      }
+      
+      // Fill dates are projected from stored disk usage
+      if (db && config.get('disk.forecast.monitor')) {
+        diskForecaster = createDiskForecaster(db, logger);
+      }
+    } else {
+      if (config.get('anomaly.metrics').length > 0) {
+        logger.warn('anomaly.metrics is set but the database is disabled, anomaly detection needs stored history');
+      }
+      if (config.get('disk.forecast.monitor')) {
+        logger.warn('disk.forecast.monitor is on but the database is disabled, the disk forecast needs stored history');
+      }
+    }
+    
+    // Answer bot commands from the configured chat if enabled
+    const telegramChannel = notifier.getChannel('telegram');
+    if (telegramChannel && config.get('telegram.commands')) {
+      setupTelegramCommands(telegramChannel.bot, {
+        getStatus,
+        getTopProcesses,
+        getDiskBreakdown: () => getTopProcesses('Disk', config.get('monitoring.topProcessesCount')),
+        getHistory: getHistorySummary
+      }, logger);
+    }
+    
+    // Serve /metrics on its own port so Prometheus can scrape without reaching the API
+    if (prometheus) {
+      prometheus.startServer(logger);
     }
     
     // Start Express server
@@ -756,6 +1904,23 @@ async function startServer() {
   }
 }
 
+// systemctl reload memory-monitor
+process.on('SIGHUP', () => {
+  logger.info('Received SIGHUP, reloading config');
+  configReloader.reload('SIGHUP');
+});
+
+// Keep queued writes in the journal so they are stored after a restart
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, async () => {
+    logger.info(`Received ${signal}, shutting down`);
+    if (writeBuffer) {
+      await writeBuffer.close();
+    }
+    process.exit(0);
+  });
+});
+
 // Start the application
 startServer();
 
@@ -0,0 +1,97 @@
+const config = require('config');
+const { isDeepStrictEqual } = require('util');
+const { validateConfig } = require('./configSchema');
+const { loadSecretFiles } = require('./secrets');
+
+// Sections a reload swaps in: thresholds, intervals, channels, rules and message format are read
+// on every cycle or recreated by the caller. The rest (database, fleet, prometheus, ...) is wired
+// up once at startup and needs a restart.
+const RELOADABLE = ['telegram', 'notifications', 'monitoring', 'cpu', 'disk', 'swap', 'load', 'network', 'rules', 'alertFormat'];
+
+// Keys inside reloadable sections that are still only read at startup
+const STARTUP_ONLY = ['telegram.commands', 'monitoring.logFile', 'disk.forecast'];
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value === undefined ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((item, key) => item[key], object);
+  parent[keys[keys.length - 1]] = value;
+}
+
+// Re-read the config files (and NODE_CONFIG), validate them and swap the reloadable sections into the
+// live config. Needs ALLOW_CONFIG_MUTATIONS, set by app.js before the config is first read.
+// prepare(settings) builds whatever must be rebuilt from the new settings and may throw to reject them;
+// apply(changed, prepared) runs after the swap
+function createConfigReloader(logger, { prepare, apply }) {
+  let lastReload = null;
+
+  // Returns { status: 'ok', changed, restartRequired } or { status: 'error', errors }; the running
+  // config is left untouched on error
+  function reload(trigger) {
+    const current = config.util.toObject(config);
+    let settings;
+    try {
+      // Secret files are read again so rotated secrets are picked up. .env is not: dotenv never
+      // overwrites a variable that is already set, so a changed .env needs a restart
+      loadSecretFiles();
+      settings = config.util.loadFileConfigs(undefined, { skipConfigSources: true });
+    } catch (error) {
+      return reject(trigger, [error.message]);
+    }
+
+    const { errors, warnings } = validateConfig(settings);
+    if (errors.length > 0) {
+      return reject(trigger, errors);
+    }
+    warnings.forEach(warning => logger.warn(`Config: ${warning}`));
+
+    let prepared;
+    try {
+      prepared = prepare(settings);
+    } catch (error) {
+      return reject(trigger, [error.message]);
+    }
+
+    const restartRequired = Object.keys(settings)
+      .filter(section => !RELOADABLE.includes(section) && !isDeepStrictEqual(settings[section], current[section]));
+    STARTUP_ONLY.forEach(path => {
+      if (!isDeepStrictEqual(getPath(settings, path), getPath(current, path))) {
+        restartRequired.push(path);
+      }
+      setPath(settings, path, getPath(current, path));
+    });
+
+    const changed = RELOADABLE.filter(section => !isDeepStrictEqual(settings[section], current[section]));
+    changed.forEach(section => {
+      config[section] = settings[section];
+    });
+    apply(changed, prepared);
+
+    lastReload = { time: new Date().toISOString(), trigger, changed, restartRequired };
+    logger.info(`Config reloaded (${trigger}): ${changed.length > 0 ? `applied ${changed.join(', ')}` : 'nothing to apply'}`);
+    if (restartRequired.length > 0) {
+      logger.warn(`Config changes that need a restart to take effect: ${restartRequired.join(', ')}`);
+    }
+    return { status: 'ok', changed, restartRequired };
+  }
+
+  function reject(trigger, errors) {
+    logger.error(`Config reload (${trigger}) rejected, keeping the running config:`);
+    errors.forEach(error => logger.error(`  ${error}`));
+    return { status: 'error', errors };
+  }
+
+  return {
+    reload,
+    lastReload: () => lastReload
+  };
+}
+
+module.exports = {
+  createConfigReloader,
+  RELOADABLE,
+  STARTUP_ONLY
+};
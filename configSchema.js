@@ -0,0 +1,375 @@
+const cron = require('node-cron');
+const { parseDuration } = require('./timeUtils');
+const { createRuleSet } = require('./rules');
+const { loadWatchList } = require('./processMonitor');
+
+// Every validator is (value, path, problems) and pushes "<path> <message>" into problems.errors;
+// unknown keys only go to problems.warnings, so a setting this schema does not list never stops the monitor
+
+function describeValue(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+// Leaf value checked by a predicate
+function leaf(message, check) {
+  return (value, path, problems) => {
+    if (!check(value)) {
+      problems.errors.push(`${path} must be ${message} (got ${describeValue(value)})`);
+    }
+  };
+}
+
+const boolean = leaf('true or false', value => typeof value === 'boolean');
+const string = leaf('a string', value => typeof value === 'string');
+const duration = leaf('a duration like "30s", "5m" or "2h"', value => parseDuration(value) !== null);
+const cronExpression = leaf('a cron expression like "*/10 * * * *"', value => typeof value === 'string' && cron.validate(value));
+
+function number(min = -Infinity, max = Infinity) {
+  const range = max === Infinity ? (min === -Infinity ? '' : ` of at least ${min}`) : ` from ${min} to ${max}`;
+  return leaf(`a number${range}`, value => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max);
+}
+
+function integer(min = -Infinity, max = Infinity) {
+  const range = max === Infinity ? ` of at least ${min}` : ` from ${min} to ${max}`;
+  return leaf(`an integer${range}`, value => Number.isInteger(value) && value >= min && value <= max);
+}
+
+function oneOf(...values) {
+  return leaf(`one of ${values.map(value => JSON.stringify(value)).join(', ')}`, value => values.includes(value));
+}
+
+function nullable(validator) {
+  return (value, path, problems) => {
+    if (value !== null) {
+      validator(value, path, problems);
+    }
+  };
+}
+
+// Passes when any of the validators accepts the value; reports the first one's error otherwise
+function either(...validators) {
+  return (value, path, problems) => {
+    const attempts = validators.map(validator => {
+      const attempt = { errors: [], warnings: [] };
+      validator(value, path, attempt);
+      return attempt;
+    });
+    if (attempts.every(attempt => attempt.errors.length > 0)) {
+      problems.errors.push(...attempts[0].errors);
+    }
+  };
+}
+
+// A key that may be left out; only checked when present
+function optional(validator) {
+  const check = (value, path, problems) => validator(value, path, problems);
+  check.optional = true;
+  return check;
+}
+
+function arrayOf(item) {
+  const validator = item && item.constructor === Object ? object(item) : item;
+  return (value, path, problems) => {
+    if (!Array.isArray(value)) {
+      problems.errors.push(`${path} must be a list (got ${describeValue(value)})`);
+      return;
+    }
+    value.forEach((entry, index) => validator(entry, `${path}[${index}]`, problems));
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Object with free-form keys, e.g. disk.perMount
+function mapOf(item) {
+  const validator = item && item.constructor === Object ? object(item) : item;
+  return (value, path, problems) => {
+    if (!isPlainObject(value)) {
+      problems.errors.push(`${path} must be an object (got ${describeValue(value)})`);
+      return;
+    }
+    Object.keys(value).forEach(key => validator(value[key], `${path}.${key}`, problems));
+  };
+}
+
+// Object with known keys; nested plain objects in the shape are objects too
+// open: extra keys are expected (list entries with their own validation), so they are not reported
+function object(shape, { open = false } = {}) {
+  const members = Object.keys(shape).map(key => ({
+    key,
+    validator: shape[key].constructor === Object ? object(shape[key]) : shape[key]
+  }));
+
+  return (value, path, problems) => {
+    if (!isPlainObject(value)) {
+      problems.errors.push(`${path || 'The config'} must be an object (got ${describeValue(value)})`);
+      return;
+    }
+    const prefix = path ? `${path}.` : '';
+
+    members.forEach(({ key, validator }) => {
+      if (value[key] === undefined) {
+        if (!validator.optional) {
+          problems.errors.push(`${prefix}${key} is missing`);
+        }
+        return;
+      }
+      validator(value[key], `${prefix}${key}`, problems);
+    });
+
+    if (!open) {
+      Object.keys(value)
+        .filter(key => !shape[key])
+        .forEach(key => problems.warnings.push(`${prefix}${key} is not a known setting and is ignored`));
+    }
+  };
+}
+
+const percent = number(0, 100);
+
+// Per-instance overrides (disk.perMount, network.perInterface, anomaly.perMetric) may nest
+// the overrides of a sub-check, e.g. { "warning": 80, "inodes": { "warning": 85 } }
+const overrides = mapOf(object({
+  warning: optional(number()),
+  critical: optional(nullable(number())),
+  clearThreshold: optional(nullable(number())),
+  for: optional(duration)
+}, { open: true }));
+
+// warning/critical levels, hysteresis and sustained duration of an alert section
+function thresholds(levels, extra = {}) {
+  return {
+    warning: levels,
+    critical: nullable(levels),
+    clearThreshold: nullable(levels),
+    for: duration,
+    // Legacy single threshold, acts as the warning level
+    threshold: optional(levels),
+    ...extra
+  };
+}
+
+const connection = {
+  host: string,
+  port: integer(1, 65535),
+  database: string,
+  user: string,
+  password: string
+};
+
+const SCHEMA = object({
+  telegram: {
+    enabled: boolean,
+    botToken: string,
+    chatId: either(string, integer()),
+    commands: boolean
+  },
+  notifications: {
+    maxRetries: integer(1),
+    retryDelay: integer(0),
+    webhook: {
+      enabled: boolean,
+      url: string,
+      headers: mapOf(string),
+      timeout: integer(1)
+    },
+    slack: {
+      enabled: boolean,
+      webhookUrl: string,
+      channel: string,
+      username: string,
+      iconEmoji: string
+    },
+    email: {
+      enabled: boolean,
+      host: string,
+      port: integer(1, 65535),
+      secure: boolean,
+      user: string,
+      password: string,
+      from: string,
+      to: string
+    }
+  },
+  monitoring: thresholds(percent, {
+    // The cycle runs on a "*/N" seconds cron schedule; anything above 60 would quietly run once a minute
+    checkInterval: integer(1, 60),
+    includeTopProcesses: boolean,
+    topProcessesCount: integer(1),
+    alertMessageTitle: string,
+    logFile: string,
+    logLevel: oneOf('error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly')
+  }),
+  cpu: { monitor: boolean, ...thresholds(percent) },
+  disk: {
+    monitor: boolean,
+    ...thresholds(percent),
+    path: string,
+    mounts: {
+      include: arrayOf(string),
+      exclude: arrayOf(string),
+      includeTypes: arrayOf(string),
+      excludeTypes: arrayOf(string)
+    },
+    perMount: overrides,
+    inodes: { monitor: boolean, ...thresholds(percent) },
+    forecast: {
+      monitor: boolean,
+      history: duration,
+      minHistory: duration,
+      refresh: duration,
+      horizon: duration,
+      criticalHorizon: duration
+    }
+  },
+  swap: { monitor: boolean, ...thresholds(percent) },
+  load: { monitor: boolean, ...thresholds(number(0)) },
+  network: {
+    monitor: boolean,
+    interface: string,
+    ...thresholds(number(0)),
+    interfaces: {
+      include: arrayOf(string),
+      exclude: arrayOf(string)
+    },
+    perInterface: overrides,
+    utilization: { monitor: boolean, ...thresholds(percent) }
+  },
+  // Entries are checked in detail when the process watcher starts
+  processes: {
+    monitor: boolean,
+    for: duration,
+    watch: arrayOf(object({ name: string }, { open: true })),
+    units: arrayOf(object({ name: string }, { open: true }))
+  },
+  leaks: {
+    monitor: boolean,
+    window: duration,
+    minSamples: integer(2),
+    minRssMb: number(0),
+    minGrowthMbPerHour: number(0),
+    minFit: number(0, 1),
+    criticalHorizon: duration,
+    maxProcesses: integer(1)
+  },
+  anomaly: {
+    metrics: arrayOf(oneOf('ram', 'cpu', 'disk', 'swap', 'load', 'network_rx', 'network_tx')),
+    history: duration,
+    refresh: duration,
+    minSamples: integer(1),
+    warning: number(0),
+    critical: nullable(number(0)),
+    clearThreshold: nullable(number(0)),
+    for: duration,
+    perMetric: overrides
+  },
+  // Expressions are compiled (and their errors reported) by rules.js
+  rules: arrayOf(object({ name: string }, { open: true })),
+  silences: {
+    path: string,
+    maintenance: arrayOf(object({ name: string, start: string, end: string }, { open: true }))
+  },
+  database: {
+    enabled: boolean,
+    type: oneOf('sqlite', 'mysql', 'postgresql'),
+    sqlite: { path: string },
+    migrations: { autoApply: boolean },
+    buffer: {
+      enabled: boolean,
+      batchSize: integer(1),
+      flushInterval: duration,
+      maxQueueSize: integer(1),
+      journalPath: string,
+      maxJournalSizeMb: number(0)
+    },
+    retention: {
+      enabled: boolean,
+      schedule: cronExpression,
+      raw: duration,
+      rollups: mapOf(duration)
+    },
+    mysql: connection,
+    postgresql: connection
+  },
+  prometheus: {
+    enabled: boolean,
+    port: integer(0, 65535),
+    path: leaf('a path starting with "/"', value => typeof value === 'string' && value.startsWith('/')),
+    labels: mapOf(string),
+    defaultMetrics: boolean
+  },
+  dashboard: { enabled: boolean },
+  stream: { maxClients: integer(1) },
+  fleet: {
+    mode: oneOf('standalone', 'agent', 'collector'),
+    token: string,
+    agent: {
+      collectorUrl: string,
+      timeout: integer(1),
+      maxBacklog: integer(1)
+    },
+    collector: {
+      staleAfter: duration,
+      maxSamplesPerRequest: integer(1)
+    }
+  },
+  alertFormat: {
+    enabled: boolean,
+    topBorder: string,
+    titleBorder: string,
+    sectionBorder: string,
+    bottomBorder: string,
+    linePrefix: string,
+    lineSuffix: string,
+    width: integer(10),
+    titleAlign: oneOf('left', 'center', 'right'),
+    dateEmoji: string,
+    ramEmoji: string,
+    cpuEmoji: string,
+    diskEmoji: string,
+    topProcessesEmoji: string,
+    diskBreakdownEmoji: string,
+    warningEmoji: string,
+    criticalEmoji: string,
+    hostnameEmoji: string,
+    ipEmoji: string,
+    uptimeEmoji: string,
+    osEmoji: string,
+    kernelEmoji: string,
+    includeSystemInfo: boolean,
+    includeResources: boolean,
+    includeTopProcesses: boolean,
+    includeDiskBreakdown: boolean
+  }
+});
+
+// Rule expressions and watched processes are compiled by the modules that use them; their errors
+// name the entry (e.g. "rules[2] (DiskFull) needs a message"). Only run on a config that passed the schema.
+const COMPILED = [
+  settings => createRuleSet(settings.rules),
+  settings => settings.processes.monitor && loadWatchList(settings.processes.watch, settings.processes.units)
+];
+
+// Check a whole config object (config.util.toObject() or freshly loaded files)
+// Returns { errors: [...], warnings: [...] }, each message naming the key it is about
+function validateConfig(settings) {
+  const problems = { errors: [], warnings: [] };
+  SCHEMA(settings, '', problems);
+
+  if (problems.errors.length === 0) {
+    COMPILED.forEach(compile => {
+      try {
+        compile(settings);
+      } catch (error) {
+        problems.errors.push(error.message);
+      }
+    });
+  }
+  return problems;
+}
+
+module.exports = {
+  validateConfig
+};
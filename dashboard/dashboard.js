@@ -0,0 +1,407 @@
+// Dashboard for the Memory Monitor API, no external libraries so it works on isolated networks
+(function() {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  const GAUGES = [
+    { key: 'ram', label: 'RAM', unit: '%' },
+    { key: 'cpu', label: 'CPU', unit: '%' },
+    { key: 'disk', label: 'Disk', unit: '%' },
+    { key: 'swap', label: 'Swap', unit: '%' },
+    { key: 'load', label: 'Load', unit: '% per core' },
+    { key: 'rx', label: 'Network RX', unit: 'Mbps', threshold: 'network' },
+    { key: 'tx', label: 'Network TX', unit: 'Mbps', threshold: 'network' }
+  ];
+
+  const CHARTS = [
+    { title: 'RAM usage (%)', series: ['ram'], max: 100 },
+    { title: 'CPU usage (%)', series: ['cpu'], max: 100 },
+    { title: 'Disk usage (%)', series: ['disk'], max: 100 },
+    { title: 'Swap usage (%)', series: ['swap'], max: 100 },
+    { title: 'Load (% per core)', series: ['load'] },
+    { title: 'Network (Mbps, RX / TX)', series: ['network_rx', 'network_tx'] }
+  ];
+
+  const state = {
+    hosts: null,
+    hostname: null,
+    localHostname: null,
+    range: 3600,
+    bucket: '1m',
+    interval: 60,
+    thresholds: {},
+    firingAlerts: []
+  };
+
+  function $(id) {
+    return document.getElementById(id);
+  }
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(name => node.setAttribute(name, attrs[name]));
+    (children || []).forEach(child => node.append(child));
+    return node;
+  }
+
+  function svg(tag, attrs, children) {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.keys(attrs || {}).forEach(name => node.setAttribute(name, attrs[name]));
+    (children || []).forEach(child => node.append(child));
+    return node;
+  }
+
+  // Resolve with the JSON body; API errors carry the "message" of the response
+  async function getJson(url) {
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(body.message || `HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return body;
+  }
+
+  function formatTime(date, withDate) {
+    const pad = value => String(value).padStart(2, '0');
+    const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    return withDate ? `${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${time}` : time;
+  }
+
+  function formatNumber(value) {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+      return '-';
+    }
+    return Math.abs(value) >= 100 ? String(Math.round(value)) : value.toFixed(1).replace(/\.0$/, '');
+  }
+
+  function levelOf(value, threshold) {
+    if (!threshold) {
+      return 'ok';
+    }
+    if (threshold.critical !== null && threshold.critical !== undefined && value >= threshold.critical) {
+      return 'critical';
+    }
+    return value >= threshold.warning ? 'warning' : 'ok';
+  }
+
+  // Half circle gauge; the scale ends at the critical level for non-percent values
+  function renderGauge(gauge, value, threshold) {
+    const max = gauge.unit === '%' ? 100 : Math.max((threshold && (threshold.critical || threshold.warning)) || 100, value);
+    const fraction = Math.max(0, Math.min(1, value / max));
+    const angle = Math.PI * (1 - fraction);
+    const x = 60 + 50 * Math.cos(angle);
+    const y = 60 - 50 * Math.sin(angle);
+    const level = levelOf(value, threshold);
+
+    const arc = svg('svg', { viewBox: '0 0 120 70' }, [
+      svg('path', { d: 'M 10 60 A 50 50 0 0 1 110 60', fill: 'none', stroke: 'var(--border)', 'stroke-width': 10 }),
+      svg('path', {
+        d: `M 10 60 A 50 50 0 0 1 ${x.toFixed(2)} ${y.toFixed(2)}`,
+        fill: 'none',
+        stroke: `var(--${level})`,
+        'stroke-width': 10
+      }),
+      svg('text', { x: 60, y: 58, 'text-anchor': 'middle', 'font-size': 18, fill: 'currentColor' }, [formatNumber(value)])
+    ]);
+
+    return el('div', { class: 'gauge' }, [
+      arc,
+      el('div', { class: 'label' }, [gauge.label]),
+      el('div', { class: 'detail' }, [gauge.unit])
+    ]);
+  }
+
+  function renderCurrent(current) {
+    const values = {
+      ram: current.metrics.ram,
+      cpu: current.metrics.cpu,
+      disk: current.metrics.disk,
+      swap: current.metrics.swap,
+      load: current.metrics.load,
+      rx: (current.metrics.network || [0, 0])[0],
+      tx: (current.metrics.network || [0, 0])[1]
+    };
+
+    $('gauges').replaceChildren(...GAUGES.map(gauge => {
+      const threshold = current.thresholds[gauge.threshold || gauge.key];
+      return renderGauge(gauge, values[gauge.key] || 0, threshold);
+    }));
+
+    const system = current.system;
+    const rows = [
+      ['Hostname', system.hostname],
+      ['IP address', system.ip],
+      ['OS', system.os],
+      ['Kernel', system.kernel],
+      ['Uptime', system.uptime],
+      ['RAM', system.totalRam],
+      ['Disk', system.totalDisk]
+    ];
+    (current.metrics.disks || []).forEach(disk => {
+      rows.push([`Mount ${disk.mount}`, `${disk.usage}%${disk.inodeUsage !== null ? `, inodes ${disk.inodeUsage}%` : ''}`]);
+    });
+    if (current.lastSeen) {
+      rows.push(['Last report', `${formatTime(new Date(current.lastSeen), true)} (${current.status})`]);
+    }
+    $('system').replaceChildren(...rows
+      .filter(([, value]) => value !== undefined && value !== null)
+      .flatMap(([name, value]) => [el('dt', {}, [name]), el('dd', {}, [String(value)])]));
+
+    const firing = current.firingAlerts || [];
+    $('firing').textContent = firing.length === 0
+      ? 'No alerts firing'
+      : `Firing: ${firing.map(alert => `${alert.type} (${alert.severity})`).join(', ')}`;
+    $('updated').textContent = `Updated ${formatTime(new Date(current.timestamp), true)}`;
+  }
+
+  // Agents have no /api/current of their own here; use what the collector knows about them
+  function currentFromHost(host, thresholds) {
+    return {
+      timestamp: host.lastSeen,
+      lastSeen: host.lastSeen,
+      status: host.status,
+      system: { hostname: host.hostname, ip: host.ip, os: host.os, kernel: host.kernel, uptime: host.uptime },
+      metrics: host.metrics,
+      thresholds,
+      firingAlerts: host.firingAlerts
+    };
+  }
+
+  async function refreshCurrent() {
+    try {
+      const current = await getJson('/api/current');
+      state.interval = current.interval;
+      state.localHostname = current.system.hostname;
+      state.thresholds = current.thresholds;
+
+      if (state.hosts) {
+        await refreshHosts();
+      }
+      const host = state.hosts && state.hosts.find(item => item.hostname === state.hostname);
+      const view = host && !host.local ? currentFromHost(host, current.thresholds) : current;
+      state.firingAlerts = view.firingAlerts;
+      renderCurrent(view);
+    } catch (error) {
+      $('updated').textContent = error.status === 503 ? 'Waiting for the first monitoring cycle...' : `Error: ${error.message}`;
+    }
+  }
+
+  // Collector mode only: lets the page switch between reporting hosts
+  async function refreshHosts() {
+    try {
+      const result = await getJson('/api/hosts');
+      state.hosts = result.hosts;
+    } catch (error) {
+      state.hosts = null;
+      return;
+    }
+
+    const select = $('host');
+    if (!state.hostname) {
+      state.hostname = state.localHostname || (state.hosts[0] && state.hosts[0].hostname);
+    }
+    const options = state.hosts.map(host => el('option', { value: host.hostname }, [
+      `${host.hostname}${host.status === 'stale' ? ' (stale)' : ''}`
+    ]));
+    select.replaceChildren(...options);
+    select.value = state.hostname;
+    $('host-picker').hidden = false;
+  }
+
+  // Split into segments where buckets are missing, so gaps are not drawn as lines
+  function segments(buckets, bucketMs) {
+    const result = [];
+    let current = [];
+    buckets.forEach((bucket, index) => {
+      if (index > 0 && bucket.time - buckets[index - 1].time > bucketMs * 1.5) {
+        result.push(current);
+        current = [];
+      }
+      current.push(bucket);
+    });
+    if (current.length > 0) {
+      result.push(current);
+    }
+    return result;
+  }
+
+  // Line of averages with a min/max band, for each series
+  function renderChart(chart, buckets, from, to, bucketMs) {
+    const width = 600;
+    const height = 160;
+    const left = 36;
+    const bottom = 18;
+    const plotWidth = width - left - 8;
+    const plotHeight = height - bottom - 8;
+
+    const peak = Math.max(1, ...buckets.flatMap(bucket => chart.series.map(name => bucket[name] ? bucket[name].max : 0)));
+    const max = chart.max || Math.ceil(peak * 1.1);
+    const xOf = time => left + ((time - from) / (to - from)) * plotWidth;
+    const yOf = value => 8 + plotHeight - (Math.min(value, max) / max) * plotHeight;
+
+    const children = [
+      svg('line', { class: 'axis', x1: left, y1: 8 + plotHeight, x2: width - 8, y2: 8 + plotHeight }),
+      svg('line', { class: 'axis', x1: left, y1: 8, x2: width - 8, y2: 8 }),
+      svg('text', { x: left - 4, y: 12, 'text-anchor': 'end' }, [formatNumber(max)]),
+      svg('text', { x: left - 4, y: 8 + plotHeight, 'text-anchor': 'end' }, ['0'])
+    ];
+
+    const withDate = to - from > 86400 * 1000;
+    [0, 0.5, 1].forEach(position => {
+      const time = from + (to - from) * position;
+      const anchor = position === 0 ? 'start' : position === 1 ? 'end' : 'middle';
+      children.push(svg('text', { x: xOf(time), y: height - 4, 'text-anchor': anchor }, [formatTime(new Date(time), withDate)]));
+    });
+
+    chart.series.forEach((name, index) => {
+      segments(buckets.filter(bucket => bucket[name]), bucketMs).forEach(segment => {
+        const upper = segment.map(bucket => `${xOf(bucket.time).toFixed(1)},${yOf(bucket[name].max).toFixed(1)}`);
+        const lower = segment.slice().reverse().map(bucket => `${xOf(bucket.time).toFixed(1)},${yOf(bucket[name].min).toFixed(1)}`);
+        children.push(svg('polygon', { class: 'band', points: upper.concat(lower).join(' ') }));
+
+        const line = segment.map(bucket => `${xOf(bucket.time).toFixed(1)},${yOf(bucket[name].avg).toFixed(1)}`);
+        // A single bucket would otherwise be invisible
+        if (line.length === 1) {
+          line.push(`${(xOf(segment[0].time) + 2).toFixed(1)},${yOf(segment[0][name].avg).toFixed(1)}`);
+        }
+        children.push(svg('polyline', { class: index === 0 ? 'avg' : 'avg secondary', points: line.join(' ') }));
+      });
+    });
+
+    return el('div', { class: 'chart' }, [
+      el('h3', {}, [chart.title]),
+      svg('svg', { viewBox: `0 0 ${width} ${height}`, preserveAspectRatio: 'none' }, children)
+    ]);
+  }
+
+  async function refreshHistory() {
+    const to = Date.now();
+    const from = to - state.range * 1000;
+    const params = new URLSearchParams({
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      bucket: state.bucket
+    });
+    if (state.hosts && state.hostname) {
+      params.set('hostname', state.hostname);
+    }
+
+    try {
+      const result = await getJson(`/api/metrics?${params}`);
+      const bucketMs = result.buckets.length > 1
+        ? Math.min(...result.buckets.slice(1).map((bucket, index) => new Date(bucket.timestamp) - new Date(result.buckets[index].timestamp)))
+        : 60 * 1000;
+      const buckets = result.buckets.map(bucket => ({ ...bucket, time: new Date(bucket.timestamp).getTime() }));
+
+      $('history-message').hidden = buckets.length > 0;
+      $('history-message').textContent = 'No stored metrics in this time range';
+      $('charts').replaceChildren(...CHARTS.map(chart => renderChart(chart, buckets, from, to, bucketMs)));
+    } catch (error) {
+      $('history-message').hidden = false;
+      $('history-message').textContent = error.status === 503
+        ? 'History needs the database integration (database.enabled)'
+        : `Could not load history: ${error.message}`;
+      $('charts').replaceChildren();
+    }
+  }
+
+  async function refreshAlerts() {
+    const params = new URLSearchParams({ limit: 25 });
+    if (state.hosts && state.hostname) {
+      params.set('hostname', state.hostname);
+    }
+
+    try {
+      const result = await getJson(`/api/alerts?${params}`);
+      $('alerts-message').hidden = result.alerts.length > 0;
+      $('alerts-message').textContent = 'No alerts recorded';
+      $('alerts').querySelector('tbody').replaceChildren(...result.alerts.map(alert => el('tr', {}, [
+        el('td', {}, [formatTime(new Date(alert.timestamp), true)]),
+        el('td', {}, [alert.hostname]),
+        el('td', {}, [alert.type]),
+        el('td', {}, [alert.value]),
+        el('td', { class: `severity-${alert.severity}` }, [alert.severity]),
+        el('td', { class: `state-${alert.state}` }, [alert.state]),
+        el('td', {}, [alert.channel || '-']),
+        el('td', {}, [alert.sentSuccessfully ? 'yes' : 'no']),
+        el('td', {}, [alert.acknowledgedBy ? `${alert.acknowledgedBy} (${formatTime(new Date(alert.acknowledgedAt), true)})` : '-'])
+      ])));
+    } catch (error) {
+      $('alerts-message').hidden = false;
+      $('alerts-message').textContent = error.status === 503
+        ? 'Alert history needs the database integration (database.enabled)'
+        : `Could not load alerts: ${error.message}`;
+    }
+  }
+
+  // New sample from GET /api/stream; firing alerts are refreshed when an alert event arrives
+  function onSample(sample) {
+    // Before the first /api/current answer any sample is this host's
+    const hostname = state.hosts ? state.hostname : state.localHostname;
+    if (hostname && sample.hostname !== hostname) {
+      return;
+    }
+
+    const host = state.hosts && state.hosts.find(item => item.hostname === sample.hostname);
+    renderCurrent({
+      ...sample,
+      lastSeen: host && !host.local ? sample.timestamp : null,
+      status: 'reporting',
+      thresholds: state.thresholds,
+      firingAlerts: state.firingAlerts
+    });
+  }
+
+  // Follow the host live; returns false if the browser has no EventSource
+  function subscribe() {
+    if (!window.EventSource) {
+      return false;
+    }
+
+    const source = new EventSource('/api/stream');
+    source.addEventListener('sample', event => onSample(JSON.parse(event.data)));
+    source.addEventListener('alert', () => {
+      refreshCurrent();
+      refreshAlerts();
+    });
+    return true;
+  }
+
+  function refreshAll() {
+    return Promise.all([refreshCurrent(), refreshHistory(), refreshAlerts()]);
+  }
+
+  $('ranges').addEventListener('click', event => {
+    const button = event.target.closest('button');
+    if (!button) {
+      return;
+    }
+    $('ranges').querySelectorAll('button').forEach(item => item.classList.toggle('active', item === button));
+    state.range = Number(button.dataset.range);
+    state.bucket = button.dataset.bucket;
+    refreshHistory();
+  });
+
+  $('host').addEventListener('change', event => {
+    state.hostname = event.target.value;
+    refreshAll();
+  });
+
+  async function start() {
+    await refreshCurrent();
+    await refreshHosts();
+    await refreshAll();
+
+    // Without the stream, poll at the monitoring interval (but not more often than every 5 seconds);
+    // with it, only the host list and firing alerts need an occasional refresh
+    const live = subscribe();
+    setInterval(refreshCurrent, (live ? 60 : Math.max(5, state.interval)) * 1000);
+    setInterval(() => {
+      refreshHistory();
+      refreshAlerts();
+    }, 60 * 1000);
+  }
+
+  start();
+})();
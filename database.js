@@ -1,15 +1,336 @@
 const config = require('config');
 const sqlite3 = require('sqlite3').verbose();
 const mysql = require('mysql2/promise');
-const { Pool } = require('pg');
+const { Pool, Client, types } = require('pg');
 const fs = require('fs');
 const path = require('path');
+const { parseTimestamp, toDbTimestamp } = require('./timeUtils');
+const { runMigrations } = require('./migrations');
+const { setupMemory } = require('./memoryDatabase');
+const {
+  METRIC_COLUMNS,
+  ROLLUPS,
+  pickRollup,
+  getRollup,
+  checkRetentionTable,
+  WRITE_KINDS,
+  checkWrites,
+  validateAdapter,
+  shapeMetricRow,
+  shapeAlert,
+  shapeBuckets,
+  shapeDiskBuckets,
+  shapeTimeRange
+} = require('./storageAdapter');
 
 // Database connection
 let dbConnection = null;
 
+// Merge "name_min / name_avg / name_max" rows (raw samples count as one-sample buckets)
+function aggregateColumns(metrics) {
+  return metrics.map(name => {
+    return `MIN(${name}_min) AS ${name}_min, SUM(${name}_avg * samples) / SUM(samples) AS ${name}_avg, MAX(${name}_max) AS ${name}_max`;
+  }).join(', ');
+}
+
+// Build the queryMetrics SELECT with "?" placeholders
+// bucketExpr groups the "timestamp" column into epoch-second buckets and takes bucketSeconds twice.
+// With a rollup, buckets before rollupEnd are read from the rollup table and newer samples from metrics.
+function buildMetricsQuery({ bucketExpr, from, to, hostname, metrics, bucketSeconds, rollup, rollupEnd }) {
+  const hostFilter = hostname ? ' AND hostname = ?' : '';
+  const hostParams = hostname ? [hostname] : [];
+  
+  const rawColumns = metrics.map(name => {
+    const column = METRIC_COLUMNS[name];
+    return `${column} AS ${name}_min, ${column} AS ${name}_avg, ${column} AS ${name}_max`;
+  }).join(', ');
+  
+  let source = `SELECT timestamp, 1 AS samples, ${rawColumns} FROM metrics WHERE timestamp >= ? AND timestamp < ?${hostFilter}`;
+  let params = [from, to, ...hostParams];
+  
+  if (rollup && rollupEnd) {
+    // Include the rollup bucket "from" falls into, like the first raw bucket does
+    const rollupMs = rollup.seconds * 1000;
+    const rollupFrom = toDbTimestamp(new Date(Math.floor(parseTimestamp(from).getTime() / rollupMs) * rollupMs));
+    
+    const rollupColumns = metrics.map(name => `${name}_min, ${name}_avg, ${name}_max`).join(', ');
+    source = `SELECT timestamp, samples, ${rollupColumns} FROM ${rollup.table} WHERE timestamp >= ? AND timestamp < ? AND timestamp < ?${hostFilter}
+      UNION ALL ${source} AND timestamp >= ?`;
+    params = [rollupFrom, to, rollupEnd, ...hostParams, from, to, ...hostParams, rollupEnd];
+  }
+  
+  return {
+    sql: `SELECT ${bucketExpr} AS bucket, SUM(samples) AS samples, ${aggregateColumns(metrics)}
+      FROM (${source}) combined GROUP BY bucket ORDER BY bucket`,
+    params: [bucketSeconds, bucketSeconds, ...params]
+  };
+}
+
+// Build the queryDiskUsage SELECT with "?" placeholders; bucketExpr is the same as in buildMetricsQuery
+function buildDiskQuery({ bucketExpr, from, to, hostname, bucketSeconds }) {
+  const hostFilter = hostname ? ' AND hostname = ?' : '';
+  
+  return {
+    sql: `SELECT ${bucketExpr} AS bucket, mount, COUNT(*) AS samples, AVG(disk_usage) AS disk_usage,
+      AVG(used_bytes) AS used_bytes, MAX(size_bytes) AS size_bytes
+      FROM disk_metrics WHERE timestamp >= ? AND timestamp < ?${hostFilter}
+      GROUP BY bucket, mount ORDER BY mount, bucket`,
+    params: [bucketSeconds, bucketSeconds, from, to, ...(hostname ? [hostname] : [])]
+  };
+}
+
+// Build the INSERT ... SELECT that aggregates raw samples in [from, to) into a rollup table
+// bucketTimestampExpr turns the "timestamp" column into the bucket start and takes the bucket size twice
+function buildRollupInsert(rollup, bucketTimestampExpr, from, to) {
+  const names = Object.keys(METRIC_COLUMNS);
+  const columns = names.map(name => `${name}_min, ${name}_avg, ${name}_max`).join(', ');
+  const aggregates = names.map(name => {
+    const column = METRIC_COLUMNS[name];
+    return `MIN(${column}), AVG(${column}), MAX(${column})`;
+  }).join(', ');
+  
+  return {
+    sql: `INSERT INTO ${rollup.table} (timestamp, hostname, samples, ${columns})
+      SELECT ${bucketTimestampExpr} AS bucket, hostname, COUNT(*), ${aggregates}
+      FROM metrics WHERE timestamp >= ? AND timestamp < ? GROUP BY bucket, hostname`,
+    params: [rollup.seconds, rollup.seconds, from, to]
+  };
+}
+
+// Rows per INSERT statement in storeBatch, well below every backend's bound parameter limit
+const BATCH_INSERT_ROWS = 50;
+
+// Build multi-row INSERT statements for storeBatch, keeping the order of the writes
+// booleanValue converts sent_successfully for the backend
+function buildBatchInserts(writes, booleanValue) {
+  checkWrites(writes);
+  
+  const statements = [];
+  let group = [];
+  
+  const flushGroup = () => {
+    if (group.length === 0) {
+      return;
+    }
+    const { table, columns } = WRITE_KINDS[group[0].kind];
+    const placeholders = `(${columns.map(() => '?').join(', ')})`;
+    statements.push({
+      sql: `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${group.map(() => placeholders).join(', ')}`,
+      params: group.flatMap(write => writeValues(write, booleanValue))
+    });
+    group = [];
+  };
+  
+  writes.forEach(write => {
+    if (group.length > 0 && (group[0].kind !== write.kind || group.length >= BATCH_INSERT_ROWS)) {
+      flushGroup();
+    }
+    group.push(write);
+  });
+  flushGroup();
+  
+  return statements;
+}
+
+// Apply the same defaults as storeAlert
+function writeValues(write, booleanValue) {
+  if (write.kind !== 'alert') {
+    return write.values;
+  }
+  const [timestamp, hostname, alertType, value, message, sentSuccessfully, channel, state, severity, suppressedBy] = write.values;
+  return [timestamp, hostname, alertType, value, message, booleanValue(sentSuccessfully), channel || null, state || 'firing', severity || 'warning', suppressedBy || null];
+}
+
+// Run statements in one transaction on a single-connection client
+async function runTransaction(client, statements) {
+  await client.query('BEGIN', []);
+  try {
+    for (const statement of statements) {
+      await client.query(statement.sql, statement.params);
+    }
+    await client.query('COMMIT', []);
+  } catch (error) {
+    await client.query('ROLLBACK', []).catch(() => {});
+    throw error;
+  }
+}
+
+// Number "?" placeholders as $1, $2, ... for PostgreSQL
+function toPgPlaceholders(sql) {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+// Build the WHERE clause for queryAlerts
+// filters: { type, hostname, from, to, sentSuccessfully, acknowledged, suppressed }
+// placeholder(index) returns "?" or "$n" depending on the backend
+function alertConditions(filters, placeholder, booleanValue) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, ...values) => {
+    conditions.push(sql.replace(/\?/g, () => placeholder(params.push(values.shift()))));
+  };
+  
+  if (filters.type) {
+    // "Disk" also matches "Disk:/var", "Disk:/home", ...
+    add('(alert_type = ? OR alert_type LIKE ?)', filters.type, `${filters.type}:%`);
+  }
+  if (filters.hostname) {
+    add('hostname = ?', filters.hostname);
+  }
+  if (filters.from) {
+    add('timestamp >= ?', filters.from);
+  }
+  if (filters.to) {
+    add('timestamp < ?', filters.to);
+  }
+  if (filters.sentSuccessfully !== undefined && filters.sentSuccessfully !== null) {
+    add('sent_successfully = ?', booleanValue(filters.sentSuccessfully));
+  }
+  if (filters.acknowledged === true) {
+    conditions.push('acknowledged_at IS NOT NULL');
+  } else if (filters.acknowledged === false) {
+    conditions.push('acknowledged_at IS NULL');
+  }
+  if (filters.suppressed === true) {
+    conditions.push('suppressed_by IS NOT NULL');
+  } else if (filters.suppressed === false) {
+    conditions.push('suppressed_by IS NULL');
+  }
+  
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+// Single-connection clients for the migration runner: { dialect, query(sql, params) -> rows }
+function sqliteClient(db) {
+  return {
+    dialect: 'sqlite',
+    query: (sql, params) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    })
+  };
+}
+
+function mysqlClient(connection) {
+  return {
+    dialect: 'mysql',
+    query: async (sql, params) => {
+      const [rows] = await connection.query(sql, params);
+      return Array.isArray(rows) ? rows : [];
+    }
+  };
+}
+
+function postgresqlClient(client) {
+  return {
+    dialect: 'postgresql',
+    query: async (sql, params) => {
+      const result = await client.query(toPgPlaceholders(sql), params);
+      return result.rows;
+    }
+  };
+}
+
+// Timestamps are stored in UTC; read DATETIME columns as UTC regardless of the server time zone
+function mysqlConfig() {
+  return {
+    host: config.get('database.mysql.host'),
+    port: config.get('database.mysql.port'),
+    database: config.get('database.mysql.database'),
+    user: config.get('database.mysql.user'),
+    password: config.get('database.mysql.password'),
+    timezone: 'Z'
+  };
+}
+
+// Same for TIMESTAMP (without time zone) columns, which node-postgres parses as local time
+const PG_TIMESTAMP_OID = 1114;
+const pgTypes = {
+  getTypeParser: (oid, format) => {
+    if (oid === PG_TIMESTAMP_OID) {
+      return value => parseTimestamp(value);
+    }
+    return types.getTypeParser(oid, format);
+  }
+};
+
+function postgresqlConfig() {
+  return {
+    host: config.get('database.postgresql.host'),
+    port: config.get('database.postgresql.port'),
+    database: config.get('database.postgresql.database'),
+    user: config.get('database.postgresql.user'),
+    password: config.get('database.postgresql.password'),
+    types: pgTypes
+  };
+}
+
+// Bring the schema up to date on startup, or refuse to start if database.migrations.autoApply is off
+async function applyMigrations(client) {
+  if (config.get('database.migrations.autoApply')) {
+    await runMigrations(client);
+    return;
+  }
+  
+  const pending = await runMigrations(client, { dryRun: true });
+  if (pending.length > 0) {
+    throw new Error(`Database schema is out of date (pending: ${pending.map(migration => migration.name).join(', ')}). Run "npm run migrate" first`);
+  }
+}
+
+// Run migrations outside the monitor ("npm run migrate", "npm run migrate -- --dry-run")
+// Returns [{ version, name, description, statements }] applied, or pending with dryRun
+async function migrateDatabase({ dryRun = false } = {}) {
+  const dbType = config.get('database.type');
+  
+  if (dbType === 'sqlite') {
+    const dbPath = config.get('database.sqlite.path');
+    
+    // A dry run must not create the database file; every migration is pending for a new database
+    let db;
+    if (dryRun) {
+      db = new sqlite3.Database(fs.existsSync(dbPath) ? dbPath : ':memory:', sqlite3.OPEN_READONLY);
+    } else {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+      db = new sqlite3.Database(dbPath);
+    }
+    
+    try {
+      return await runMigrations(sqliteClient(db), { dryRun });
+    } finally {
+      db.close();
+    }
+  } else if (dbType === 'mysql') {
+    const connection = await mysql.createConnection(mysqlConfig());
+    try {
+      return await runMigrations(mysqlClient(connection), { dryRun });
+    } finally {
+      await connection.end();
+    }
+  } else if (dbType === 'postgresql') {
+    const client = new Client(postgresqlConfig());
+    await client.connect();
+    try {
+      return await runMigrations(postgresqlClient(client), { dryRun });
+    } finally {
+      await client.end();
+    }
+  }
+  
+  throw new Error(`Unsupported database type: ${dbType}`);
+}
+
 // Initialize database based on configuration
-function setupDatabase() {
+async function setupDatabase() {
   const dbType = config.get('database.type');
   
   if (!config.get('database.enabled')) {
@@ -17,17 +338,18 @@ function setupDatabase() {
     return null;
   }
   
+  const setup = BACKENDS[dbType];
+  if (!setup) {
+    console.error(`Unsupported database type: ${dbType}`);
+    return null;
+  }
+  
   try {
-    if (dbType === 'sqlite') {
-      return setupSqlite();
-    } else if (dbType === 'mysql') {
-      return setupMysql();
-    } else if (dbType === 'postgresql') {
-      return setupPostgresql();
-    } else {
-      console.error(`Unsupported database type: ${dbType}`);
-      return null;
+    const adapter = await setup();
+    if (adapter) {
+      validateAdapter(dbType, adapter);
     }
+    return adapter;
   } catch (error) {
     console.error(`Error setting up database: ${error.message}`);
     return null;
@@ -35,7 +357,7 @@ function setupDatabase() {
 }
 
 // Setup SQLite database
-function setupSqlite() {
+async function setupSqlite() {
   try {
     const dbPath = config.get('database.sqlite.path');
     
@@ -48,38 +370,25 @@ function setupSqlite() {
     // Create database connection
     const db = new sqlite3.Database(dbPath);
     
-    // Create tables if they don't exist
-    db.serialize(() => {
-      // Metrics table
-      db.run(`CREATE TABLE IF NOT EXISTS metrics (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        timestamp TEXT NOT NULL,
-        hostname TEXT NOT NULL,
-        ip_address TEXT NOT NULL,
-        ram_usage REAL NOT NULL,
-        cpu_usage REAL NOT NULL,
-        disk_usage REAL NOT NULL,
-        swap_usage REAL NOT NULL,
-        load_average REAL NOT NULL,
-        network_rx REAL NOT NULL,
-        network_tx REAL NOT NULL,
-        extra_data TEXT
-      )`);
-      
-      // Alerts table
-      db.run(`CREATE TABLE IF NOT EXISTS alerts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        timestamp TEXT NOT NULL,
-        hostname TEXT NOT NULL,
-        alert_type TEXT NOT NULL,
-        value TEXT NOT NULL,
-        message TEXT NOT NULL,
-        sent_successfully INTEGER NOT NULL
-      )`);
-    });
+    // Create or upgrade tables (see migrations/)
+    await applyMigrations(sqliteClient(db));
     
     console.log(`SQLite database initialized at ${dbPath}`);
     
+    // Oldest and newest timestamp in a table: { oldest, newest }
+    const getTimeRange = async (table) => {
+      checkRetentionTable(table);
+      return new Promise((resolve, reject) => {
+        db.get(`SELECT MIN(timestamp) AS oldest, MAX(timestamp) AS newest FROM ${table}`, [], (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(shapeTimeRange(row));
+          }
+        });
+      });
+    };
+    
     // Return database interface
     return {
       storeMetrics: async (timestamp, hostname, ipAddress, ramUsage, cpuUsage, diskUsage, swapUsage, loadAverage, networkRx, networkTx, extraData) => {
@@ -105,14 +414,56 @@ function setupSqlite() {
         });
       },
       
-      storeAlert: async (timestamp, hostname, alertType, value, message, sentSuccessfully) => {
+      storeDiskMetrics: async (timestamp, hostname, mount, fsType, diskUsage, inodeUsage, sizeBytes, usedBytes) => {
+        return new Promise((resolve, reject) => {
+          const stmt = db.prepare(`INSERT INTO disk_metrics (
+            timestamp, hostname, mount, fs_type, disk_usage, inode_usage, size_bytes, used_bytes
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+          
+          stmt.run(
+            timestamp, hostname, mount, fsType, diskUsage, inodeUsage, sizeBytes, usedBytes,
+            function(err) {
+              if (err) {
+                reject(err);
+              } else {
+                resolve(this.lastID);
+              }
+            }
+          );
+          
+          stmt.finalize();
+        });
+      },
+      
+      storeProcessMetrics: async (timestamp, hostname, name, running, pid, cpuUsage, rssBytes, restarts) => {
+        return new Promise((resolve, reject) => {
+          const stmt = db.prepare(`INSERT INTO process_metrics (
+            timestamp, hostname, name, running, pid, cpu_usage, rss_bytes, restarts
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+          
+          stmt.run(
+            timestamp, hostname, name, running, pid, cpuUsage, rssBytes, restarts,
+            function(err) {
+              if (err) {
+                reject(err);
+              } else {
+                resolve(this.lastID);
+              }
+            }
+          );
+          
+          stmt.finalize();
+        });
+      },
+      
+      storeAlert: async (timestamp, hostname, alertType, value, message, sentSuccessfully, channel, state, severity, suppressedBy) => {
         return new Promise((resolve, reject) => {
           const stmt = db.prepare(`INSERT INTO alerts (
-            timestamp, hostname, alert_type, value, message, sent_successfully
-          ) VALUES (?, ?, ?, ?, ?, ?)`);
+            timestamp, hostname, alert_type, value, message, sent_successfully, channel, state, severity, suppressed_by
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
           
           stmt.run(
-            timestamp, hostname, alertType, value, message, sentSuccessfully ? 1 : 0,
+            timestamp, hostname, alertType, value, message, sentSuccessfully ? 1 : 0, channel || null, state || 'firing', severity || 'warning', suppressedBy || null,
             function(err) {
               if (err) {
                 reject(err);
@@ -126,13 +477,95 @@ function setupSqlite() {
         });
       },
       
+      // Insert queued writes in order within one transaction: [{ kind, values }]
+      storeBatch: async (writes) => {
+        const statements = buildBatchInserts(writes, value => (value ? 1 : 0));
+        await runTransaction(sqliteClient(db), statements);
+        return writes.length;
+      },
+      
       getRecentMetrics: async (limit = 100) => {
         return new Promise((resolve, reject) => {
-          db.all(`SELECT * FROM metrics ORDER BY timestamp DESC LIMIT ?`, [limit], (err, rows) => {
+          db.all(`SELECT * FROM metrics ORDER BY timestamp DESC, id DESC LIMIT ?`, [limit], (err, rows) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(rows.map(shapeMetricRow));
+            }
+          });
+        });
+      },
+      
+      // Aggregate metrics into time buckets: { from, to, hostname, metrics, bucketSeconds }
+      queryMetrics: async ({ from, to, hostname, metrics, bucketSeconds }) => {
+        const rollup = pickRollup(bucketSeconds);
+        const rolled = rollup ? await getTimeRange(rollup.table) : null;
+        const rollupEnd = rolled && rolled.newest ? toDbTimestamp(new Date(rolled.newest.getTime() + rollup.seconds * 1000)) : null;
+        
+        const { sql, params } = buildMetricsQuery({
+          bucketExpr: `(CAST(strftime('%s', timestamp) AS INTEGER) / ?) * ?`,
+          from, to, hostname, metrics, bucketSeconds, rollup, rollupEnd
+        });
+        
+        return new Promise((resolve, reject) => {
+          db.all(sql, params, (err, rows) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(shapeBuckets(rows, metrics));
+            }
+          });
+        });
+      },
+      
+      // Aggregate disk usage per mount into time buckets: { from, to, hostname, bucketSeconds }
+      queryDiskUsage: async ({ from, to, hostname, bucketSeconds }) => {
+        const { sql, params } = buildDiskQuery({
+          bucketExpr: `(CAST(strftime('%s', timestamp) AS INTEGER) / ?) * ?`,
+          from, to, hostname, bucketSeconds
+        });
+        
+        return new Promise((resolve, reject) => {
+          db.all(sql, params, (err, rows) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(shapeDiskBuckets(rows));
+            }
+          });
+        });
+      },
+      
+      // Aggregate raw samples in [from, to) into a rollup table; resolves to the number of buckets written
+      rollupMetrics: async (rollupName, from, to) => {
+        const { sql, params } = buildRollupInsert(
+          getRollup(rollupName),
+          `strftime('%Y-%m-%d %H:%M:%S', (CAST(strftime('%s', timestamp) AS INTEGER) / ?) * ?, 'unixepoch')`,
+          from, to
+        );
+        
+        return new Promise((resolve, reject) => {
+          db.run(sql, params, function(err) {
             if (err) {
               reject(err);
             } else {
-              resolve(rows);
+              resolve(this.changes);
+            }
+          });
+        });
+      },
+      
+      getTimeRange,
+      
+      // Delete rows older than timestamp; resolves to the number of deleted rows
+      deleteOlderThan: async (table, timestamp) => {
+        checkRetentionTable(table);
+        return new Promise((resolve, reject) => {
+          db.run(`DELETE FROM ${table} WHERE timestamp < ?`, [timestamp], function(err) {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(this.changes);
             }
           });
         });
@@ -140,16 +573,61 @@ function setupSqlite() {
       
       getRecentAlerts: async (limit = 100) => {
         return new Promise((resolve, reject) => {
-          db.all(`SELECT * FROM alerts ORDER BY timestamp DESC LIMIT ?`, [limit], (err, rows) => {
+          db.all(`SELECT * FROM alerts ORDER BY timestamp DESC, id DESC LIMIT ?`, [limit], (err, rows) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(rows.map(shapeAlert));
+            }
+          });
+        });
+      },
+      
+      // Filtered alert history, newest first: { type, hostname, from, to, sentSuccessfully, acknowledged, suppressed, limit }
+      queryAlerts: async (filters) => {
+        const { where, params } = alertConditions(filters, () => '?', value => (value ? 1 : 0));
+        params.push(filters.limit || 100);
+        
+        return new Promise((resolve, reject) => {
+          db.all(`SELECT * FROM alerts ${where} ORDER BY timestamp DESC, id DESC LIMIT ?`, params, (err, rows) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(rows.map(shapeAlert));
+            }
+          });
+        });
+      },
+      
+      getAlert: async (id) => {
+        return new Promise((resolve, reject) => {
+          db.get(`SELECT * FROM alerts WHERE id = ?`, [id], (err, row) => {
             if (err) {
               reject(err);
             } else {
-              resolve(rows);
+              resolve(row ? shapeAlert(row) : null);
             }
           });
         });
       },
       
+      // Record who acknowledged an alert; resolves false if it does not exist or is already acknowledged
+      acknowledgeAlert: async (id, acknowledgedBy, timestamp) => {
+        return new Promise((resolve, reject) => {
+          db.run(
+            `UPDATE alerts SET acknowledged_by = ?, acknowledged_at = ? WHERE id = ? AND acknowledged_at IS NULL`,
+            [acknowledgedBy, timestamp, id],
+            function(err) {
+              if (err) {
+                reject(err);
+              } else {
+                resolve(this.changes > 0);
+              }
+            }
+          );
+        });
+      },
+      
       close: () => {
         db.close();
       }
@@ -164,11 +642,7 @@ function setupSqlite() {
 async function setupMysql() {
   try {
     const dbConfig = {
-      host: config.get('database.mysql.host'),
-      port: config.get('database.mysql.port'),
-      database: config.get('database.mysql.database'),
-      user: config.get('database.mysql.user'),
-      password: config.get('database.mysql.password'),
+      ...mysqlConfig(),
       waitForConnections: true,
       connectionLimit: 10,
       queueLimit: 0
@@ -177,38 +651,26 @@ async function setupMysql() {
     // Create connection pool
     const pool = mysql.createPool(dbConfig);
     
-    // Test connection
+    // Create or upgrade tables on one connection (see migrations/)
     const connection = await pool.getConnection();
-    connection.release();
-    
-    // Create tables if they don't exist
-    await pool.query(`CREATE TABLE IF NOT EXISTS metrics (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      timestamp DATETIME NOT NULL,
-      hostname VARCHAR(255) NOT NULL,
-      ip_address VARCHAR(45) NOT NULL,
-      ram_usage FLOAT NOT NULL,
-      cpu_usage FLOAT NOT NULL,
-      disk_usage FLOAT NOT NULL,
-      swap_usage FLOAT NOT NULL,
-      load_average FLOAT NOT NULL,
-      network_rx FLOAT NOT NULL,
-      network_tx FLOAT NOT NULL,
-      extra_data JSON
-    )`);
-    
-    await pool.query(`CREATE TABLE IF NOT EXISTS alerts (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      timestamp DATETIME NOT NULL,
-      hostname VARCHAR(255) NOT NULL,
-      alert_type VARCHAR(50) NOT NULL,
-      value VARCHAR(100) NOT NULL,
-      message TEXT NOT NULL,
-      sent_successfully BOOLEAN NOT NULL
-    )`);
+    try {
+      await applyMigrations(mysqlClient(connection));
+    } finally {
+      connection.release();
+    }
     
     console.log(`MySQL database initialized at ${dbConfig.host}:${dbConfig.port}/${dbConfig.database}`);
     
+    // Oldest and newest timestamp in a table: { oldest, newest }
+    const getTimeRange = async (table) => {
+      checkRetentionTable(table);
+      const [rows] = await pool.query(
+        `SELECT DATE_FORMAT(MIN(timestamp), '%Y-%m-%d %H:%i:%s') AS oldest, DATE_FORMAT(MAX(timestamp), '%Y-%m-%d %H:%i:%s') AS newest FROM ${table}`
+      );
+      
+      return shapeTimeRange(rows[0]);
+    };
+    
     // Return database interface
     return {
       storeMetrics: async (timestamp, hostname, ipAddress, ramUsage, cpuUsage, diskUsage, swapUsage, loadAverage, networkRx, networkTx, extraData) => {
@@ -226,35 +688,158 @@ async function setupMysql() {
         return result.insertId;
       },
       
-      storeAlert: async (timestamp, hostname, alertType, value, message, sentSuccessfully) => {
+      storeDiskMetrics: async (timestamp, hostname, mount, fsType, diskUsage, inodeUsage, sizeBytes, usedBytes) => {
+        const [result] = await pool.query(
+          `INSERT INTO disk_metrics (
+            timestamp, hostname, mount, fs_type, disk_usage, inode_usage, size_bytes, used_bytes
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            timestamp, hostname, mount, fsType, diskUsage, inodeUsage, sizeBytes, usedBytes
+          ]
+        );
+        
+        return result.insertId;
+      },
+      
+      storeProcessMetrics: async (timestamp, hostname, name, running, pid, cpuUsage, rssBytes, restarts) => {
+        const [result] = await pool.query(
+          `INSERT INTO process_metrics (
+            timestamp, hostname, name, running, pid, cpu_usage, rss_bytes, restarts
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            timestamp, hostname, name, running, pid, cpuUsage, rssBytes, restarts
+          ]
+        );
+        
+        return result.insertId;
+      },
+      
+      storeAlert: async (timestamp, hostname, alertType, value, message, sentSuccessfully, channel, state, severity, suppressedBy) => {
         const [result] = await pool.query(
           `INSERT INTO alerts (
-            timestamp, hostname, alert_type, value, message, sent_successfully
-          ) VALUES (?, ?, ?, ?, ?, ?)`,
+            timestamp, hostname, alert_type, value, message, sent_successfully, channel, state, severity, suppressed_by
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
-            timestamp, hostname, alertType, value, message, sentSuccessfully
+            timestamp, hostname, alertType, value, message, sentSuccessfully, channel || null, state || 'firing', severity || 'warning', suppressedBy || null
           ]
         );
         
         return result.insertId;
       },
       
+      // Insert queued writes in order within one transaction: [{ kind, values }]
+      storeBatch: async (writes) => {
+        const statements = buildBatchInserts(writes, value => Boolean(value));
+        const connection = await pool.getConnection();
+        try {
+          await runTransaction(mysqlClient(connection), statements);
+        } finally {
+          connection.release();
+        }
+        
+        return writes.length;
+      },
+      
       getRecentMetrics: async (limit = 100) => {
         const [rows] = await pool.query(
-          `SELECT * FROM metrics ORDER BY timestamp DESC LIMIT ?`,
+          `SELECT * FROM metrics ORDER BY timestamp DESC, id DESC LIMIT ?`,
           [limit]
         );
         
-        return rows;
+        return rows.map(shapeMetricRow);
+      },
+      
+      // Aggregate metrics into time buckets: { from, to, hostname, metrics, bucketSeconds }
+      queryMetrics: async ({ from, to, hostname, metrics, bucketSeconds }) => {
+        const rollup = pickRollup(bucketSeconds);
+        const rolled = rollup ? await getTimeRange(rollup.table) : null;
+        const rollupEnd = rolled && rolled.newest ? toDbTimestamp(new Date(rolled.newest.getTime() + rollup.seconds * 1000)) : null;
+        
+        // TIMESTAMPDIFF keeps the UTC timestamps independent of the session time zone
+        const { sql, params } = buildMetricsQuery({
+          bucketExpr: `FLOOR(TIMESTAMPDIFF(SECOND, '1970-01-01 00:00:00', timestamp) / ?) * ?`,
+          from, to, hostname, metrics, bucketSeconds, rollup, rollupEnd
+        });
+        const [rows] = await pool.query(sql, params);
+        
+        return shapeBuckets(rows, metrics);
+      },
+      
+      // Aggregate disk usage per mount into time buckets: { from, to, hostname, bucketSeconds }
+      queryDiskUsage: async ({ from, to, hostname, bucketSeconds }) => {
+        const { sql, params } = buildDiskQuery({
+          bucketExpr: `FLOOR(TIMESTAMPDIFF(SECOND, '1970-01-01 00:00:00', timestamp) / ?) * ?`,
+          from, to, hostname, bucketSeconds
+        });
+        const [rows] = await pool.query(sql, params);
+        
+        return shapeDiskBuckets(rows);
+      },
+      
+      // Aggregate raw samples in [from, to) into a rollup table; returns the number of buckets written
+      rollupMetrics: async (rollupName, from, to) => {
+        const { sql, params } = buildRollupInsert(
+          getRollup(rollupName),
+          `DATE_ADD('1970-01-01 00:00:00', INTERVAL FLOOR(TIMESTAMPDIFF(SECOND, '1970-01-01 00:00:00', timestamp) / ?) * ? SECOND)`,
+          from, to
+        );
+        const [result] = await pool.query(sql, params);
+        
+        return result.affectedRows;
+      },
+      
+      getTimeRange,
+      
+      // Delete rows older than timestamp; returns the number of deleted rows
+      deleteOlderThan: async (table, timestamp) => {
+        checkRetentionTable(table);
+        const [result] = await pool.query(
+          `DELETE FROM ${table} WHERE timestamp < ?`,
+          [timestamp]
+        );
+        
+        return result.affectedRows;
       },
       
       getRecentAlerts: async (limit = 100) => {
         const [rows] = await pool.query(
-          `SELECT * FROM alerts ORDER BY timestamp DESC LIMIT ?`,
+          `SELECT * FROM alerts ORDER BY timestamp DESC, id DESC LIMIT ?`,
           [limit]
         );
         
-        return rows;
+        return rows.map(shapeAlert);
+      },
+      
+      // Filtered alert history, newest first: { type, hostname, from, to, sentSuccessfully, acknowledged, suppressed, limit }
+      queryAlerts: async (filters) => {
+        const { where, params } = alertConditions(filters, () => '?', value => Boolean(value));
+        params.push(filters.limit || 100);
+        
+        const [rows] = await pool.query(
+          `SELECT * FROM alerts ${where} ORDER BY timestamp DESC, id DESC LIMIT ?`,
+          params
+        );
+        
+        return rows.map(shapeAlert);
+      },
+      
+      getAlert: async (id) => {
+        const [rows] = await pool.query(
+          `SELECT * FROM alerts WHERE id = ?`,
+          [id]
+        );
+        
+        return rows.length > 0 ? shapeAlert(rows[0]) : null;
+      },
+      
+      // Record who acknowledged an alert; resolves false if it does not exist or is already acknowledged
+      acknowledgeAlert: async (id, acknowledgedBy, timestamp) => {
+        const [result] = await pool.query(
+          `UPDATE alerts SET acknowledged_by = ?, acknowledged_at = ? WHERE id = ? AND acknowledged_at IS NULL`,
+          [acknowledgedBy, timestamp, id]
+        );
+        
+        return result.affectedRows > 0;
       },
       
       close: async () => {
@@ -271,11 +856,7 @@ async function setupMysql() {
 async function setupPostgresql() {
   try {
     const dbConfig = {
-      host: config.get('database.postgresql.host'),
-      port: config.get('database.postgresql.port'),
-      database: config.get('database.postgresql.database'),
-      user: config.get('database.postgresql.user'),
-      password: config.get('database.postgresql.password'),
+      ...postgresqlConfig(),
       max: 20,
       idleTimeoutMillis: 30000,
       connectionTimeoutMillis: 2000
@@ -284,38 +865,26 @@ async function setupPostgresql() {
     // Create connection pool
     const pool = new Pool(dbConfig);
     
-    // Test connection
+    // Create or upgrade tables on one connection (see migrations/)
     const client = await pool.connect();
-    client.release();
-    
-    // Create tables if they don't exist
-    await pool.query(`CREATE TABLE IF NOT EXISTS metrics (
-      id SERIAL PRIMARY KEY,
-      timestamp TIMESTAMP NOT NULL,
-      hostname VARCHAR(255) NOT NULL,
-      ip_address VARCHAR(45) NOT NULL,
-      ram_usage FLOAT NOT NULL,
-      cpu_usage FLOAT NOT NULL,
-      disk_usage FLOAT NOT NULL,
-      swap_usage FLOAT NOT NULL,
-      load_average FLOAT NOT NULL,
-      network_rx FLOAT NOT NULL,
-      network_tx FLOAT NOT NULL,
-      extra_data JSONB
-    )`);
-    
-    await pool.query(`CREATE TABLE IF NOT EXISTS alerts (
-      id SERIAL PRIMARY KEY,
-      timestamp TIMESTAMP NOT NULL,
-      hostname VARCHAR(255) NOT NULL,
-      alert_type VARCHAR(50) NOT NULL,
-      value VARCHAR(100) NOT NULL,
-      message TEXT NOT NULL,
-      sent_successfully BOOLEAN NOT NULL
-    )`);
+    try {
+      await applyMigrations(postgresqlClient(client));
+    } finally {
+      client.release();
+    }
     
     console.log(`PostgreSQL database initialized at ${dbConfig.host}:${dbConfig.port}/${dbConfig.database}`);
     
+    // Oldest and newest timestamp in a table: { oldest, newest }
+    const getTimeRange = async (table) => {
+      checkRetentionTable(table);
+      const result = await pool.query(
+        `SELECT TO_CHAR(MIN(timestamp), 'YYYY-MM-DD HH24:MI:SS') AS oldest, TO_CHAR(MAX(timestamp), 'YYYY-MM-DD HH24:MI:SS') AS newest FROM ${table}`
+      );
+      
+      return shapeTimeRange(result.rows[0]);
+    };
+    
     // Return database interface
     return {
       storeMetrics: async (timestamp, hostname, ipAddress, ramUsage, cpuUsage, diskUsage, swapUsage, loadAverage, networkRx, networkTx, extraData) => {
@@ -333,35 +902,157 @@ async function setupPostgresql() {
         return result.rows[0].id;
       },
       
-      storeAlert: async (timestamp, hostname, alertType, value, message, sentSuccessfully) => {
+      storeDiskMetrics: async (timestamp, hostname, mount, fsType, diskUsage, inodeUsage, sizeBytes, usedBytes) => {
+        const result = await pool.query(
+          `INSERT INTO disk_metrics (
+            timestamp, hostname, mount, fs_type, disk_usage, inode_usage, size_bytes, used_bytes
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+          [
+            timestamp, hostname, mount, fsType, diskUsage, inodeUsage, sizeBytes, usedBytes
+          ]
+        );
+        
+        return result.rows[0].id;
+      },
+      
+      storeProcessMetrics: async (timestamp, hostname, name, running, pid, cpuUsage, rssBytes, restarts) => {
+        const result = await pool.query(
+          `INSERT INTO process_metrics (
+            timestamp, hostname, name, running, pid, cpu_usage, rss_bytes, restarts
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+          [
+            timestamp, hostname, name, running, pid, cpuUsage, rssBytes, restarts
+          ]
+        );
+        
+        return result.rows[0].id;
+      },
+      
+      storeAlert: async (timestamp, hostname, alertType, value, message, sentSuccessfully, channel, state, severity, suppressedBy) => {
         const result = await pool.query(
           `INSERT INTO alerts (
-            timestamp, hostname, alert_type, value, message, sent_successfully
-          ) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+            timestamp, hostname, alert_type, value, message, sent_successfully, channel, state, severity, suppressed_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id`,
           [
-            timestamp, hostname, alertType, value, message, sentSuccessfully
+            timestamp, hostname, alertType, value, message, sentSuccessfully, channel || null, state || 'firing', severity || 'warning', suppressedBy || null
           ]
         );
         
         return result.rows[0].id;
       },
       
+      // Insert queued writes in order within one transaction: [{ kind, values }]
+      storeBatch: async (writes) => {
+        const statements = buildBatchInserts(writes, value => Boolean(value));
+        const client = await pool.connect();
+        try {
+          await runTransaction(postgresqlClient(client), statements);
+        } finally {
+          client.release();
+        }
+        
+        return writes.length;
+      },
+      
       getRecentMetrics: async (limit = 100) => {
         const result = await pool.query(
-          `SELECT * FROM metrics ORDER BY timestamp DESC LIMIT $1`,
+          `SELECT * FROM metrics ORDER BY timestamp DESC, id DESC LIMIT $1`,
           [limit]
         );
         
-        return result.rows;
+        return result.rows.map(shapeMetricRow);
+      },
+      
+      // Aggregate metrics into time buckets: { from, to, hostname, metrics, bucketSeconds }
+      queryMetrics: async ({ from, to, hostname, metrics, bucketSeconds }) => {
+        const rollup = pickRollup(bucketSeconds);
+        const rolled = rollup ? await getTimeRange(rollup.table) : null;
+        const rollupEnd = rolled && rolled.newest ? toDbTimestamp(new Date(rolled.newest.getTime() + rollup.seconds * 1000)) : null;
+        
+        const { sql, params } = buildMetricsQuery({
+          bucketExpr: `FLOOR(EXTRACT(EPOCH FROM timestamp) / ?) * ?`,
+          from, to, hostname, metrics, bucketSeconds, rollup, rollupEnd
+        });
+        const result = await pool.query(toPgPlaceholders(sql), params);
+        
+        return shapeBuckets(result.rows, metrics);
+      },
+      
+      // Aggregate disk usage per mount into time buckets: { from, to, hostname, bucketSeconds }
+      queryDiskUsage: async ({ from, to, hostname, bucketSeconds }) => {
+        const { sql, params } = buildDiskQuery({
+          bucketExpr: `FLOOR(EXTRACT(EPOCH FROM timestamp) / ?) * ?`,
+          from, to, hostname, bucketSeconds
+        });
+        const result = await pool.query(toPgPlaceholders(sql), params);
+        
+        return shapeDiskBuckets(result.rows);
+      },
+      
+      // Aggregate raw samples in [from, to) into a rollup table; returns the number of buckets written
+      rollupMetrics: async (rollupName, from, to) => {
+        const { sql, params } = buildRollupInsert(
+          getRollup(rollupName),
+          `TO_TIMESTAMP(FLOOR(EXTRACT(EPOCH FROM timestamp) / ?) * ?) AT TIME ZONE 'UTC'`,
+          from, to
+        );
+        const result = await pool.query(toPgPlaceholders(sql), params);
+        
+        return result.rowCount;
+      },
+      
+      getTimeRange,
+      
+      // Delete rows older than timestamp; returns the number of deleted rows
+      deleteOlderThan: async (table, timestamp) => {
+        checkRetentionTable(table);
+        const result = await pool.query(
+          `DELETE FROM ${table} WHERE timestamp < $1`,
+          [timestamp]
+        );
+        
+        return result.rowCount;
       },
       
       getRecentAlerts: async (limit = 100) => {
         const result = await pool.query(
-          `SELECT * FROM alerts ORDER BY timestamp DESC LIMIT $1`,
+          `SELECT * FROM alerts ORDER BY timestamp DESC, id DESC LIMIT $1`,
           [limit]
         );
         
-        return result.rows;
+        return result.rows.map(shapeAlert);
+      },
+      
+      // Filtered alert history, newest first: { type, hostname, from, to, sentSuccessfully, acknowledged, suppressed, limit }
+      queryAlerts: async (filters) => {
+        const { where, params } = alertConditions(filters, index => `$${index}`, value => Boolean(value));
+        params.push(filters.limit || 100);
+        
+        const result = await pool.query(
+          `SELECT * FROM alerts ${where} ORDER BY timestamp DESC, id DESC LIMIT $${params.length}`,
+          params
+        );
+        
+        return result.rows.map(shapeAlert);
+      },
+      
+      getAlert: async (id) => {
+        const result = await pool.query(
+          `SELECT * FROM alerts WHERE id = $1`,
+          [id]
+        );
+        
+        return result.rows.length > 0 ? shapeAlert(result.rows[0]) : null;
+      },
+      
+      // Record who acknowledged an alert; resolves false if it does not exist or is already acknowledged
+      acknowledgeAlert: async (id, acknowledgedBy, timestamp) => {
+        const result = await pool.query(
+          `UPDATE alerts SET acknowledged_by = $1, acknowledged_at = $2 WHERE id = $3 AND acknowledged_at IS NULL`,
+          [acknowledgedBy, timestamp, id]
+        );
+        
+        return result.rowCount > 0;
       },
       
       close: async () => {
@@ -374,6 +1065,18 @@ async function setupPostgresql() {
   }
 }
 
+// Backends selectable with database.type; each returns an adapter implementing storageAdapter.js
+const BACKENDS = {
+  sqlite: setupSqlite,
+  mysql: setupMysql,
+  postgresql: setupPostgresql,
+  memory: setupMemory
+};
+
 module.exports = {
-  setupDatabase
+  setupDatabase,
+  migrateDatabase,
+  BACKENDS,
+  METRIC_COLUMNS,
+  ROLLUPS
 };
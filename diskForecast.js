@@ -0,0 +1,152 @@
+const config = require('config');
+const { parseDuration, toDbTimestamp } = require('./timeUtils');
+const { linearTrend } = require('./trend');
+
+// History is read as 10 minute averages per mount
+const BUCKET_SECONDS = 600;
+
+// Fewer points than this cannot tell a trend from a single cleanup
+const MIN_POINTS = 3;
+
+const SECONDS_PER_DAY = 86400;
+
+function durationSetting(key) {
+  const seconds = parseDuration(config.get(key));
+  if (!seconds) {
+    throw new Error(`Invalid ${key}: ${config.get(key)}`);
+  }
+  return seconds;
+}
+
+// Used bytes of a bucket; rows stored before byte counts were recorded only have a percentage
+function usedBytesOf(bucket) {
+  if (bucket.usedBytes !== null) {
+    return bucket.usedBytes;
+  }
+  return bucket.sizeBytes !== null ? (bucket.usage / 100) * bucket.sizeBytes : null;
+}
+
+// Growth of every mount over the stored buckets: { mount: { slope (bytes/s), fit, historySeconds } }
+// Mounts with too little history are left out
+function mountTrends(buckets, minHistorySeconds) {
+  const byMount = new Map();
+  buckets.forEach(bucket => {
+    const used = usedBytesOf(bucket);
+    if (used === null) {
+      return;
+    }
+    if (!byMount.has(bucket.mount)) {
+      byMount.set(bucket.mount, []);
+    }
+    byMount.get(bucket.mount).push({ time: Date.parse(bucket.timestamp) / 1000, value: used });
+  });
+
+  const trends = {};
+  byMount.forEach((points, mount) => {
+    const historySeconds = points[points.length - 1].time - points[0].time;
+    if (points.length < MIN_POINTS || historySeconds < minHistorySeconds) {
+      return;
+    }
+    trends[mount] = { ...linearTrend(points), historySeconds };
+  });
+  return trends;
+}
+
+// Project when each mount fills up from its usage trend over disk.forecast.history,
+// recomputed from the database every disk.forecast.refresh
+function createDiskForecaster(db, logger) {
+  const historySeconds = durationSetting('disk.forecast.history');
+  const minHistorySeconds = durationSetting('disk.forecast.minHistory');
+  const refreshSeconds = durationSetting('disk.forecast.refresh');
+  const horizon = durationSetting('disk.forecast.horizon');
+  const criticalHorizon = durationSetting('disk.forecast.criticalHorizon');
+
+  // hostname -> { computedAt, trends: { mount: { slope, fit, historySeconds } } }
+  const hosts = new Map();
+
+  async function compute(hostname) {
+    const to = new Date();
+    const from = new Date(to.getTime() - historySeconds * 1000);
+    const buckets = await db.queryDiskUsage({
+      from: toDbTimestamp(from),
+      to: toDbTimestamp(to),
+      hostname,
+      bucketSeconds: BUCKET_SECONDS
+    });
+
+    logger.debug(`Disk trends for ${hostname} computed from ${buckets.length} bucket(s)`);
+    return mountTrends(buckets, minHistorySeconds);
+  }
+
+  // Load the trends of a host if they are missing or older than disk.forecast.refresh
+  // A failed refresh keeps the previous trends and is retried after disk.forecast.refresh
+  async function prepare(hostname) {
+    const cached = hosts.get(hostname);
+    if (cached && Date.now() - cached.computedAt < refreshSeconds * 1000) {
+      return;
+    }
+
+    try {
+      hosts.set(hostname, { computedAt: Date.now(), trends: await compute(hostname) });
+    } catch (error) {
+      logger.error(`Failed to compute disk trends for ${hostname}: ${error.message}`);
+      hosts.set(hostname, { computedAt: Date.now(), trends: cached ? cached.trends : {} });
+    }
+  }
+
+  // disks: current per-mount usage of the host
+  // Returns [{ mount, usage, growthBytesPerDay, growthPercentPerDay, secondsToFull, fullAt, fit, historySeconds, severity }]
+  // for mounts with enough history; secondsToFull and fullAt are null while usage is not growing
+  // severity is 'critical' within disk.forecast.criticalHorizon, 'warning' within disk.forecast.horizon, else null
+  function forecast(hostname, disks, now = Date.now()) {
+    const cached = hosts.get(hostname);
+    if (!cached) {
+      return [];
+    }
+
+    const results = [];
+    disks.forEach(disk => {
+      const trend = cached.trends[disk.mount];
+      if (!trend || !disk.sizeBytes) {
+        return;
+      }
+
+      const freeBytes = disk.availableBytes !== undefined && disk.availableBytes !== null
+        ? disk.availableBytes
+        : disk.sizeBytes - disk.usedBytes;
+      const secondsToFull = trend.slope > 0 ? Math.max(0, Math.round(freeBytes / trend.slope)) : null;
+
+      let severity = null;
+      if (secondsToFull !== null && secondsToFull < criticalHorizon) {
+        severity = 'critical';
+      } else if (secondsToFull !== null && secondsToFull < horizon) {
+        severity = 'warning';
+      }
+
+      results.push({
+        mount: disk.mount,
+        usage: disk.usage,
+        growthBytesPerDay: Math.round(trend.slope * SECONDS_PER_DAY),
+        growthPercentPerDay: Math.round((trend.slope * SECONDS_PER_DAY / disk.sizeBytes) * 10000) / 100,
+        secondsToFull,
+        fullAt: secondsToFull !== null ? new Date(now + secondsToFull * 1000).toISOString() : null,
+        fit: Math.round(trend.fit * 100) / 100,
+        historySeconds: Math.round(trend.historySeconds),
+        severity
+      });
+    });
+    return results;
+  }
+
+  logger.info(`Disk forecast enabled (history: ${config.get('disk.forecast.history')}, horizon: ${config.get('disk.forecast.horizon')})`);
+
+  return {
+    prepare,
+    forecast
+  };
+}
+
+module.exports = {
+  createDiskForecaster,
+  mountTrends
+};
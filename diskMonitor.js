@@ -0,0 +1,113 @@
+const si = require('systeminformation');
+const { exec } = require('child_process');
+const config = require('config');
+
+// Convert a mount point pattern like "/snap/*" to a regular expression
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+function matchesAny(patterns, value) {
+  return patterns.some(pattern => globToRegExp(pattern).test(value));
+}
+
+// Apply include/exclude patterns for mount points and filesystem types
+function isMonitoredMount(fs) {
+  const include = config.get('disk.mounts.include');
+  const exclude = config.get('disk.mounts.exclude');
+  const includeTypes = config.get('disk.mounts.includeTypes');
+  const excludeTypes = config.get('disk.mounts.excludeTypes');
+
+  if (!fs.mount || !fs.size) {
+    return false;
+  }
+  if (include.length > 0 && !matchesAny(include, fs.mount)) {
+    return false;
+  }
+  if (matchesAny(exclude, fs.mount)) {
+    return false;
+  }
+  if (includeTypes.length > 0 && !includeTypes.includes(fs.type)) {
+    return false;
+  }
+  return !excludeTypes.includes(fs.type);
+}
+
+// Read inode usage percentage per mount point (systeminformation does not report inodes)
+function getInodeUsage() {
+  return new Promise((resolve) => {
+    exec('df -P -i 2>/dev/null', (error, stdout) => {
+      const usage = {};
+      if (error && !stdout) {
+        resolve(usage);
+        return;
+      }
+
+      stdout.trim().split('\n').slice(1).forEach(line => {
+        // Filesystem Inodes IUsed IFree IUse% Mounted-on (mount point may contain spaces)
+        const parts = line.trim().split(/\s+/);
+        if (parts.length < 6) return;
+
+        const percent = parseInt(parts[4], 10);
+        const mount = parts.slice(5).join(' ');
+        if (!isNaN(percent)) {
+          usage[mount] = percent;
+        }
+      });
+
+      resolve(usage);
+    });
+  });
+}
+
+// Discover all real mounts and their space and inode usage
+async function getMountUsage() {
+  const fsSize = await si.fsSize();
+  const inodes = config.get('disk.inodes.monitor') ? await getInodeUsage() : {};
+  const seen = new Set();
+
+  return fsSize
+    .filter(fs => isMonitoredMount(fs))
+    .filter(fs => {
+      // Bind mounts show up more than once
+      if (seen.has(fs.mount)) return false;
+      seen.add(fs.mount);
+      return true;
+    })
+    .map(fs => ({
+      mount: fs.mount,
+      fs: fs.fs,
+      type: fs.type,
+      sizeBytes: fs.size,
+      usedBytes: fs.used,
+      availableBytes: fs.available,
+      usage: Math.round(fs.use),
+      inodeUsage: inodes[fs.mount] !== undefined ? inodes[fs.mount] : null
+    }));
+}
+
+// Per-mount overrides from disk.perMount, e.g. { "/var": { "warning": 80 } }
+function getMountOverrides(mount) {
+  const perMount = config.get('disk.perMount');
+  return perMount[mount] || {};
+}
+
+// Pick the mount shown as "the" disk in alerts: disk.path, else the fullest mount
+function getPrimaryMount(mounts) {
+  const diskPath = config.get('disk.path');
+  const primary = mounts.find(mount => mount.mount === diskPath);
+  if (primary) {
+    return { mount: primary, fallback: false };
+  }
+
+  const fullest = mounts.reduce((max, mount) => (!max || mount.usage > max.usage ? mount : max), null);
+  return { mount: fullest, fallback: true };
+}
+
+module.exports = {
+  getMountUsage,
+  getMountOverrides,
+  getPrimaryMount,
+  matchesAny
+};
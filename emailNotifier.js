@@ -0,0 +1,58 @@
+const config = require('config');
+const nodemailer = require('nodemailer');
+
+// Create SMTP email notification channel
+function createEmailChannel() {
+  const host = config.get('notifications.email.host');
+  const port = config.get('notifications.email.port');
+  const from = config.get('notifications.email.from');
+  const to = config.get('notifications.email.to');
+  const user = config.get('notifications.email.user');
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: config.get('notifications.email.secure'),
+    auth: user ? { user, pass: config.get('notifications.email.password') } : undefined
+  });
+
+  return {
+    name: 'email',
+
+    send: async (message, alert) => {
+      // alert is null for test messages
+      const details = alert || {};
+      let subject = `${config.get('monitoring.alertMessageTitle')} - test message`;
+      if (details.state === 'resolved') {
+        subject = `[${details.hostname}] ${details.type} resolved: ${details.value}`;
+      } else if (details.type) {
+        subject = `[${details.hostname}] ${(details.severity || 'warning').toUpperCase()} ${details.type} alert: ${details.value}`;
+      }
+
+      await transporter.sendMail({
+        from,
+        to,
+        subject,
+        text: message,
+        // Monospace keeps the box-drawing alert format aligned
+        html: `<pre style="font-family: monospace">${escapeHtml(message)}</pre>`
+      });
+    },
+
+    describe: () => [
+      `SMTP_HOST: ${host}:${port}`,
+      `MAIL_TO: ${to}`
+    ]
+  };
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+  createEmailChannel
+};
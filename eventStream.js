@@ -0,0 +1,99 @@
+const config = require('config');
+
+const EVENT_TYPES = ['sample', 'alert'];
+
+// Keeps proxies and load balancers from closing idle connections
+const KEEPALIVE_MS = 15000;
+
+// How long a browser waits before reconnecting after the stream drops
+const RECONNECT_MS = 3000;
+
+// Server-Sent Events for GET /api/stream: every published event goes to the subscribed clients
+function createEventStream(logger) {
+  const clients = new Set();
+  let nextId = 1;
+
+  // Last sample per host, sent to new clients so they have something to show right away
+  const lastSamples = new Map();
+
+  function write(client, event) {
+    client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  function matches(client, event) {
+    return client.types.includes(event.type) && (!client.hostname || event.data.hostname === client.hostname);
+  }
+
+  // type: 'sample' | 'alert'; data must have a hostname
+  function publish(type, data) {
+    const event = { id: nextId++, type, data };
+    if (type === 'sample') {
+      lastSamples.set(data.hostname, event);
+    }
+
+    clients.forEach(client => {
+      if (matches(client, event)) {
+        write(client, event);
+      }
+    });
+  }
+
+  // Express handler: GET /api/stream?events=sample,alert&hostname=web1
+  function handler(req, res) {
+    const types = req.query.events ? String(req.query.events).split(',').map(type => type.trim()) : EVENT_TYPES;
+    const unknown = types.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown events: ${unknown.join(', ')}. Available: ${EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    const maxClients = config.get('stream.maxClients');
+    if (clients.size >= maxClients) {
+      return res.status(503).json({
+        status: 'error',
+        message: `Too many stream clients (${maxClients})`
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Disable response buffering in nginx
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    const client = { res, types, hostname: req.query.hostname || null };
+    clients.add(client);
+    logger.debug(`Stream client connected from ${req.ip} (${clients.size} connected)`);
+
+    lastSamples.forEach(event => {
+      if (matches(client, event)) {
+        write(client, event);
+      }
+    });
+
+    const keepalive = setInterval(() => {
+      res.write(': keepalive\n\n');
+    }, KEEPALIVE_MS);
+
+    req.on('close', () => {
+      clearInterval(keepalive);
+      clients.delete(client);
+      logger.debug(`Stream client disconnected (${clients.size} connected)`);
+    });
+  }
+
+  return {
+    publish,
+    handler,
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = {
+  createEventStream
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const config = require('config');
+const { postJson } = require('./httpClient');
+const { parseDuration, formatDuration } = require('./timeUtils');
+const { createAlertTracker } = require('./alertState');
+
+const MODES = ['standalone', 'agent', 'collector'];
+
+// Samples sent to the collector in one request
+const AGENT_BATCH_SIZE = 100;
+
+function getFleetMode() {
+  const mode = config.get('fleet.mode');
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid fleet.mode "${mode}", expected one of: ${MODES.join(', ')}`);
+  }
+  if (mode !== 'standalone' && !config.get('fleet.token')) {
+    throw new Error(`fleet.token must be set in ${mode} mode`);
+  }
+  return mode;
+}
+
+// Compare "Authorization: Bearer <token>" with fleet.token in constant time; nothing matches an empty fleet.token
+function isAuthorized(header) {
+  const token = config.get('fleet.token');
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!match || !token) {
+    return false;
+  }
+
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+// Push samples to the collector; samples that could not be sent are kept (up to maxBacklog)
+// and sent oldest first with the next one
+function createFleetAgent(logger) {
+  const url = `${config.get('fleet.agent.collectorUrl').replace(/\/+$/, '')}/api/ingest`;
+  const timeout = config.get('fleet.agent.timeout');
+  const maxBacklog = config.get('fleet.agent.maxBacklog');
+  const headers = { Authorization: `Bearer ${config.get('fleet.token')}` };
+
+  let backlog = [];
+  let sending = false;
+  let failingSince = null;
+  let dropped = 0;
+
+  async function send() {
+    sending = true;
+    try {
+      while (backlog.length > 0) {
+        const batch = backlog.slice(0, AGENT_BATCH_SIZE);
+        await postJson(url, { samples: batch }, { headers, timeout });
+        backlog.splice(0, batch.length);
+      }
+
+      if (failingSince) {
+        logger.info(`Collector is reachable again after ${formatDuration(Math.round((Date.now() - failingSince) / 1000))}`);
+        failingSince = null;
+      }
+    } catch (error) {
+      if (!failingSince) {
+        failingSince = Date.now();
+        logger.error(`Failed to send metrics to collector ${url}: ${error.message}`);
+      } else {
+        logger.debug(`Collector is still unavailable: ${error.message} (${backlog.length} sample(s) waiting)`);
+      }
+    } finally {
+      sending = false;
+    }
+  }
+
+  logger.info(`Agent mode: sending metrics to ${url}`);
+
+  return {
+    // sample: { timestamp, system, metrics }
+    report: async (sample) => {
+      backlog.push(sample);
+      if (backlog.length > maxBacklog) {
+        dropped += backlog.length - maxBacklog;
+        backlog = backlog.slice(backlog.length - maxBacklog);
+        logger.warn(`Agent backlog is full (${maxBacklog}), dropped the oldest sample`);
+      }
+
+      // A slow collector must not stack up requests; the running send picks the new sample up
+      if (!sending) {
+        await send();
+      }
+    },
+
+    stats: () => ({
+      collectorUrl: url,
+      backlog: backlog.length,
+      dropped,
+      failingSince: failingSince ? new Date(failingSince).toISOString() : null
+    })
+  };
+}
+
+// Hosts that report to the collector, each with its own alert state
+function createHostRegistry() {
+  const staleSeconds = parseDuration(config.get('fleet.collector.staleAfter'));
+  if (!staleSeconds) {
+    throw new Error(`Invalid fleet.collector.staleAfter: ${config.get('fleet.collector.staleAfter')}`);
+  }
+
+  const hosts = new Map();
+
+  // Record a sample; options.local marks the collector itself, which uses the existing alert tracker
+  function report(system, metrics, options = {}) {
+    let host = hosts.get(system.hostname);
+    if (!host) {
+      host = {
+        hostname: system.hostname,
+        local: Boolean(options.local),
+        tracker: options.tracker || createAlertTracker(),
+        firstSeen: Date.now(),
+        samples: 0
+      };
+      hosts.set(system.hostname, host);
+    }
+
+    host.system = system;
+    host.metrics = metrics;
+    host.lastSeen = Date.now();
+    host.samples++;
+    return host;
+  }
+
+  function secondsSinceLastSeen(host) {
+    return Math.round((Date.now() - host.lastSeen) / 1000);
+  }
+
+  function list() {
+    return [...hosts.values()]
+      .sort((a, b) => a.hostname.localeCompare(b.hostname))
+      .map(host => {
+        const silentFor = secondsSinceLastSeen(host);
+        return {
+          hostname: host.hostname,
+          ip: host.system.ip,
+          os: host.system.os,
+          kernel: host.system.kernel,
+          uptime: host.system.uptime,
+          local: host.local,
+          status: silentFor < staleSeconds ? 'reporting' : 'stale',
+          firstSeen: new Date(host.firstSeen).toISOString(),
+          lastSeen: new Date(host.lastSeen).toISOString(),
+          secondsSinceLastSeen: silentFor,
+          samples: host.samples,
+          metrics: {
+            ram: host.metrics.ram,
+            cpu: host.metrics.cpu,
+            disk: host.metrics.disk,
+            swap: host.metrics.swap,
+            load: host.metrics.load,
+            network: host.metrics.network
+          },
+          firingAlerts: host.tracker.getFiring()
+        };
+      });
+  }
+
+  return {
+    staleSeconds,
+    report,
+    remoteHosts: () => [...hosts.values()].filter(host => !host.local),
+    secondsSinceLastSeen,
+    list
+  };
+}
+
+// Check one sample from an agent; returns an error message or null
+function validateSample(sample) {
+  if (!sample || typeof sample !== 'object') {
+    return 'sample must be an object';
+  }
+  if (!sample.system || typeof sample.system.hostname !== 'string' || !sample.system.hostname) {
+    return 'system.hostname is required';
+  }
+  if (Number.isNaN(new Date(sample.timestamp).getTime())) {
+    return `invalid timestamp: ${sample.timestamp}`;
+  }
+  if (!sample.metrics || typeof sample.metrics !== 'object') {
+    return 'metrics must be an object';
+  }
+
+  const numbers = ['ram', 'cpu', 'disk', 'swap', 'load'];
+  const invalid = numbers.filter(name => sample.metrics[name] !== undefined && typeof sample.metrics[name] !== 'number');
+  if (invalid.length > 0) {
+    return `metrics must be numbers: ${invalid.join(', ')}`;
+  }
+  if (!Array.isArray(sample.metrics.disks || []) || !Array.isArray(sample.metrics.interfaces || [])) {
+    return 'metrics.disks and metrics.interfaces must be arrays';
+  }
+  if (!Array.isArray(sample.metrics.processes || []) || !(sample.metrics.processes || []).every(item => item && item.name && item.limits)) {
+    return 'metrics.processes must be an array of watched processes';
+  }
+  if (!Array.isArray(sample.metrics.leaks || []) || !(sample.metrics.leaks || []).every(item => item && item.name && item.pid)) {
+    return 'metrics.leaks must be an array of processes';
+  }
+  return null;
+}
+
+module.exports = {
+  getFleetMode,
+  isAuthorized,
+  createFleetAgent,
+  createHostRegistry,
+  validateSample
+};
@@ -0,0 +1,52 @@
+const http = require('http');
+const https = require('https');
+
+// POST a JSON payload and resolve with the parsed response body
+function postJson(url, payload, options = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const body = JSON.stringify(payload);
+
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...(options.headers || {})
+      },
+      timeout: options.timeout || 10000
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`HTTP ${res.statusCode}: ${data.substring(0, 200)}`));
+          return;
+        }
+
+        try {
+          resolve(data ? JSON.parse(data) : null);
+        } catch (error) {
+          // Some endpoints (e.g. Slack) answer with plain text
+          resolve(data);
+        }
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Request to ${target.host} timed out`));
+    });
+    req.on('error', reject);
+
+    req.write(body);
+    req.end();
+  });
+}
+
+module.exports = {
+  postJson
+};
@@ -45,9 +45,41 @@ mkdir -p /opt/memory-monitor/data
 # Fayllarni nusxalash
 echo "Fayllarni nusxalash..."
 cp app.js /opt/memory-monitor/
+cp alertFormatter.js /opt/memory-monitor/
+cp alertState.js /opt/memory-monitor/
+cp notifier.js /opt/memory-monitor/
+cp httpClient.js /opt/memory-monitor/
 cp telegramNotifier.js /opt/memory-monitor/
+cp telegramCommands.js /opt/memory-monitor/
+cp timeUtils.js /opt/memory-monitor/
+cp webhookNotifier.js /opt/memory-monitor/
+cp slackNotifier.js /opt/memory-monitor/
+cp emailNotifier.js /opt/memory-monitor/
 cp systemUtils.js /opt/memory-monitor/
+cp diskMonitor.js /opt/memory-monitor/
+cp networkMonitor.js /opt/memory-monitor/
+cp processMonitor.js /opt/memory-monitor/
+cp leakDetector.js /opt/memory-monitor/
+cp anomalyDetector.js /opt/memory-monitor/
+cp trend.js /opt/memory-monitor/
+cp diskForecast.js /opt/memory-monitor/
+cp silences.js /opt/memory-monitor/
+cp rules.js /opt/memory-monitor/
+cp configSchema.js /opt/memory-monitor/
+cp configReload.js /opt/memory-monitor/
+cp secrets.js /opt/memory-monitor/
+cp .env.example /opt/memory-monitor/
+cp fleet.js /opt/memory-monitor/
+cp eventStream.js /opt/memory-monitor/
 cp database.js /opt/memory-monitor/
+cp storageAdapter.js /opt/memory-monitor/
+cp memoryDatabase.js /opt/memory-monitor/
+cp migrations.js /opt/memory-monitor/
+cp migrate.js /opt/memory-monitor/
+cp -r migrations /opt/memory-monitor/
+cp -r dashboard /opt/memory-monitor/
+cp retention.js /opt/memory-monitor/
+cp writeBuffer.js /opt/memory-monitor/
 cp prometheus.js /opt/memory-monitor/
 cp README.md /opt/memory-monitor/
 cp -r node_modules /opt/memory-monitor/
@@ -64,6 +96,9 @@ else
     cp config/default.json /opt/memory-monitor/config/default.json.new
 fi
 
+# Maxfiy qiymatlar uchun muhit o'zgaruvchilari xaritasi (har doim yangilanadi)
+cp config/custom-environment-variables.json /opt/memory-monitor/config/
+
 # Systemd service faylini yaratish
 echo "Systemd service faylini yaratish..."
 cat > /etc/systemd/system/memory-monitor.service << EOF
@@ -76,6 +111,7 @@ Type=simple
 User=root
 WorkingDirectory=/opt/memory-monitor
 ExecStart=/usr/bin/node /opt/memory-monitor/app.js
+ExecReload=/bin/kill -HUP \$MAINPID
 Restart=always
 RestartSec=10
 StandardOutput=syslog
@@ -0,0 +1,124 @@
+const config = require('config');
+const { parseDuration } = require('./timeUtils');
+const { BYTES_PER_MB } = require('./processMonitor');
+const { linearTrend } = require('./trend');
+
+// Start times are derived from the uptime and wobble by a second between calls;
+// a pid whose start time moved further than this belongs to a new process
+const START_TOLERANCE_MS = 5000;
+
+function durationSetting(key) {
+  const seconds = parseDuration(config.get(key));
+  if (!seconds) {
+    throw new Error(`Invalid ${key}: ${config.get(key)}`);
+  }
+  return seconds;
+}
+
+// Follow the RSS of every large process across monitoring cycles and flag the ones that keep growing:
+// over leaks.window the RSS must rise at least leaks.minGrowthMbPerHour along a nearly straight line
+// (R² >= leaks.minFit), which ignores one-off allocations and sawtooth garbage collection patterns
+function createLeakDetector() {
+  const windowSeconds = durationSetting('leaks.window');
+  const minSamples = config.get('leaks.minSamples');
+  const minRssBytes = config.get('leaks.minRssMb') * BYTES_PER_MB;
+  const minGrowthBytesPerHour = config.get('leaks.minGrowthMbPerHour') * BYTES_PER_MB;
+  const minFit = config.get('leaks.minFit');
+  const maxProcesses = config.get('leaks.maxProcesses');
+  const criticalHorizon = durationSetting('leaks.criticalHorizon');
+
+  // pid -> { pid, name, started, samples: [{ time, rss }] }
+  let tracked = new Map();
+
+  // Entries reported as leaking, so their alerts can be resolved when they stop growing or exit
+  const flagged = new Set();
+
+  function sameProcess(entry, proc) {
+    return Math.abs(entry.started - Date.parse(proc.started)) <= START_TOLERANCE_MS;
+  }
+
+  // list: si.processes().list, availableBytes: memory still available on the host
+  // Returns [{ pid, name, leaking, critical, rssBytes, growthBytesPerHour, fit, windowSeconds, exhaustionSeconds }]
+  // for leaking processes, and once with leaking: false for processes that were leaking before
+  function observe(list, availableBytes, now = Date.now()) {
+    const time = now / 1000;
+    const largest = list
+      .filter(proc => proc.memRss * 1024 >= minRssBytes)
+      .sort((a, b) => b.memRss - a.memRss)
+      .slice(0, maxProcesses);
+
+    const current = new Map();
+    const leaking = new Set();
+    const results = [];
+
+    largest.forEach(proc => {
+      const previous = tracked.get(proc.pid);
+      const entry = previous && sameProcess(previous, proc)
+        ? previous
+        : { pid: proc.pid, name: proc.name, started: Date.parse(proc.started), samples: [] };
+      entry.samples.push({ time, rss: proc.memRss * 1024 });
+      entry.samples = entry.samples.filter(sample => time - sample.time <= windowSeconds);
+      current.set(proc.pid, entry);
+
+      // Not enough history yet to tell a trend from noise
+      const covered = time - entry.samples[0].time;
+      if (entry.samples.length < minSamples || covered < windowSeconds * 0.9) {
+        return;
+      }
+
+      const { slope, fit } = linearTrend(entry.samples.map(sample => ({ time: sample.time, value: sample.rss })));
+      const growthBytesPerHour = slope * 3600;
+      if (growthBytesPerHour < minGrowthBytesPerHour || fit < minFit) {
+        return;
+      }
+
+      const exhaustionSeconds = availableBytes > 0 ? Math.round(availableBytes / slope) : null;
+      flagged.add(entry);
+      leaking.add(entry);
+      results.push({
+        pid: proc.pid,
+        name: proc.name,
+        leaking: true,
+        // Memory runs out within leaks.criticalHorizon at this rate
+        critical: exhaustionSeconds !== null && exhaustionSeconds < criticalHorizon,
+        rssBytes: proc.memRss * 1024,
+        growthBytesPerHour: Math.round(growthBytesPerHour),
+        fit: Math.round(fit * 100) / 100,
+        windowSeconds: Math.round(covered),
+        exhaustionSeconds
+      });
+    });
+
+    // Leaks that stopped growing, or whose process exited or dropped out of the largest ones
+    flagged.forEach(entry => {
+      if (leaking.has(entry)) {
+        return;
+      }
+      flagged.delete(entry);
+      const running = current.get(entry.pid) === entry;
+      results.push({
+        pid: entry.pid,
+        name: entry.name,
+        leaking: false,
+        critical: false,
+        rssBytes: running ? entry.samples[entry.samples.length - 1].rss : null,
+        growthBytesPerHour: 0,
+        fit: null,
+        windowSeconds: null,
+        exhaustionSeconds: null
+      });
+    });
+
+    tracked = current;
+    return results;
+  }
+
+  return {
+    observe,
+    trackedCount: () => tracked.size
+  };
+}
+
+module.exports = {
+  createLeakDetector
+};
@@ -0,0 +1,349 @@
+const { parseTimestamp, toDbTimestamp } = require('./timeUtils');
+const {
+  METRIC_COLUMNS,
+  ROLLUPS,
+  pickRollup,
+  getRollup,
+  checkRetentionTable,
+  checkWrites,
+  shapeMetricRow,
+  shapeAlert,
+  shapeBuckets,
+  shapeDiskBuckets,
+  shapeTimeRange
+} = require('./storageAdapter');
+
+// Newest first, like ORDER BY timestamp DESC, id DESC
+function newestFirst(a, b) {
+  if (a.timestamp !== b.timestamp) {
+    return a.timestamp < b.timestamp ? 1 : -1;
+  }
+  return b.id - a.id;
+}
+
+function epochSeconds(timestamp) {
+  return parseTimestamp(timestamp).getTime() / 1000;
+}
+
+// Setup in-memory database for development and tests; nothing survives a restart
+function setupMemory() {
+  // Rows use the same column names as the SQL tables; timestamps are "YYYY-MM-DD HH:MM:SS" strings,
+  // which compare correctly as plain strings
+  const tables = {
+    metrics: [],
+    disk_metrics: [],
+    process_metrics: [],
+    alerts: []
+  };
+  ROLLUPS.forEach(rollup => {
+    tables[rollup.table] = [];
+  });
+  const nextIds = { metrics: 1, disk_metrics: 1, process_metrics: 1, alerts: 1 };
+
+  function insert(table, row) {
+    const id = nextIds[table]++;
+    tables[table].push({ id, ...row });
+    return id;
+  }
+
+  function matchesAlert(row, filters) {
+    if (filters.type && row.alert_type !== filters.type && !row.alert_type.startsWith(`${filters.type}:`)) {
+      return false;
+    }
+    if (filters.hostname && row.hostname !== filters.hostname) {
+      return false;
+    }
+    if (filters.from && row.timestamp < filters.from) {
+      return false;
+    }
+    if (filters.to && row.timestamp >= filters.to) {
+      return false;
+    }
+    if (filters.sentSuccessfully !== undefined && filters.sentSuccessfully !== null && row.sent_successfully !== Boolean(filters.sentSuccessfully)) {
+      return false;
+    }
+    if (filters.acknowledged === true && !row.acknowledged_at) {
+      return false;
+    }
+    if (filters.acknowledged === false && row.acknowledged_at) {
+      return false;
+    }
+    if (filters.suppressed === true && !row.suppressed_by) {
+      return false;
+    }
+    if (filters.suppressed === false && row.suppressed_by) {
+      return false;
+    }
+    return true;
+  }
+
+  console.log('In-memory database initialized (data is lost on restart)');
+
+  const adapter = {
+    storeMetrics: async (timestamp, hostname, ipAddress, ramUsage, cpuUsage, diskUsage, swapUsage, loadAverage, networkRx, networkTx, extraData) => {
+      return insert('metrics', {
+        timestamp,
+        hostname,
+        ip_address: ipAddress,
+        ram_usage: ramUsage,
+        cpu_usage: cpuUsage,
+        disk_usage: diskUsage,
+        swap_usage: swapUsage,
+        load_average: loadAverage,
+        network_rx: networkRx,
+        network_tx: networkTx,
+        extra_data: extraData
+      });
+    },
+
+    storeDiskMetrics: async (timestamp, hostname, mount, fsType, diskUsage, inodeUsage, sizeBytes, usedBytes) => {
+      return insert('disk_metrics', {
+        timestamp,
+        hostname,
+        mount,
+        fs_type: fsType,
+        disk_usage: diskUsage,
+        inode_usage: inodeUsage,
+        size_bytes: sizeBytes,
+        used_bytes: usedBytes
+      });
+    },
+
+    storeProcessMetrics: async (timestamp, hostname, name, running, pid, cpuUsage, rssBytes, restarts) => {
+      return insert('process_metrics', {
+        timestamp,
+        hostname,
+        name,
+        running,
+        pid,
+        cpu_usage: cpuUsage,
+        rss_bytes: rssBytes,
+        restarts
+      });
+    },
+
+    storeAlert: async (timestamp, hostname, alertType, value, message, sentSuccessfully, channel, state, severity, suppressedBy) => {
+      return insert('alerts', {
+        timestamp,
+        hostname,
+        alert_type: alertType,
+        value,
+        message,
+        sent_successfully: Boolean(sentSuccessfully),
+        channel: channel || null,
+        state: state || 'firing',
+        severity: severity || 'warning',
+        acknowledged_by: null,
+        acknowledged_at: null,
+        suppressed_by: suppressedBy || null
+      });
+    },
+
+    getRecentMetrics: async (limit = 100) => {
+      return [...tables.metrics].sort(newestFirst).slice(0, limit).map(shapeMetricRow);
+    },
+
+    // Aggregate metrics into time buckets: { from, to, hostname, metrics, bucketSeconds }
+    queryMetrics: async ({ from, to, hostname, metrics, bucketSeconds }) => {
+      const forHost = row => !hostname || row.hostname === hostname;
+
+      // Same sources as the SQL backends: complete rollup buckets, then raw samples after them
+      const rollup = pickRollup(bucketSeconds);
+      const rollupRows = rollup ? tables[rollup.table] : [];
+      const rolled = shapeTimeRange({
+        newest: rollupRows.reduce((max, row) => (max === null || row.timestamp > max ? row.timestamp : max), null)
+      });
+      const rollupEnd = rolled.newest ? rolled.newest.getTime() / 1000 + rollup.seconds : null;
+
+      const samples = [];
+      if (rollupEnd !== null) {
+        const rollupFrom = Math.floor(epochSeconds(from) / rollup.seconds) * rollup.seconds;
+        rollupRows
+          .filter(row => forHost(row) && row.timestamp < to)
+          .filter(row => epochSeconds(row.timestamp) >= rollupFrom && epochSeconds(row.timestamp) < rollupEnd)
+          .forEach(row => samples.push(row));
+      }
+      tables.metrics
+        .filter(row => forHost(row) && row.timestamp >= from && row.timestamp < to)
+        .filter(row => rollupEnd === null || epochSeconds(row.timestamp) >= rollupEnd)
+        .forEach(row => {
+          const sample = { timestamp: row.timestamp, samples: 1 };
+          metrics.forEach(name => {
+            const value = row[METRIC_COLUMNS[name]];
+            sample[`${name}_min`] = value;
+            sample[`${name}_avg`] = value;
+            sample[`${name}_max`] = value;
+          });
+          samples.push(sample);
+        });
+
+      // Merge into buckets the way aggregateColumns does in SQL
+      const buckets = new Map();
+      samples.forEach(sample => {
+        const bucket = Math.floor(epochSeconds(sample.timestamp) / bucketSeconds) * bucketSeconds;
+        if (!buckets.has(bucket)) {
+          const empty = { bucket, samples: 0 };
+          metrics.forEach(name => {
+            empty[`${name}_min`] = Infinity;
+            empty[`${name}_sum`] = 0;
+            empty[`${name}_max`] = -Infinity;
+          });
+          buckets.set(bucket, empty);
+        }
+
+        const row = buckets.get(bucket);
+        row.samples += sample.samples;
+        metrics.forEach(name => {
+          row[`${name}_min`] = Math.min(row[`${name}_min`], sample[`${name}_min`]);
+          row[`${name}_sum`] += sample[`${name}_avg`] * sample.samples;
+          row[`${name}_max`] = Math.max(row[`${name}_max`], sample[`${name}_max`]);
+        });
+      });
+
+      const rows = [...buckets.values()].sort((a, b) => a.bucket - b.bucket);
+      rows.forEach(row => {
+        metrics.forEach(name => {
+          row[`${name}_avg`] = row[`${name}_sum`] / row.samples;
+        });
+      });
+      return shapeBuckets(rows, metrics);
+    },
+
+    // Disk usage per mount and bucket, averaged like the SQL backends do
+    queryDiskUsage: async ({ from, to, hostname, bucketSeconds }) => {
+      const groups = new Map();
+      tables.disk_metrics
+        .filter(row => (!hostname || row.hostname === hostname) && row.timestamp >= from && row.timestamp < to)
+        .forEach(row => {
+          const bucket = Math.floor(epochSeconds(row.timestamp) / bucketSeconds) * bucketSeconds;
+          const key = `${row.mount}\n${bucket}`;
+          if (!groups.has(key)) {
+            groups.set(key, { bucket, mount: row.mount, rows: [] });
+          }
+          groups.get(key).rows.push(row);
+        });
+
+      // AVG and MAX skip NULLs in SQL
+      const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+      const present = (rows, column) => rows.map(row => row[column]).filter(value => value !== null && value !== undefined);
+
+      const rows = [...groups.values()]
+        .sort((a, b) => (a.mount < b.mount ? -1 : a.mount > b.mount ? 1 : a.bucket - b.bucket))
+        .map(group => ({
+          bucket: group.bucket,
+          mount: group.mount,
+          samples: group.rows.length,
+          disk_usage: average(present(group.rows, 'disk_usage')),
+          used_bytes: average(present(group.rows, 'used_bytes')),
+          size_bytes: present(group.rows, 'size_bytes').length > 0 ? Math.max(...present(group.rows, 'size_bytes')) : null
+        }));
+      return shapeDiskBuckets(rows);
+    },
+
+    getRecentAlerts: async (limit = 100) => {
+      return [...tables.alerts].sort(newestFirst).slice(0, limit).map(shapeAlert);
+    },
+
+    // Filtered alert history, newest first: { type, hostname, from, to, sentSuccessfully, acknowledged, suppressed, limit }
+    queryAlerts: async (filters) => {
+      return tables.alerts
+        .filter(row => matchesAlert(row, filters))
+        .sort(newestFirst)
+        .slice(0, filters.limit || 100)
+        .map(shapeAlert);
+    },
+
+    getAlert: async (id) => {
+      const row = tables.alerts.find(alert => alert.id === Number(id));
+      return row ? shapeAlert(row) : null;
+    },
+
+    // Record who acknowledged an alert; resolves false if it does not exist or is already acknowledged
+    acknowledgeAlert: async (id, acknowledgedBy, timestamp) => {
+      const row = tables.alerts.find(alert => alert.id === Number(id));
+      if (!row || row.acknowledged_at) {
+        return false;
+      }
+      row.acknowledged_by = acknowledgedBy;
+      row.acknowledged_at = timestamp;
+      return true;
+    },
+
+    // Aggregate raw samples in [from, to) into a rollup table; resolves to the number of buckets written
+    rollupMetrics: async (rollupName, from, to) => {
+      const rollup = getRollup(rollupName);
+      const groups = new Map();
+
+      tables.metrics
+        .filter(row => row.timestamp >= from && row.timestamp < to)
+        .forEach(row => {
+          const bucket = Math.floor(epochSeconds(row.timestamp) / rollup.seconds) * rollup.seconds;
+          const key = `${bucket}|${row.hostname}`;
+          if (!groups.has(key)) {
+            groups.set(key, { bucket, hostname: row.hostname, rows: [] });
+          }
+          groups.get(key).rows.push(row);
+        });
+
+      const table = tables[rollup.table];
+      const created = [...groups.values()].map(group => {
+        const timestamp = toDbTimestamp(new Date(group.bucket * 1000));
+        if (table.some(row => row.timestamp === timestamp && row.hostname === group.hostname)) {
+          throw new Error(`Rollup ${rollup.name} already has a bucket at ${timestamp} for ${group.hostname}`);
+        }
+
+        const row = { timestamp, hostname: group.hostname, samples: group.rows.length };
+        Object.keys(METRIC_COLUMNS).forEach(name => {
+          const values = group.rows.map(sample => sample[METRIC_COLUMNS[name]]);
+          row[`${name}_min`] = Math.min(...values);
+          row[`${name}_avg`] = values.reduce((sum, value) => sum + value, 0) / values.length;
+          row[`${name}_max`] = Math.max(...values);
+        });
+        return row;
+      });
+
+      table.push(...created);
+      return created.length;
+    },
+
+    getTimeRange: async (table) => {
+      checkRetentionTable(table);
+      const timestamps = tables[table].map(row => row.timestamp).sort();
+      return shapeTimeRange({
+        oldest: timestamps[0],
+        newest: timestamps[timestamps.length - 1]
+      });
+    },
+
+    // Delete rows older than timestamp; resolves to the number of deleted rows
+    deleteOlderThan: async (table, timestamp) => {
+      checkRetentionTable(table);
+      const before = tables[table].length;
+      tables[table] = tables[table].filter(row => row.timestamp >= timestamp);
+      return before - tables[table].length;
+    },
+
+    close: () => {}
+  };
+
+  // Validated up front, so a batch is either stored completely or not at all
+  adapter.storeBatch = async (writes) => {
+    checkWrites(writes);
+    const store = {
+      metrics: adapter.storeMetrics,
+      disk: adapter.storeDiskMetrics,
+      process: adapter.storeProcessMetrics,
+      alert: adapter.storeAlert
+    };
+    for (const write of writes) {
+      await store[write.kind](...write.values);
+    }
+    return writes.length;
+  };
+
+  return adapter;
+}
+
+module.exports = {
+  setupMemory
+};
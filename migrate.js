@@ -0,0 +1,30 @@
+// Apply pending database migrations, or list them without changing anything:
+//   npm run migrate
+//   npm run migrate -- --dry-run
+const { migrateDatabase } = require('./database');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const migrations = await migrateDatabase({ dryRun });
+
+  if (migrations.length === 0) {
+    console.log('Database schema is up to date');
+    return;
+  }
+
+  console.log(dryRun ? 'Pending migrations:' : 'Applied migrations:');
+  migrations.forEach(migration => {
+    console.log(`\n${migration.name} - ${migration.description}`);
+    if (migration.statements.length === 0) {
+      console.log('  (no changes needed, already present)');
+    }
+    migration.statements.forEach(statement => {
+      console.log(`  ${statement.replace(/\s+/g, ' ').trim()};`);
+    });
+  });
+}
+
+main().catch(error => {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { toDbTimestamp } = require('./timeUtils');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Table that records which migrations have been applied
+const VERSION_TABLE = {
+  sqlite: `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`,
+  mysql: `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at DATETIME NOT NULL
+  )`,
+  postgresql: `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP NOT NULL
+  )`
+};
+
+// Catalog queries used by hasTable / hasColumn / hasIndex
+const CATALOG = {
+  sqlite: {
+    table: `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`,
+    column: `SELECT name FROM pragma_table_info(?) WHERE name = ?`,
+    index: `SELECT name FROM sqlite_master WHERE type = 'index' AND name = ?`
+  },
+  mysql: {
+    table: `SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    column: `SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    index: `SELECT INDEX_NAME FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND INDEX_NAME = ?`
+  },
+  postgresql: {
+    table: `SELECT table_name FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?`,
+    column: `SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?`,
+    index: `SELECT indexname FROM pg_indexes WHERE schemaname = current_schema() AND indexname = ?`
+  }
+};
+
+// Load migrations/NNN_name.js in version order
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return {
+        version: parseInt(file, 10),
+        name: path.basename(file, '.js'),
+        description: migration.description || '',
+        up: migration.up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].name}, ${migration.name}`);
+    }
+  });
+
+  return migrations;
+}
+
+// Helpers passed to each migration's up(schema)
+// Statements are recorded instead of executed when dryRun is set
+function createSchema(client, dryRun) {
+  const statements = [];
+
+  async function exists(query, ...params) {
+    const rows = await client.query(query, params);
+    return rows.length > 0;
+  }
+
+  const schema = {
+    dialect: client.dialect,
+    statements,
+
+    // Pick the statement for the current backend from { sqlite, mysql, postgresql }
+    sql(byDialect) {
+      if (typeof byDialect === 'string') {
+        return byDialect;
+      }
+      if (!byDialect[client.dialect]) {
+        throw new Error(`No ${client.dialect} variant for migration statement`);
+      }
+      return byDialect[client.dialect];
+    },
+
+    async execute(byDialect) {
+      const sql = schema.sql(byDialect);
+      statements.push(sql);
+      if (!dryRun) {
+        await client.query(sql, []);
+      }
+    },
+
+    hasTable: (table) => exists(CATALOG[client.dialect].table, table),
+    hasColumn: (table, column) => exists(CATALOG[client.dialect].column, table, column),
+    hasIndex: (index) => exists(CATALOG[client.dialect].index, index),
+
+    // Databases created before migrations existed may already have the table
+    async createTable(table, definition) {
+      if (await schema.hasTable(table)) {
+        return;
+      }
+      await schema.execute(definition);
+    },
+
+    // ... or the column
+    async addColumn(table, column, definition) {
+      if (await schema.hasColumn(table, column)) {
+        return;
+      }
+      await schema.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${schema.sql(definition)}`);
+    },
+
+    // MySQL has no CREATE INDEX IF NOT EXISTS
+    async addIndex(index, table, columns) {
+      if (await schema.hasIndex(index)) {
+        return;
+      }
+      await schema.execute(`CREATE INDEX ${index} ON ${table} (${columns.join(', ')})`);
+    }
+  };
+
+  return schema;
+}
+
+async function getAppliedVersions(client) {
+  const hasVersionTable = await createSchema(client, true).hasTable('schema_migrations');
+  if (!hasVersionTable) {
+    return [];
+  }
+
+  const rows = await client.query('SELECT version FROM schema_migrations ORDER BY version', []);
+  return rows.map(row => Number(row.version));
+}
+
+// Apply pending migrations in order, or only list them with { dryRun: true }
+// client: { dialect, query(sql, params) -> rows } on a single connection
+// Returns [{ version, name, description, statements }]
+async function runMigrations(client, { dryRun = false } = {}) {
+  const migrations = loadMigrations();
+  const applied = await getAppliedVersions(client);
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  const unknown = applied.filter(version => version > latest);
+  if (unknown.length > 0) {
+    console.warn(`Database has migrations newer than this version of the monitor: ${unknown.join(', ')}`);
+  }
+
+  const pending = migrations.filter(migration => !applied.includes(migration.version));
+  if (pending.length > 0 && !dryRun) {
+    await client.query(VERSION_TABLE[client.dialect], []);
+  }
+
+  const results = [];
+  for (const migration of pending) {
+    const schema = createSchema(client, dryRun);
+
+    if (dryRun) {
+      await migration.up(schema);
+    } else {
+      // SQLite and PostgreSQL roll back DDL on failure; MySQL commits each DDL statement implicitly
+      await client.query('BEGIN', []);
+      try {
+        await migration.up(schema);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, toDbTimestamp(new Date())]
+        );
+        await client.query('COMMIT', []);
+      } catch (error) {
+        await client.query('ROLLBACK', []);
+        throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+      }
+      console.log(`Applied database migration ${migration.name}`);
+    }
+
+    results.push({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      statements: schema.statements
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  runMigrations,
+  loadMigrations
+};
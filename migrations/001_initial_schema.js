@@ -0,0 +1,81 @@
+// Tables created by the first release (before migrations existed)
+module.exports = {
+  description: 'Create metrics and alerts tables',
+
+  async up(schema) {
+    await schema.createTable('metrics', {
+      sqlite: `CREATE TABLE metrics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        hostname TEXT NOT NULL,
+        ip_address TEXT NOT NULL,
+        ram_usage REAL NOT NULL,
+        cpu_usage REAL NOT NULL,
+        disk_usage REAL NOT NULL,
+        swap_usage REAL NOT NULL,
+        load_average REAL NOT NULL,
+        network_rx REAL NOT NULL,
+        network_tx REAL NOT NULL,
+        extra_data TEXT
+      )`,
+      mysql: `CREATE TABLE metrics (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        timestamp DATETIME NOT NULL,
+        hostname VARCHAR(255) NOT NULL,
+        ip_address VARCHAR(45) NOT NULL,
+        ram_usage FLOAT NOT NULL,
+        cpu_usage FLOAT NOT NULL,
+        disk_usage FLOAT NOT NULL,
+        swap_usage FLOAT NOT NULL,
+        load_average FLOAT NOT NULL,
+        network_rx FLOAT NOT NULL,
+        network_tx FLOAT NOT NULL,
+        extra_data JSON
+      )`,
+      postgresql: `CREATE TABLE metrics (
+        id SERIAL PRIMARY KEY,
+        timestamp TIMESTAMP NOT NULL,
+        hostname VARCHAR(255) NOT NULL,
+        ip_address VARCHAR(45) NOT NULL,
+        ram_usage FLOAT NOT NULL,
+        cpu_usage FLOAT NOT NULL,
+        disk_usage FLOAT NOT NULL,
+        swap_usage FLOAT NOT NULL,
+        load_average FLOAT NOT NULL,
+        network_rx FLOAT NOT NULL,
+        network_tx FLOAT NOT NULL,
+        extra_data JSONB
+      )`
+    });
+
+    await schema.createTable('alerts', {
+      sqlite: `CREATE TABLE alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        hostname TEXT NOT NULL,
+        alert_type TEXT NOT NULL,
+        value TEXT NOT NULL,
+        message TEXT NOT NULL,
+        sent_successfully INTEGER NOT NULL
+      )`,
+      mysql: `CREATE TABLE alerts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        timestamp DATETIME NOT NULL,
+        hostname VARCHAR(255) NOT NULL,
+        alert_type VARCHAR(50) NOT NULL,
+        value VARCHAR(100) NOT NULL,
+        message TEXT NOT NULL,
+        sent_successfully BOOLEAN NOT NULL
+      )`,
+      postgresql: `CREATE TABLE alerts (
+        id SERIAL PRIMARY KEY,
+        timestamp TIMESTAMP NOT NULL,
+        hostname VARCHAR(255) NOT NULL,
+        alert_type VARCHAR(50) NOT NULL,
+        value VARCHAR(100) NOT NULL,
+        message TEXT NOT NULL,
+        sent_successfully BOOLEAN NOT NULL
+      )`
+    });
+  }
+};
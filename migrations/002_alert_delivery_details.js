@@ -0,0 +1,22 @@
+// Which channel an alert went to, its lifecycle state and severity
+module.exports = {
+  description: 'Add channel, state and severity to alerts',
+
+  async up(schema) {
+    await schema.addColumn('alerts', 'channel', {
+      sqlite: 'TEXT',
+      mysql: 'VARCHAR(50)',
+      postgresql: 'VARCHAR(50)'
+    });
+    await schema.addColumn('alerts', 'state', {
+      sqlite: `TEXT NOT NULL DEFAULT 'firing'`,
+      mysql: `VARCHAR(20) NOT NULL DEFAULT 'firing'`,
+      postgresql: `VARCHAR(20) NOT NULL DEFAULT 'firing'`
+    });
+    await schema.addColumn('alerts', 'severity', {
+      sqlite: `TEXT NOT NULL DEFAULT 'warning'`,
+      mysql: `VARCHAR(20) NOT NULL DEFAULT 'warning'`,
+      postgresql: `VARCHAR(20) NOT NULL DEFAULT 'warning'`
+    });
+  }
+};
@@ -0,0 +1,42 @@
+// Space and inode usage per mount point
+module.exports = {
+  description: 'Create disk_metrics table',
+
+  async up(schema) {
+    await schema.createTable('disk_metrics', {
+      sqlite: `CREATE TABLE disk_metrics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        hostname TEXT NOT NULL,
+        mount TEXT NOT NULL,
+        fs_type TEXT,
+        disk_usage REAL NOT NULL,
+        inode_usage REAL,
+        size_bytes INTEGER,
+        used_bytes INTEGER
+      )`,
+      mysql: `CREATE TABLE disk_metrics (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        timestamp DATETIME NOT NULL,
+        hostname VARCHAR(255) NOT NULL,
+        mount VARCHAR(255) NOT NULL,
+        fs_type VARCHAR(50),
+        disk_usage FLOAT NOT NULL,
+        inode_usage FLOAT,
+        size_bytes BIGINT,
+        used_bytes BIGINT
+      )`,
+      postgresql: `CREATE TABLE disk_metrics (
+        id SERIAL PRIMARY KEY,
+        timestamp TIMESTAMP NOT NULL,
+        hostname VARCHAR(255) NOT NULL,
+        mount VARCHAR(255) NOT NULL,
+        fs_type VARCHAR(50),
+        disk_usage FLOAT NOT NULL,
+        inode_usage FLOAT,
+        size_bytes BIGINT,
+        used_bytes BIGINT
+      )`
+    });
+  }
+};
@@ -0,0 +1,17 @@
+// Who acknowledged an alert and when (POST /api/alerts/:id/ack)
+module.exports = {
+  description: 'Add acknowledged_by and acknowledged_at to alerts',
+
+  async up(schema) {
+    await schema.addColumn('alerts', 'acknowledged_by', {
+      sqlite: 'TEXT',
+      mysql: 'VARCHAR(255)',
+      postgresql: 'VARCHAR(255)'
+    });
+    await schema.addColumn('alerts', 'acknowledged_at', {
+      sqlite: 'TEXT',
+      mysql: 'DATETIME',
+      postgresql: 'TIMESTAMP'
+    });
+  }
+};
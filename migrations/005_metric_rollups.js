@@ -0,0 +1,52 @@
+// 5 minute and 1 hour min/avg/max rollups maintained by retention.js
+const ROLLUP_TABLES = ['metrics_5m', 'metrics_1h'];
+
+module.exports = {
+  description: 'Create metrics_5m and metrics_1h rollup tables',
+
+  async up(schema) {
+    for (const table of ROLLUP_TABLES) {
+      await schema.createTable(table, {
+        sqlite: `CREATE TABLE ${table} (
+          timestamp TEXT NOT NULL,
+          hostname TEXT NOT NULL,
+          samples INTEGER NOT NULL,
+          ram_min REAL, ram_avg REAL, ram_max REAL,
+          cpu_min REAL, cpu_avg REAL, cpu_max REAL,
+          disk_min REAL, disk_avg REAL, disk_max REAL,
+          swap_min REAL, swap_avg REAL, swap_max REAL,
+          load_min REAL, load_avg REAL, load_max REAL,
+          network_rx_min REAL, network_rx_avg REAL, network_rx_max REAL,
+          network_tx_min REAL, network_tx_avg REAL, network_tx_max REAL,
+          PRIMARY KEY (timestamp, hostname)
+        )`,
+        mysql: `CREATE TABLE ${table} (
+          timestamp DATETIME NOT NULL,
+          hostname VARCHAR(255) NOT NULL,
+          samples INT NOT NULL,
+          ram_min FLOAT, ram_avg FLOAT, ram_max FLOAT,
+          cpu_min FLOAT, cpu_avg FLOAT, cpu_max FLOAT,
+          disk_min FLOAT, disk_avg FLOAT, disk_max FLOAT,
+          swap_min FLOAT, swap_avg FLOAT, swap_max FLOAT,
+          load_min FLOAT, load_avg FLOAT, load_max FLOAT,
+          network_rx_min FLOAT, network_rx_avg FLOAT, network_rx_max FLOAT,
+          network_tx_min FLOAT, network_tx_avg FLOAT, network_tx_max FLOAT,
+          PRIMARY KEY (timestamp, hostname)
+        )`,
+        postgresql: `CREATE TABLE ${table} (
+          timestamp TIMESTAMP NOT NULL,
+          hostname VARCHAR(255) NOT NULL,
+          samples INTEGER NOT NULL,
+          ram_min FLOAT, ram_avg FLOAT, ram_max FLOAT,
+          cpu_min FLOAT, cpu_avg FLOAT, cpu_max FLOAT,
+          disk_min FLOAT, disk_avg FLOAT, disk_max FLOAT,
+          swap_min FLOAT, swap_avg FLOAT, swap_max FLOAT,
+          load_min FLOAT, load_avg FLOAT, load_max FLOAT,
+          network_rx_min FLOAT, network_rx_avg FLOAT, network_rx_max FLOAT,
+          network_tx_min FLOAT, network_tx_avg FLOAT, network_tx_max FLOAT,
+          PRIMARY KEY (timestamp, hostname)
+        )`
+      });
+    }
+  }
+};
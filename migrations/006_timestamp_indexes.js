@@ -0,0 +1,10 @@
+// History queries and retention filter every table by time range
+module.exports = {
+  description: 'Index timestamp columns of metrics, disk_metrics and alerts',
+
+  async up(schema) {
+    await schema.addIndex('idx_metrics_timestamp', 'metrics', ['timestamp', 'hostname']);
+    await schema.addIndex('idx_disk_metrics_timestamp', 'disk_metrics', ['timestamp', 'mount']);
+    await schema.addIndex('idx_alerts_timestamp', 'alerts', ['timestamp']);
+  }
+};
@@ -0,0 +1,43 @@
+// Liveness and resource usage of watched processes and systemd units
+module.exports = {
+  description: 'Create process_metrics table',
+
+  async up(schema) {
+    await schema.createTable('process_metrics', {
+      sqlite: `CREATE TABLE process_metrics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        hostname TEXT NOT NULL,
+        name TEXT NOT NULL,
+        running INTEGER NOT NULL,
+        pid INTEGER,
+        cpu_usage REAL,
+        rss_bytes INTEGER,
+        restarts INTEGER NOT NULL DEFAULT 0
+      )`,
+      mysql: `CREATE TABLE process_metrics (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        timestamp DATETIME NOT NULL,
+        hostname VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        running TINYINT NOT NULL,
+        pid INT,
+        cpu_usage FLOAT,
+        rss_bytes BIGINT,
+        restarts INT NOT NULL DEFAULT 0
+      )`,
+      postgresql: `CREATE TABLE process_metrics (
+        id SERIAL PRIMARY KEY,
+        timestamp TIMESTAMP NOT NULL,
+        hostname VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        running SMALLINT NOT NULL,
+        pid INTEGER,
+        cpu_usage FLOAT,
+        rss_bytes BIGINT,
+        restarts INTEGER NOT NULL DEFAULT 0
+      )`
+    });
+    await schema.addIndex('idx_process_metrics_timestamp', 'process_metrics', ['timestamp', 'name']);
+  }
+};
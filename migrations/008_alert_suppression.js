@@ -0,0 +1,12 @@
+// Silence or maintenance window that kept an alert from being sent (see silences.js)
+module.exports = {
+  description: 'Add suppressed_by to alerts',
+
+  async up(schema) {
+    await schema.addColumn('alerts', 'suppressed_by', {
+      sqlite: 'TEXT',
+      mysql: 'VARCHAR(255)',
+      postgresql: 'VARCHAR(255)'
+    });
+  }
+};
@@ -0,0 +1,15 @@
+// Rule names with a mount or interface outgrow alert_type, and condition rules store their whole
+// message as the value (see rules.js). SQLite does not enforce the declared lengths.
+module.exports = {
+  description: 'Widen alert_type and value of alerts',
+
+  async up(schema) {
+    if (schema.dialect === 'sqlite') {
+      return;
+    }
+    await schema.execute({
+      mysql: 'ALTER TABLE alerts MODIFY alert_type VARCHAR(255) NOT NULL, MODIFY value TEXT NOT NULL',
+      postgresql: 'ALTER TABLE alerts ALTER COLUMN alert_type TYPE VARCHAR(255), ALTER COLUMN value TYPE TEXT'
+    });
+  }
+};
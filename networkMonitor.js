@@ -0,0 +1,95 @@
+const si = require('systeminformation');
+const config = require('config');
+const { matchesAny } = require('./diskMonitor');
+
+// Bytes to megabits; decimal (10^6 bits) like the link speed the utilization is measured against
+const BITS_PER_MEGABIT = 1000 * 1000;
+
+// Compute per-interface throughput from counter deltas between consecutive calls,
+// so a monitoring cycle never has to sleep to measure traffic
+function createNetworkSampler() {
+  // iface -> { rxBytes, txBytes, time }
+  let previous = {};
+
+  function isMonitoredInterface(iface, internal) {
+    const legacyInterface = config.get('network.interface');
+    if (legacyInterface) {
+      return iface === legacyInterface;
+    }
+
+    const include = config.get('network.interfaces.include');
+    const exclude = config.get('network.interfaces.exclude');
+
+    if (internal) {
+      return false;
+    }
+    if (include.length > 0 && !matchesAny(include, iface)) {
+      return false;
+    }
+    return !matchesAny(exclude, iface);
+  }
+
+  // Returns [{ iface, rxMbps, txMbps, speedMbps, utilization }]
+  // Rates are null on the first call for an interface (no previous counters yet)
+  async function sample() {
+    const now = Date.now();
+    const [stats, interfaces] = await Promise.all([
+      si.networkStats('*'),
+      si.networkInterfaces()
+    ]);
+
+    const details = {};
+    (Array.isArray(interfaces) ? interfaces : [interfaces]).forEach(item => {
+      details[item.iface] = item;
+    });
+
+    const current = {};
+    const result = [];
+
+    stats.forEach(stat => {
+      const info = details[stat.iface] || {};
+      if (!isMonitoredInterface(stat.iface, info.internal)) {
+        return;
+      }
+
+      current[stat.iface] = { rxBytes: stat.rx_bytes, txBytes: stat.tx_bytes, time: now };
+
+      const prev = previous[stat.iface];
+      let rxMbps = null;
+      let txMbps = null;
+
+      // Skip the first sample and counter resets (interface restarted, 32-bit wrap)
+      if (prev && stat.rx_bytes >= prev.rxBytes && stat.tx_bytes >= prev.txBytes && now > prev.time) {
+        const seconds = (now - prev.time) / 1000;
+        rxMbps = ((stat.rx_bytes - prev.rxBytes) * 8) / BITS_PER_MEGABIT / seconds;
+        txMbps = ((stat.tx_bytes - prev.txBytes) * 8) / BITS_PER_MEGABIT / seconds;
+      }
+
+      // Link speed is reported in Mbit/s; virtual interfaces report null or -1
+      const speedMbps = info.speed > 0 ? info.speed : null;
+      const utilization = speedMbps && rxMbps !== null
+        ? Math.round((Math.max(rxMbps, txMbps) / speedMbps) * 100)
+        : null;
+
+      result.push({ iface: stat.iface, rxMbps, txMbps, speedMbps, utilization });
+    });
+
+    previous = current;
+    return result;
+  }
+
+  return {
+    sample
+  };
+}
+
+// Per-interface overrides from network.perInterface, e.g. { "eth0": { "warning": 500 } }
+function getInterfaceOverrides(iface) {
+  const perInterface = config.get('network.perInterface');
+  return perInterface[iface] || {};
+}
+
+module.exports = {
+  createNetworkSampler,
+  getInterfaceOverrides
+};
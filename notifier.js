@@ -0,0 +1,98 @@
+const config = require('config');
+const { createTelegramChannel } = require('./telegramNotifier');
+const { createWebhookChannel } = require('./webhookNotifier');
+const { createSlackChannel } = require('./slackNotifier');
+const { createEmailChannel } = require('./emailNotifier');
+
+// Channel factories keyed by the config flag that enables them
+const channelFactories = [
+  { enabledKey: 'telegram.enabled', create: createTelegramChannel },
+  { enabledKey: 'notifications.webhook.enabled', create: createWebhookChannel },
+  { enabledKey: 'notifications.slack.enabled', create: createSlackChannel },
+  { enabledKey: 'notifications.email.enabled', create: createEmailChannel }
+];
+
+// Create every channel enabled in the current config
+function createChannels(logger) {
+  const channels = [];
+
+  channelFactories.forEach(({ enabledKey, create }) => {
+    if (!config.get(enabledKey)) {
+      return;
+    }
+
+    try {
+      const channel = create();
+      channels.push(channel);
+      logger.info(`Notification channel enabled: ${channel.name}`);
+    } catch (error) {
+      logger.error(`Error setting up notification channel (${enabledKey}): ${error.message}`);
+    }
+  });
+
+  if (channels.length === 0) {
+    logger.warn('No notification channels are enabled, alerts will only be logged');
+  }
+  return channels;
+}
+
+// Initialize all enabled notification channels
+function setupNotifiers(logger) {
+  const channels = createChannels(logger);
+
+  // Recreate the channels after a config reload; the array is replaced in place so
+  // holders of "channels" see the new ones, deliveries already running finish on the old ones
+  function reload() {
+    channels.splice(0, channels.length, ...createChannels(logger));
+  }
+
+  // Deliver a message through one channel with retry
+  async function deliver(channel, message, alert) {
+    const maxRetries = config.get('notifications.maxRetries');
+    const retryDelay = config.get('notifications.retryDelay');
+    const label = alert ? alert.type : 'Test';
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        logger.debug(`Sending ${label} message via ${channel.name}`);
+
+        await channel.send(message, alert || {});
+
+        logger.info(`${label} message successfully sent via ${channel.name}`);
+        return true;
+      } catch (error) {
+        logger.warn(`Error sending ${channel.name} message (attempt ${attempt}/${maxRetries}): ${error.message}`);
+        if (attempt < maxRetries) {
+          await new Promise(resolve => setTimeout(resolve, retryDelay)); // Wait before retrying
+        }
+      }
+    }
+
+    logger.error(`Failed to send ${channel.name} message after ${maxRetries} attempts`);
+    channel.describe().forEach(line => logger.error(line));
+    return false;
+  }
+
+  // Send a message to every channel (or only the named one)
+  async function send(message, alert = null, channelName = null) {
+    const targets = channelName
+      ? channels.filter(channel => channel.name === channelName)
+      : channels;
+
+    return Promise.all(targets.map(async channel => ({
+      channel: channel.name,
+      success: await deliver(channel, message, alert)
+    })));
+  }
+
+  return {
+    channels,
+    getChannel: (name) => channels.find(channel => channel.name === name) || null,
+    send,
+    reload
+  };
+}
+
+module.exports = {
+  setupNotifiers
+};
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const config = require('config');
+const { execFile } = require('child_process');
+const { parseDuration } = require('./timeUtils');
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// systemctl properties read for every watched unit
+const UNIT_PROPERTIES = ['LoadState', 'ActiveState', 'SubState', 'MainPID', 'NRestarts'];
+
+const SYSTEMCTL_TIMEOUT_MS = 5000;
+
+// Check processes.watch and processes.units and turn them into matchers
+// Throws on the first invalid entry so a typo is caught at startup
+function loadWatchList(watchEntries = config.get('processes.watch'), unitEntries = config.get('processes.units')) {
+  const defaultFor = parseDuration(config.get('processes.for')) || 0;
+  const names = new Set();
+
+  function limitsOf(entry, label) {
+    const forSeconds = entry.for !== undefined ? parseDuration(entry.for) : defaultFor;
+    if (forSeconds === null) {
+      throw new Error(`Invalid "for" in ${label}: ${entry.for}`);
+    }
+    ['maxRssMb', 'maxCpu'].forEach(key => {
+      if (entry[key] !== undefined && entry[key] !== null && !(entry[key] > 0)) {
+        throw new Error(`${key} in ${label} must be a positive number`);
+      }
+    });
+
+    return {
+      minCount: entry.minCount || 1,
+      maxRssMb: entry.maxRssMb || null,
+      maxCpu: entry.maxCpu || null,
+      forSeconds
+    };
+  }
+
+  function claimName(name, label) {
+    if (!name) {
+      throw new Error(`${label} needs a name`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Duplicate watched process name: ${name}`);
+    }
+    names.add(name);
+  }
+
+  const watch = watchEntries.map((entry, index) => {
+    const label = `processes.watch[${index}]`;
+    claimName(entry.name, label);
+
+    const selectors = ['process', 'command', 'pidfile'].filter(key => entry[key]);
+    if (selectors.length !== 1) {
+      throw new Error(`${label} (${entry.name}) needs exactly one of: process, command, pidfile`);
+    }
+
+    let command = null;
+    if (entry.command) {
+      try {
+        command = new RegExp(entry.command);
+      } catch (error) {
+        throw new Error(`Invalid command regex in ${label} (${entry.name}): ${error.message}`);
+      }
+    }
+
+    return {
+      name: entry.name,
+      kind: 'process',
+      process: entry.process || null,
+      command,
+      pidfile: entry.pidfile || null,
+      limits: limitsOf(entry, label)
+    };
+  });
+
+  const units = unitEntries.map((entry, index) => {
+    const label = `processes.units[${index}]`;
+    if (!entry.unit) {
+      throw new Error(`${label} needs a unit`);
+    }
+    const name = entry.name || entry.unit;
+    claimName(name, label);
+
+    return {
+      name,
+      kind: 'unit',
+      unit: entry.unit,
+      limits: limitsOf(entry, label)
+    };
+  });
+
+  return [...watch, ...units];
+}
+
+// Read the pid from a pidfile; null if the file is missing or does not hold a pid
+function readPidfile(file) {
+  try {
+    const pid = parseInt(fs.readFileSync(file, 'utf8').trim(), 10);
+    return pid > 0 ? pid : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// "Key=value" lines of "systemctl show" -> { LoadState, ActiveState, ... }
+function parseUnitProperties(stdout) {
+  const properties = {};
+  stdout.split('\n').forEach(line => {
+    const separator = line.indexOf('=');
+    if (separator > 0) {
+      properties[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  });
+  return properties;
+}
+
+function showUnit(unit) {
+  const args = ['show', unit, ...UNIT_PROPERTIES.flatMap(property => ['-p', property])];
+  return new Promise((resolve, reject) => {
+    execFile('systemctl', args, { timeout: SYSTEMCTL_TIMEOUT_MS }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(parseUnitProperties(stdout));
+    });
+  });
+}
+
+// A process and all of its descendants
+function processTree(list, rootPid) {
+  const pids = new Set([rootPid]);
+  let grown = true;
+  while (grown) {
+    grown = false;
+    list.forEach(proc => {
+      if (!pids.has(proc.pid) && pids.has(proc.parentPid)) {
+        pids.add(proc.pid);
+        grown = true;
+      }
+    });
+  }
+  return list.filter(proc => pids.has(proc.pid));
+}
+
+// The process that owns the others: not started by another matched process, oldest first
+function mainProcess(matched) {
+  const pids = new Set(matched.map(proc => proc.pid));
+  const roots = matched.filter(proc => !pids.has(proc.parentPid));
+  return [...(roots.length > 0 ? roots : matched)]
+    .sort((a, b) => String(a.started).localeCompare(String(b.started)) || a.pid - b.pid)[0];
+}
+
+// State of a unit from its properties; its processes are the main pid and its descendants
+function unitDetails(properties, list) {
+  const mainPid = parseInt(properties.MainPID, 10) || 0;
+  const nRestarts = properties.NRestarts !== undefined && properties.NRestarts !== '' ? parseInt(properties.NRestarts, 10) : null;
+  const state = properties.LoadState === 'not-found'
+    ? 'not-found'
+    : `${properties.ActiveState}/${properties.SubState}`;
+  const main = list.find(proc => proc.pid === mainPid);
+
+  return {
+    state,
+    running: properties.ActiveState === 'active',
+    processes: mainPid > 0 ? processTree(list, mainPid) : [],
+    mainPid: mainPid || null,
+    mainStarted: main ? main.started : null,
+    nRestarts
+  };
+}
+
+function describeCount(count, minCount) {
+  if (count === 0) {
+    return 'no matching process';
+  }
+  return count < minCount ? `${count} of ${minCount} running` : `${count} running`;
+}
+
+// Sample watched processes and systemd units on every monitoring cycle
+// A restart is a change of main pid (or of its start time, when the pid was reused) between two
+// samples in which the process was running, or (for units) a higher NRestarts count
+function createProcessWatcher(logger) {
+  const watchList = loadWatchList();
+
+  // name -> { running, mainPid, mainStarted, nRestarts }
+  let previous = {};
+
+  // Units whose state could not be read are only logged once until they can be read again
+  const unreadable = new Set();
+
+  function matchProcesses(entry, list) {
+    if (entry.pidfile) {
+      const pid = readPidfile(entry.pidfile);
+      return pid ? processTree(list, pid) : [];
+    }
+    if (entry.command) {
+      return list.filter(proc => entry.command.test(`${proc.command} ${proc.params}`.trim()));
+    }
+    return list.filter(proc => proc.name === entry.process);
+  }
+
+  async function sampleUnit(entry, list) {
+    let properties;
+    try {
+      properties = await showUnit(entry.unit);
+      unreadable.delete(entry.unit);
+    } catch (error) {
+      if (!unreadable.has(entry.unit)) {
+        unreadable.add(entry.unit);
+        logger.error(`Could not read state of ${entry.unit}: ${error.message}`);
+      }
+      return { state: 'unknown', running: false, processes: [], mainPid: null, mainStarted: null, nRestarts: null };
+    }
+
+    return unitDetails(properties, list);
+  }
+
+  function isRestart(prev, details) {
+    if (!prev) {
+      return false;
+    }
+    if (prev.nRestarts !== null && details.nRestarts !== null && details.nRestarts > prev.nRestarts) {
+      return true;
+    }
+    if (!prev.running || !details.running || !prev.mainPid || !details.mainPid) {
+      return false;
+    }
+    return prev.mainPid !== details.mainPid
+      || Boolean(prev.mainStarted && details.mainStarted && prev.mainStarted !== details.mainStarted);
+  }
+
+  // list: si.processes().list, shared with the leak detector
+  // Returns [{ name, kind, running, state, count, pids, mainPid, cpu, rssBytes, restarts, limits }]
+  // restarts counts the restarts seen since the previous sample
+  async function sample(list) {
+    const current = {};
+    const result = [];
+
+    for (const entry of watchList) {
+      let details;
+      if (entry.kind === 'unit') {
+        details = await sampleUnit(entry, list);
+      } else {
+        const processes = matchProcesses(entry, list);
+        const main = processes.length > 0 ? mainProcess(processes) : null;
+        details = {
+          processes,
+          running: processes.length >= entry.limits.minCount,
+          state: describeCount(processes.length, entry.limits.minCount),
+          mainPid: main ? main.pid : null,
+          mainStarted: main ? main.started : null,
+          nRestarts: null
+        };
+      }
+
+      const prev = previous[entry.name];
+      let restarts = 0;
+      if (isRestart(prev, details)) {
+        // NRestarts tells how many restarts happened in between; a new main process is one
+        restarts = prev.nRestarts !== null && details.nRestarts > prev.nRestarts ? details.nRestarts - prev.nRestarts : 1;
+      }
+      current[entry.name] = { running: details.running, mainPid: details.mainPid, mainStarted: details.mainStarted, nRestarts: details.nRestarts };
+
+      const rssKb = details.processes.reduce((sum, proc) => sum + (proc.memRss || 0), 0);
+      const cpu = details.processes.reduce((sum, proc) => sum + (proc.cpu || 0), 0);
+
+      result.push({
+        name: entry.name,
+        kind: entry.kind,
+        running: details.running,
+        state: details.state,
+        count: details.processes.length,
+        pids: details.processes.map(proc => proc.pid),
+        mainPid: details.mainPid,
+        cpu: Math.round(cpu * 10) / 10,
+        rssBytes: rssKb * 1024,
+        restarts,
+        limits: entry.limits
+      });
+    }
+
+    previous = current;
+    return result;
+  }
+
+  logger.info(`Watching ${watchList.length} process(es) and unit(s): ${watchList.map(entry => entry.name).join(', ') || 'none'}`);
+
+  return {
+    sample
+  };
+}
+
+module.exports = {
+  BYTES_PER_MB,
+  loadWatchList,
+  parseUnitProperties,
+  unitDetails,
+  createProcessWatcher
+};
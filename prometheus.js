@@ -1,7 +1,13 @@
+const http = require('http');
 const client = require('prom-client');
 const config = require('config');
 
+// Seconds; collectors are usually fast, a slow si.processes() or df can take seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
 // Initialize Prometheus client
+// Every series has a "host" label (agents report through the collector) and the static labels
+// from prometheus.labels, e.g. { "env": "production", "region": "eu" }
 function setupPrometheus() {
   if (!config.get('prometheus.enabled')) {
     console.log('Prometheus integration is disabled');
@@ -11,9 +17,12 @@ function setupPrometheus() {
   try {
     // Create a Registry to register metrics
     const register = new client.Registry();
+    register.setDefaultLabels(config.get('prometheus.labels'));
     
-    // Add default metrics (CPU, memory usage, etc.)
-    client.collectDefaultMetrics({ register });
+    // Add default metrics of this process (CPU, memory usage, event loop lag, etc.)
+    if (config.get('prometheus.defaultMetrics')) {
+      client.collectDefaultMetrics({ register });
+    }
     
     // Create custom metrics
     
@@ -21,86 +30,158 @@ function setupPrometheus() {
     const ramUsage = new client.Gauge({
       name: 'system_ram_usage_percent',
       help: 'Current RAM usage in percent',
+      labelNames: ['host'],
       registers: [register]
     });
     
     const cpuUsage = new client.Gauge({
       name: 'system_cpu_usage_percent',
       help: 'Current CPU usage in percent',
+      labelNames: ['host'],
       registers: [register]
     });
     
     const diskUsage = new client.Gauge({
       name: 'system_disk_usage_percent',
       help: 'Current disk usage in percent',
-      labelNames: ['path'],
+      labelNames: ['host', 'path'],
+      registers: [register]
+    });
+    
+    const diskInodeUsage = new client.Gauge({
+      name: 'system_disk_inode_usage_percent',
+      help: 'Current inode usage in percent',
+      labelNames: ['host', 'path'],
       registers: [register]
     });
     
     const swapUsage = new client.Gauge({
       name: 'system_swap_usage_percent',
       help: 'Current swap usage in percent',
+      labelNames: ['host'],
       registers: [register]
     });
     
     const loadAverage = new client.Gauge({
       name: 'system_load_average_per_core',
       help: 'Current system load average per CPU core',
+      labelNames: ['host'],
       registers: [register]
     });
     
     const networkRx = new client.Gauge({
       name: 'system_network_rx_mbps',
       help: 'Current network receive rate in Mbps',
-      labelNames: ['interface'],
+      labelNames: ['host', 'interface'],
       registers: [register]
     });
     
     const networkTx = new client.Gauge({
       name: 'system_network_tx_mbps',
       help: 'Current network transmit rate in Mbps',
-      labelNames: ['interface'],
+      labelNames: ['host', 'interface'],
+      registers: [register]
+    });
+    
+    const networkUtilization = new client.Gauge({
+      name: 'system_network_utilization_percent',
+      help: 'Current network throughput as percent of link speed',
+      labelNames: ['host', 'interface'],
+      registers: [register]
+    });
+    
+    // Watched processes and systemd units (processes.watch / processes.units)
+    const processRunning = new client.Gauge({
+      name: 'system_process_running',
+      help: 'Whether a watched process or unit is running (1) or not (0)',
+      labelNames: ['host', 'name'],
+      registers: [register]
+    });
+    
+    const processCpu = new client.Gauge({
+      name: 'system_process_cpu_usage_percent',
+      help: 'CPU usage of a watched process or unit in percent',
+      labelNames: ['host', 'name'],
       registers: [register]
     });
     
-    // Alert counters
-    const ramAlerts = new client.Counter({
-      name: 'system_ram_alerts_total',
-      help: 'Total number of RAM usage alerts',
+    const processRss = new client.Gauge({
+      name: 'system_process_rss_bytes',
+      help: 'Resident memory of a watched process or unit in bytes',
+      labelNames: ['host', 'name'],
       registers: [register]
     });
     
-    const cpuAlerts = new client.Counter({
-      name: 'system_cpu_alerts_total',
-      help: 'Total number of CPU usage alerts',
+    const processRestarts = new client.Counter({
+      name: 'system_process_restarts_total',
+      help: 'Restarts of a watched process or unit seen by the monitor',
+      labelNames: ['host', 'name'],
       registers: [register]
     });
     
-    const diskAlerts = new client.Counter({
-      name: 'system_disk_alerts_total',
-      help: 'Total number of disk usage alerts',
+    // Alerts sent, by alert type without the instance ("Disk" for "Disk:/var") and severity
+    const alertsSent = new client.Counter({
+      name: 'system_alerts_total',
+      help: 'Alerts sent to at least one notification channel',
+      labelNames: ['host', 'type', 'severity'],
       registers: [register]
     });
     
-    const swapAlerts = new client.Counter({
-      name: 'system_swap_alerts_total',
-      help: 'Total number of swap usage alerts',
+    // Monitoring cycle internals
+    const collectionDuration = new client.Histogram({
+      name: 'system_collection_duration_seconds',
+      help: 'Time taken by each collector in a monitoring cycle',
+      labelNames: ['collector'],
+      buckets: DURATION_BUCKETS,
       registers: [register]
     });
     
-    const loadAlerts = new client.Counter({
-      name: 'system_load_alerts_total',
-      help: 'Total number of load average alerts',
+    const collectorErrors = new client.Counter({
+      name: 'system_collector_errors_total',
+      help: 'Collector runs that failed and reported a fallback value',
+      labelNames: ['collector'],
       registers: [register]
     });
     
-    const networkAlerts = new client.Counter({
-      name: 'system_network_alerts_total',
-      help: 'Total number of network usage alerts',
+    // Alert lifecycle state (1 = firing, 0 = resolved)
+    const alertFiring = new client.Gauge({
+      name: 'system_alert_firing',
+      help: 'Whether an alert of the given type is currently firing',
+      labelNames: ['host', 'type'],
       registers: [register]
     });
     
-    console.log(`Prometheus metrics initialized on port ${config.get('prometheus.port')}`);
+    // Serve the registry on prometheus.port, separate from the API
+    function startServer(logger) {
+      const port = config.get('prometheus.port');
+      const metricsPath = config.get('prometheus.path');
+      
+      const server = http.createServer(async (req, res) => {
+        if (req.method !== 'GET' || req.url.split('?')[0] !== metricsPath) {
+          res.writeHead(404, { 'Content-Type': 'text/plain' });
+          res.end(`Metrics are served on ${metricsPath}\n`);
+          return;
+        }
+        
+        try {
+          const body = await register.metrics();
+          res.writeHead(200, { 'Content-Type': register.contentType });
+          res.end(body);
+        } catch (error) {
+          logger.error(`Failed to render Prometheus metrics: ${error.message}`);
+          res.writeHead(500, { 'Content-Type': 'text/plain' });
+          res.end(`${error.message}\n`);
+        }
+      });
+      
+      server.on('error', error => {
+        logger.error(`Prometheus exporter could not listen on port ${port}: ${error.message}`);
+      });
+      server.listen(port, () => {
+        logger.info(`Prometheus metrics served on port ${port} at ${metricsPath}`);
+      });
+      return server;
+    }
     
     // Return Prometheus interface
     return {
@@ -108,16 +189,21 @@ function setupPrometheus() {
       ramUsage,
       cpuUsage,
       diskUsage,
+      diskInodeUsage,
       swapUsage,
       loadAverage,
       networkRx,
       networkTx,
-      ramAlerts,
-      cpuAlerts,
-      diskAlerts,
-      swapAlerts,
-      loadAlerts,
-      networkAlerts
+      networkUtilization,
+      processRunning,
+      processCpu,
+      processRss,
+      processRestarts,
+      alertsSent,
+      collectionDuration,
+      collectorErrors,
+      alertFiring,
+      startServer
     };
   } catch (error) {
     console.error(`Error setting up Prometheus: ${error.message}`);
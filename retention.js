@@ -0,0 +1,113 @@
+const cron = require('node-cron');
+const config = require('config');
+const { ROLLUPS } = require('./database');
+const { parseDuration, toDbTimestamp } = require('./timeUtils');
+
+// Buckets are only rolled up once they ended this long ago, so late samples still make it in
+const SETTLE_SECONDS = 60;
+
+// Roll raw metrics up into the rollup tables and delete data older than its retention period
+function setupRetention(db, logger) {
+  let running = false;
+
+  // Retention period in milliseconds, null keeps the data forever
+  function retentionMs(key) {
+    const value = config.get(`database.retention.${key}`);
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const seconds = parseDuration(value);
+    if (!seconds) {
+      throw new Error(`Invalid database.retention.${key}: ${value}`);
+    }
+    return seconds * 1000;
+  }
+
+  // Aggregate every complete bucket since the last run; returns the end of the rolled up range
+  async function rollUp(rollup, now) {
+    const bucketMs = rollup.seconds * 1000;
+    const end = Math.floor((now - SETTLE_SECONDS * 1000) / bucketMs) * bucketMs;
+
+    const rolled = await db.getTimeRange(rollup.table);
+    let start;
+    if (rolled.newest) {
+      start = rolled.newest.getTime() + bucketMs;
+    } else {
+      const raw = await db.getTimeRange('metrics');
+      if (!raw.oldest) {
+        return null;
+      }
+      start = Math.floor(raw.oldest.getTime() / bucketMs) * bucketMs;
+    }
+
+    if (start < end) {
+      const buckets = await db.rollupMetrics(rollup.name, toDbTimestamp(new Date(start)), toDbTimestamp(new Date(end)));
+      logger.info(`Rolled up ${buckets} ${rollup.name} bucket(s) from ${toDbTimestamp(new Date(start))} to ${toDbTimestamp(new Date(end))}`);
+      return end;
+    }
+    return start;
+  }
+
+  async function prune(table, cutoff) {
+    const deleted = await db.deleteOlderThan(table, toDbTimestamp(new Date(cutoff)));
+    if (deleted > 0) {
+      logger.info(`Deleted ${deleted} row(s) older than ${toDbTimestamp(new Date(cutoff))} from ${table}`);
+    }
+  }
+
+  async function run() {
+    if (running) {
+      logger.warn('Previous retention run is still in progress, skipping');
+      return;
+    }
+
+    running = true;
+    try {
+      const now = Date.now();
+
+      // Raw samples are kept until every rollup has consumed them
+      let rolledUntil = Infinity;
+      for (const rollup of ROLLUPS) {
+        const end = await rollUp(rollup, now);
+        rolledUntil = Math.min(rolledUntil, end === null ? 0 : end);
+
+        const keepRollup = retentionMs(`rollups.${rollup.name}`);
+        if (keepRollup) {
+          await prune(rollup.table, now - keepRollup);
+        }
+      }
+
+      const keepRaw = retentionMs('raw');
+      if (keepRaw) {
+        await prune('metrics', Math.min(now - keepRaw, rolledUntil));
+        await prune('disk_metrics', now - keepRaw);
+        await prune('process_metrics', now - keepRaw);
+      }
+    } catch (error) {
+      logger.error(`Error running database retention: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }
+
+  const schedule = config.get('database.retention.schedule');
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid database.retention.schedule "${schedule}", retention is disabled`);
+    return { run };
+  }
+
+  cron.schedule(schedule, run);
+  logger.info(`Database retention enabled (raw: ${config.get('database.retention.raw') || 'forever'}, schedule: ${schedule})`);
+
+  // Catch up right away instead of waiting for the first scheduled run
+  run();
+
+  return {
+    run
+  };
+}
+
+module.exports = {
+  setupRetention
+};
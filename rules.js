@@ -0,0 +1,547 @@
+const os = require('os');
+const config = require('config');
+const { parseDuration } = require('./timeUtils');
+const { getMountOverrides, getPrimaryMount } = require('./diskMonitor');
+const { getInterfaceOverrides } = require('./networkMonitor');
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+const SEVERITY_LEVELS = { warning: 1, critical: 2 };
+
+// alerts.alert_type is VARCHAR(255) (migration 009) and also holds the mount or interface of "each" rules
+const MAX_RULE_NAME_LENGTH = 100;
+
+// Functions that can be called in expressions
+const FUNCTIONS = {
+  min: Math.min,
+  max: Math.max,
+  abs: Math.abs
+};
+
+const gigabytes = bytes => (bytes === null || bytes === undefined ? null : bytes / BYTES_PER_GB);
+
+const freeBytes = disk => (disk.availableBytes !== undefined && disk.availableBytes !== null
+  ? disk.availableBytes
+  : disk.sizeBytes - disk.usedBytes);
+
+function primaryDisk(metrics) {
+  return metrics.disks && metrics.disks.length > 0 ? getPrimaryMount(metrics.disks).mount : null;
+}
+
+// Names usable in expressions and message templates, computed from the metrics of one sample
+// Load is compared as percent per core, like the load.warning / load.critical thresholds
+const HOST_VARIABLES = {
+  ram: metrics => metrics.ram,
+  cpu: metrics => metrics.cpu,
+  disk: metrics => metrics.disk,
+  swap: metrics => metrics.swap,
+  load: metrics => metrics.load,
+  load_per_core: metrics => metrics.load / 100,
+  load_1m: metrics => (metrics.load / 100) * os.cpus().length,
+  network_rx: metrics => (metrics.network || [])[0],
+  network_tx: metrics => (metrics.network || [])[1],
+  disk_free_gb: metrics => (primaryDisk(metrics) ? gigabytes(freeBytes(primaryDisk(metrics))) : null),
+  disk_used_gb: metrics => (primaryDisk(metrics) ? gigabytes(primaryDisk(metrics).usedBytes) : null),
+  disk_size_gb: metrics => (primaryDisk(metrics) ? gigabytes(primaryDisk(metrics).sizeBytes) : null),
+  processes_down: metrics => (metrics.processes || []).filter(item => !item.running).length,
+  leaking_processes: metrics => (metrics.leaks || []).filter(item => item.leaking).length
+};
+
+// Rules with "each" are evaluated once per mount or interface; key names the instance in the alert type
+const EACH = {
+  disks: {
+    key: 'mount',
+    items: metrics => metrics.disks || [],
+    variables: {
+      mount: disk => disk.mount,
+      usage: disk => disk.usage,
+      inode_usage: disk => disk.inodeUsage,
+      free_gb: disk => gigabytes(freeBytes(disk)),
+      used_gb: disk => gigabytes(disk.usedBytes),
+      size_gb: disk => gigabytes(disk.sizeBytes)
+    }
+  },
+  interfaces: {
+    key: 'iface',
+    items: metrics => metrics.interfaces || [],
+    variables: {
+      iface: item => item.iface,
+      rx_mbps: item => item.rxMbps,
+      tx_mbps: item => item.txMbps,
+      utilization: item => item.utilization,
+      speed_mbps: item => item.speedMbps
+    }
+  }
+};
+
+// The built-in checks, written as rules. thresholds names the config section holding
+// warning/critical/clearThreshold/for; overrides(item) applies disk.perMount / network.perInterface
+// A rule in the "rules" config with the same name replaces the fields it sets
+const DEFAULT_RULES = [
+  {
+    name: 'RAM',
+    expression: 'ram',
+    thresholds: 'monitoring',
+    unit: '%',
+    message: 'High RAM usage: {ram}%'
+  },
+  {
+    name: 'CPU',
+    enabled: () => config.get('cpu.monitor'),
+    expression: 'cpu',
+    thresholds: 'cpu',
+    unit: '%',
+    message: 'High CPU usage: {cpu}%'
+  },
+  {
+    name: 'Disk',
+    enabled: () => config.get('disk.monitor'),
+    each: 'disks',
+    expression: 'usage',
+    thresholds: 'disk',
+    overrides: disk => getMountOverrides(disk.mount),
+    unit: '%',
+    message: 'High disk usage ({mount}): {usage}%'
+  },
+  {
+    name: 'Inodes',
+    enabled: () => config.get('disk.monitor') && config.get('disk.inodes.monitor'),
+    each: 'disks',
+    expression: 'inode_usage',
+    thresholds: 'disk.inodes',
+    overrides: disk => getMountOverrides(disk.mount).inodes || {},
+    unit: '%',
+    message: 'High inode usage ({mount}): {inode_usage}%'
+  },
+  {
+    name: 'Swap',
+    enabled: () => config.get('swap.monitor'),
+    expression: 'swap',
+    thresholds: 'swap',
+    unit: '%',
+    message: 'High swap usage: {swap}%'
+  },
+  {
+    name: 'Load',
+    enabled: () => config.get('load.monitor'),
+    expression: 'load',
+    thresholds: 'load',
+    message: 'High load average: {load_1m} (per core: {load_per_core})',
+    value: '{load_1m} (per core: {load_per_core})'
+  },
+  {
+    name: 'Network',
+    enabled: () => config.get('network.monitor'),
+    each: 'interfaces',
+    expression: 'max(rx_mbps, tx_mbps)',
+    thresholds: 'network',
+    overrides: item => getInterfaceOverrides(item.iface),
+    unit: ' Mbps',
+    message: 'High network traffic ({iface}): RX: {rx_mbps} Mbps, TX: {tx_mbps} Mbps',
+    value: 'RX: {rx_mbps} Mbps, TX: {tx_mbps} Mbps'
+  },
+  {
+    name: 'Utilization',
+    enabled: () => config.get('network.monitor') && config.get('network.utilization.monitor'),
+    each: 'interfaces',
+    expression: 'utilization',
+    thresholds: 'network.utilization',
+    overrides: item => getInterfaceOverrides(item.iface).utilization || {},
+    unit: '%',
+    message: 'High link utilisation ({iface}, {speed_mbps} Mbps link): {utilization}%',
+    value: '{utilization}% of {speed_mbps} Mbps (RX: {rx_mbps} Mbps, TX: {tx_mbps} Mbps)'
+  }
+];
+
+// Read warning/critical levels, clear threshold (hysteresis) and sustained duration of a config section
+function thresholdRule(section) {
+  // A legacy single "threshold" still works and acts as the warning level
+  const warning = config.has(`${section}.threshold`)
+    ? config.get(`${section}.threshold`)
+    : config.get(`${section}.warning`);
+
+  return {
+    warning,
+    critical: config.has(`${section}.critical`) ? config.get(`${section}.critical`) : null,
+    clearThreshold: config.has(`${section}.clearThreshold`) ? config.get(`${section}.clearThreshold`) : null,
+    forSeconds: config.has(`${section}.for`) ? parseDuration(config.get(`${section}.for`)) || 0 : 0
+  };
+}
+
+// Apply per-instance overrides ({ warning, critical, clearThreshold, for }) to a rule
+function applyRuleOverrides(rule, overrides) {
+  const result = { ...rule };
+  ['warning', 'critical', 'clearThreshold'].forEach(key => {
+    if (overrides[key] !== undefined) {
+      result[key] = overrides[key];
+    }
+  });
+  if (overrides.for !== undefined) {
+    result.forSeconds = parseDuration(overrides.for) || 0;
+  }
+  return result;
+}
+
+// Split an expression into numbers, strings, names and operators
+function tokenize(source) {
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|("[^"]*"|'[^']*')|([A-Za-z_]\w*)|(&&|\|\||[<>!=]=|[-+*/%()<>!,]))/y;
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    if (/^\s*$/.test(source.slice(index))) {
+      break;
+    }
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`unexpected "${source.slice(index).trim()[0]}" at position ${index}`);
+    }
+    index = pattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      tokens.push({ kind: 'number', value: Number(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ kind: 'string', value: match[2].slice(1, -1) });
+    } else if (match[3] !== undefined) {
+      tokens.push({ kind: 'name', value: match[3] });
+    } else {
+      tokens.push({ kind: 'operator', value: match[4] });
+    }
+  }
+  return tokens;
+}
+
+// Binary operators from lowest to highest precedence
+const BINARY_LEVELS = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+const BINARY = {
+  '||': (a, b) => a || b,
+  '&&': (a, b) => a && b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b
+};
+
+// Compile an expression such as "ram > 85 && swap > 40" into evaluate(variables)
+// Only names in allowedNames, numbers, strings, min/max/abs and the operators above are accepted;
+// returns { evaluate, names } and throws on anything else
+function compileExpression(source, allowedNames) {
+  const tokens = tokenize(String(source));
+  const names = new Set();
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (token, ...values) => token && token.kind === 'operator' && values.includes(token.value);
+  const expect = value => {
+    if (!isOperator(peek(), value)) {
+      throw new Error(`expected "${value}"${peek() ? ` before "${peek().value}"` : ' at the end'}`);
+    }
+    position++;
+  };
+
+  function parseBinary(level) {
+    if (level === BINARY_LEVELS.length) {
+      return parseUnary();
+    }
+    let left = parseBinary(level + 1);
+    while (isOperator(peek(), ...BINARY_LEVELS[level])) {
+      const apply = BINARY[tokens[position++].value];
+      const right = parseBinary(level + 1);
+      const [l, r] = [left, right];
+      left = variables => apply(l(variables), r(variables));
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOperator(peek(), '!')) {
+      position++;
+      const operand = parseUnary();
+      return variables => !operand(variables);
+    }
+    if (isOperator(peek(), '-')) {
+      position++;
+      const operand = parseUnary();
+      return variables => -operand(variables);
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error('unexpected end of expression');
+    }
+    if (token.kind === 'number' || token.kind === 'string') {
+      return () => token.value;
+    }
+    if (isOperator(token, '(')) {
+      const inner = parseBinary(0);
+      expect(')');
+      return inner;
+    }
+    if (token.kind === 'name' && isOperator(peek(), '(')) {
+      const fn = FUNCTIONS[token.value];
+      if (!fn) {
+        throw new Error(`unknown function "${token.value}", available: ${Object.keys(FUNCTIONS).join(', ')}`);
+      }
+      position++;
+      const args = [parseBinary(0)];
+      while (isOperator(peek(), ',')) {
+        position++;
+        args.push(parseBinary(0));
+      }
+      expect(')');
+      return variables => fn(...args.map(arg => arg(variables)));
+    }
+    if (token.kind === 'name') {
+      if (!allowedNames.includes(token.value)) {
+        throw new Error(`unknown name "${token.value}", available: ${allowedNames.join(', ')}`);
+      }
+      names.add(token.value);
+      return variables => variables[token.value];
+    }
+    throw new Error(`unexpected "${token.value}"`);
+  }
+
+  const evaluate = parseBinary(0);
+  if (position < tokens.length) {
+    throw new Error(`unexpected "${tokens[position].value}"`);
+  }
+  return { evaluate, names: [...names] };
+}
+
+// Names referenced as {name} in a message template
+function templateNames(template) {
+  return [...String(template).matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+}
+
+function formatNumber(value) {
+  if (typeof value !== 'number') {
+    return String(value);
+  }
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+function render(template, variables) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => formatNumber(variables[name]));
+}
+
+// Check one rule (a default merged with its config entry, or a new rule from config) and compile it
+function compileRule(rule, label) {
+  if (!rule.name || !/^[A-Za-z][\w-]*$/.test(rule.name)) {
+    throw new Error(`${label} needs a name made of letters, digits, "_" or "-"`);
+  }
+  if (rule.name.length > MAX_RULE_NAME_LENGTH) {
+    throw new Error(`Name of ${label} must be at most ${MAX_RULE_NAME_LENGTH} characters`);
+  }
+  if (rule.each !== undefined && !EACH[rule.each]) {
+    throw new Error(`"each" in ${label} (${rule.name}) must be one of: ${Object.keys(EACH).join(', ')}`);
+  }
+  if (!rule.expression) {
+    throw new Error(`${label} (${rule.name}) needs an expression`);
+  }
+  if (!rule.message) {
+    throw new Error(`${label} (${rule.name}) needs a message`);
+  }
+  if (rule.hosts !== undefined && (!Array.isArray(rule.hosts) || rule.hosts.some(host => typeof host !== 'string'))) {
+    throw new Error(`"hosts" in ${label} (${rule.name}) must be a list of hostnames`);
+  }
+
+  const variables = { ...HOST_VARIABLES, ...(rule.each ? EACH[rule.each].variables : {}) };
+  const allowedNames = Object.keys(variables);
+
+  let expression;
+  try {
+    expression = compileExpression(rule.expression, allowedNames);
+  } catch (error) {
+    throw new Error(`Invalid expression in ${label} (${rule.name}) "${rule.expression}": ${error.message}`);
+  }
+
+  const templates = [rule.message, rule.value].filter(template => template !== undefined);
+  const unknown = templates.flatMap(templateNames).filter(name => name !== 'value' && !allowedNames.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown name in message of ${label} (${rule.name}): ${unknown.join(', ')}`);
+  }
+  // Only the values a rule refers to are computed on every cycle
+  const uses = [...new Set([...expression.names, ...templates.flatMap(templateNames)])].filter(name => name !== 'value');
+
+  // A numeric expression compared to thresholds, or a condition that fires at a fixed severity
+  const numeric = rule.thresholds !== undefined || rule.warning !== undefined;
+  let forSeconds = 0;
+  if (rule.for !== undefined) {
+    forSeconds = parseDuration(rule.for);
+    if (forSeconds === null) {
+      throw new Error(`Invalid "for" in ${label} (${rule.name}): ${rule.for}`);
+    }
+  }
+  if (numeric && rule.thresholds === undefined && typeof rule.warning !== 'number') {
+    throw new Error(`"warning" in ${label} (${rule.name}) must be a number`);
+  }
+  if (!numeric && !SEVERITY_LEVELS[rule.severity || 'warning']) {
+    throw new Error(`"severity" in ${label} (${rule.name}) must be one of: ${Object.keys(SEVERITY_LEVELS).join(', ')}`);
+  }
+
+  // Rules from config have a boolean "enabled", the built-in ones read their monitor switch
+  const enabled = typeof rule.enabled === 'function' ? rule.enabled : () => rule.enabled !== false;
+
+  function thresholds(item) {
+    if (!numeric) {
+      return { warning: SEVERITY_LEVELS[rule.severity || 'warning'], critical: SEVERITY_LEVELS.critical, clearThreshold: null, forSeconds };
+    }
+    const base = rule.thresholds !== undefined
+      ? thresholdRule(rule.thresholds)
+      : {
+        warning: rule.warning,
+        critical: rule.critical !== undefined ? rule.critical : null,
+        clearThreshold: rule.clearThreshold !== undefined ? rule.clearThreshold : null,
+        forSeconds
+      };
+    return rule.overrides && item ? applyRuleOverrides(base, rule.overrides(item)) : base;
+  }
+
+  return {
+    name: rule.name,
+    each: rule.each || null,
+    numeric,
+    enabled,
+    hosts: rule.hosts || null,
+    variables,
+    uses,
+    expression,
+    thresholds,
+    unit: rule.unit || '',
+    severity: numeric ? null : rule.severity || 'warning',
+    message: rule.message,
+    value: rule.value || null
+  };
+}
+
+// Default rules with their config overrides applied, followed by the new rules from "rules"
+// Throws on the first invalid rule so a typo is caught at startup
+function loadRules(entries) {
+  const defaultNames = DEFAULT_RULES.map(rule => rule.name);
+  const seen = new Set();
+
+  entries.forEach((entry, index) => {
+    if (seen.has(entry.name)) {
+      throw new Error(`Duplicate rule name in rules[${index}]: ${entry.name}`);
+    }
+    seen.add(entry.name);
+  });
+
+  const defaults = DEFAULT_RULES.map(rule => {
+    const index = entries.findIndex(entry => entry.name === rule.name);
+    if (index === -1) {
+      return compileRule(rule, 'default rule');
+    }
+    // A new expression makes the built-in thresholds, overrides and unit meaningless,
+    // inline warning/critical levels replace the config section the thresholds came from
+    const entry = entries[index];
+    let base = rule;
+    if (entry.expression !== undefined) {
+      base = { name: rule.name, enabled: rule.enabled, each: rule.each };
+    } else if (entry.warning !== undefined || entry.critical !== undefined) {
+      base = { ...rule, thresholds: undefined };
+    }
+    return compileRule({ ...base, ...entry }, `rules[${index}]`);
+  });
+
+  const added = entries
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => !defaultNames.includes(entry.name))
+    .map(({ entry, index }) => compileRule(entry, `rules[${index}]`));
+
+  return [...defaults, ...added];
+}
+
+// Evaluate one compiled rule against a sample; null when a referenced value is missing
+// (a mount without inode data, an interface on its first cycle)
+function evaluateRule(rule, metrics, item) {
+  const variables = {};
+  rule.uses.forEach(name => {
+    variables[name] = rule.each && EACH[rule.each].variables[name]
+      ? rule.variables[name](item)
+      : rule.variables[name](metrics);
+  });
+
+  if (rule.expression.names.some(name => variables[name] === null || variables[name] === undefined)) {
+    return null;
+  }
+  const result = rule.expression.evaluate(variables);
+  const value = rule.numeric ? Number(result) : (result ? SEVERITY_LEVELS[rule.severity] : 0);
+  if (rule.numeric && !Number.isFinite(value)) {
+    return null;
+  }
+  return { value, variables: { ...variables, value: rule.numeric ? value : Boolean(result) } };
+}
+
+// All rules as alert checks for the host that sent the metrics
+// entries: the "rules" list, given by a config reload before it is applied
+function createRuleSet(entries = config.get('rules')) {
+  const rules = loadRules(entries);
+
+  function checks(metrics, hostname) {
+    const result = [];
+
+    rules.forEach(rule => {
+      if (!rule.enabled() || (rule.hosts && !rule.hosts.includes(hostname))) {
+        return;
+      }
+
+      const instances = rule.each
+        ? EACH[rule.each].items(metrics).map(item => ({ item, type: `${rule.name}:${item[EACH[rule.each].key]}` }))
+        : [{ item: null, type: rule.name }];
+
+      instances.forEach(({ item, type }) => {
+        const evaluated = evaluateRule(rule, metrics, item);
+        if (!evaluated) {
+          return;
+        }
+
+        const message = render(rule.message, evaluated.variables);
+        result.push({
+          type,
+          value: () => evaluated.value,
+          rule: () => rule.thresholds(item),
+          format: value => (rule.numeric ? `${formatNumber(value)}${rule.unit}` : (value ? 'matched' : 'ok')),
+          logMessage: () => message,
+          // Built-in rules show the value itself, condition rules their message
+          alertValue: () => (rule.value ? render(rule.value, evaluated.variables)
+            : rule.numeric ? `${formatNumber(evaluated.value)}${rule.unit}` : message)
+        });
+      });
+    });
+
+    return result;
+  }
+
+  return {
+    rules: rules.map(rule => rule.name),
+    checks
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  createRuleSet,
+  compileExpression,
+  thresholdRule,
+  applyRuleOverrides
+};
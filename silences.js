@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const { parseDuration } = require('./timeUtils');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Expired silences stay listed (GET /api/silences?all=true) this long before they are forgotten
+const KEEP_EXPIRED_SECONDS = 7 * 86400;
+
+const MAX_REASON_LENGTH = 255;
+
+// Width of alerts.suppressed_by (migration 008); the reason alone may already fill it
+const MAX_SUPPRESSED_BY_LENGTH = 255;
+
+function fitSuppressedBy(text) {
+  return text.length > MAX_SUPPRESSED_BY_LENGTH ? `${text.substring(0, MAX_SUPPRESSED_BY_LENGTH - 3)}...` : text;
+}
+
+// "HH:MM" -> minutes since midnight, null if invalid
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// An alert type matches "Disk" and "Disk:/var" for type "Disk", like GET /api/alerts?type=
+// Missing type or hostname matches everything
+function matches(matcher, alertType, hostname) {
+  if (matcher.type && alertType !== matcher.type && !alertType.startsWith(`${matcher.type}:`)) {
+    return false;
+  }
+  return !matcher.hostname || matcher.hostname === hostname;
+}
+
+// Check silences.maintenance, e.g. { name, days: ["sun"], start: "02:00", end: "04:00", type, hostname, reason }
+// Times are server time; a window whose end is before its start runs past midnight into the next day
+// Throws on the first invalid window so a typo is caught at startup
+function loadMaintenanceWindows() {
+  const names = new Set();
+
+  return config.get('silences.maintenance').map((entry, index) => {
+    const label = `silences.maintenance[${index}]`;
+    if (!entry.name) {
+      throw new Error(`${label} needs a name`);
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`Duplicate maintenance window name: ${entry.name}`);
+    }
+    names.add(entry.name);
+
+    const start = parseClock(entry.start);
+    const end = parseClock(entry.end);
+    if (start === null || end === null || start === end) {
+      throw new Error(`${label} (${entry.name}) needs "start" and "end" as different HH:MM times`);
+    }
+
+    const days = (entry.days || []).map(day => String(day).toLowerCase().slice(0, 3));
+    const unknown = days.filter(day => !DAYS.includes(day));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown day in ${label} (${entry.name}): ${unknown.join(', ')}. Use ${DAYS.join(', ')}`);
+    }
+
+    return {
+      name: entry.name,
+      // Empty means every day
+      days: days.map(day => DAYS.indexOf(day)),
+      start: entry.start,
+      end: entry.end,
+      startMinute: start,
+      endMinute: end,
+      type: entry.type || null,
+      hostname: entry.hostname || null,
+      reason: entry.reason || null
+    };
+  });
+}
+
+// Whether a recurring window covers the given time
+function inWindow(window, date) {
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const today = date.getDay();
+  const allowed = day => window.days.length === 0 || window.days.includes(day);
+
+  if (window.startMinute < window.endMinute) {
+    return allowed(today) && minute >= window.startMinute && minute < window.endMinute;
+  }
+  // Past midnight: the evening part belongs to today, the morning part to the window that started yesterday
+  return (allowed(today) && minute >= window.startMinute) || (allowed((today + 6) % 7) && minute < window.endMinute);
+}
+
+// Silences created through the REST API (kept in silences.path across restarts) and recurring
+// maintenance windows from silences.maintenance. Alerts matched by either are recorded, not sent.
+function createSilences(logger) {
+  const filePath = path.resolve(config.get('silences.path'));
+  const maintenance = loadMaintenanceWindows();
+
+  let silences = [];
+  let nextId = 1;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      silences = saved.silences || [];
+      nextId = saved.nextId || silences.reduce((max, silence) => Math.max(max, silence.id), 0) + 1;
+    } catch (error) {
+      logger.error(`Could not read silences from ${filePath}: ${error.message}`);
+    }
+  }
+
+  // Write through a temporary file so a crash never leaves half a file behind
+  // A failed write keeps the silences in memory; they are lost on restart only
+  function save() {
+    const keepAfter = Date.now() - KEEP_EXPIRED_SECONDS * 1000;
+    silences = silences.filter(silence => Date.parse(silence.endsAt) >= keepAfter);
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(`${filePath}.tmp`, JSON.stringify({ nextId, silences }, null, 2));
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    } catch (error) {
+      logger.error(`Could not save silences to ${filePath}: ${error.message}`);
+    }
+  }
+
+  function stateOf(silence, now) {
+    if (Date.parse(silence.endsAt) <= now) {
+      return 'expired';
+    }
+    return Date.parse(silence.startsAt) > now ? 'pending' : 'active';
+  }
+
+  function describe(silence, now = Date.now()) {
+    return { ...silence, state: stateOf(silence, now) };
+  }
+
+  // { type, hostname, startsAt, endsAt | duration, reason, createdBy }
+  // Throws an Error with a message fit for the API caller when the request is invalid
+  function create(request) {
+    const now = Date.now();
+    const reason = typeof request.reason === 'string' ? request.reason.trim() : '';
+    if (!reason || reason.length > MAX_REASON_LENGTH) {
+      throw new Error(`"reason" is required (max ${MAX_REASON_LENGTH} characters)`);
+    }
+    ['type', 'hostname', 'createdBy'].forEach(key => {
+      if (request[key] !== undefined && request[key] !== null && typeof request[key] !== 'string') {
+        throw new Error(`"${key}" must be a string`);
+      }
+    });
+
+    const startsAt = request.startsAt ? new Date(request.startsAt) : new Date(now);
+    if (isNaN(startsAt.getTime())) {
+      throw new Error('"startsAt" must be an ISO 8601 date');
+    }
+
+    let endsAt;
+    if (request.endsAt && request.duration) {
+      throw new Error('Give either "endsAt" or "duration", not both');
+    } else if (request.endsAt) {
+      endsAt = new Date(request.endsAt);
+    } else if (request.duration) {
+      const seconds = parseDuration(request.duration);
+      endsAt = new Date(seconds ? startsAt.getTime() + seconds * 1000 : NaN);
+    } else {
+      throw new Error('"endsAt" (ISO 8601 date) or "duration" (e.g. "2h") is required');
+    }
+    if (isNaN(endsAt.getTime()) || endsAt <= startsAt || endsAt.getTime() <= now) {
+      throw new Error('The silence must end in the future and after it starts');
+    }
+
+    const silence = {
+      id: nextId++,
+      type: request.type || null,
+      hostname: request.hostname || null,
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt.toISOString(),
+      reason,
+      createdBy: request.createdBy || null,
+      createdAt: new Date(now).toISOString()
+    };
+    silences.push(silence);
+    save();
+
+    logger.info(`Silence ${silence.id} created for ${silence.type || 'all alerts'} on ${silence.hostname || 'all hosts'} until ${silence.endsAt}: ${reason}`);
+    return describe(silence, now);
+  }
+
+  // Active and pending silences, or all of them including recently expired ones
+  function list(all = false) {
+    const now = Date.now();
+    return silences
+      .map(silence => describe(silence, now))
+      .filter(silence => all || silence.state !== 'expired');
+  }
+
+  // End a silence now; null if it does not exist, the silence unchanged if it already expired
+  function expire(id) {
+    const silence = silences.find(item => item.id === id);
+    if (!silence) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (stateOf(silence, now) !== 'expired') {
+      silence.endsAt = new Date(now).toISOString();
+      save();
+      logger.info(`Silence ${silence.id} expired`);
+    }
+    return describe(silence, now);
+  }
+
+  // Maintenance windows with whether they are running now
+  function windows(now = new Date()) {
+    return maintenance.map(window => ({
+      name: window.name,
+      days: window.days.map(day => DAYS[day]),
+      start: window.start,
+      end: window.end,
+      type: window.type,
+      hostname: window.hostname,
+      reason: window.reason,
+      active: inWindow(window, now)
+    }));
+  }
+
+  // Text stored in suppressed_by for the first silence or window covering the alert, null if none does
+  function match(alertType, hostname, now = new Date()) {
+    const silence = silences.find(item => stateOf(item, now.getTime()) === 'active' && matches(item, alertType, hostname));
+    if (silence) {
+      return fitSuppressedBy(`silence ${silence.id} (${silence.reason})`);
+    }
+
+    const window = maintenance.find(item => inWindow(item, now) && matches(item, alertType, hostname));
+    if (window) {
+      return fitSuppressedBy(`maintenance window ${window.name}${window.reason ? ` (${window.reason})` : ''}`);
+    }
+    return null;
+  }
+
+  if (maintenance.length > 0) {
+    logger.info(`Maintenance windows: ${maintenance.map(window => window.name).join(', ')}`);
+  }
+
+  return {
+    create,
+    list,
+    expire,
+    windows,
+    match
+  };
+}
+
+module.exports = {
+  createSilences,
+  inWindow
+};
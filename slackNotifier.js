@@ -0,0 +1,39 @@
+const config = require('config');
+const { postJson } = require('./httpClient');
+
+// Create Slack-compatible incoming webhook channel (Slack, Mattermost, Rocket.Chat)
+function createSlackChannel() {
+  const webhookUrl = config.get('notifications.slack.webhookUrl');
+  const channel = config.get('notifications.slack.channel');
+  const username = config.get('notifications.slack.username');
+  const iconEmoji = config.get('notifications.slack.iconEmoji');
+
+  return {
+    name: 'slack',
+
+    send: async (message) => {
+      const payload = {
+        // Code block keeps the box-drawing alert format aligned
+        text: '```\n' + message + '\n```',
+        username
+      };
+      if (channel) {
+        payload.channel = channel;
+      }
+      if (iconEmoji) {
+        payload.icon_emoji = iconEmoji;
+      }
+
+      await postJson(webhookUrl, payload, { timeout: 10000 });
+    },
+
+    describe: () => [
+      `SLACK_WEBHOOK: ${new URL(webhookUrl).host}`,
+      `SLACK_CHANNEL: ${channel || 'default'}`
+    ]
+  };
+}
+
+module.exports = {
+  createSlackChannel
+};
@@ -0,0 +1,273 @@
+const { parseTimestamp } = require('./timeUtils');
+
+// Storage adapter contract
+//
+// Every backend in database.js (and memoryDatabase.js) returns an object with the methods below.
+// All methods return promises except close(). Timestamps passed in are UTC strings
+// "YYYY-MM-DD HH:MM:SS" (see toDbTimestamp); timestamps returned are Dates or ISO strings as noted.
+// test/adapterConformance.js checks that a backend behaves exactly like the others.
+const ADAPTER_METHODS = {
+  // (timestamp, hostname, ipAddress, ramUsage, cpuUsage, diskUsage, swapUsage, loadAverage, networkRx, networkTx, extraData)
+  // extraData is a JSON string or null. Resolves to the new row id.
+  storeMetrics: 'store one monitoring sample',
+
+  // (timestamp, hostname, mount, fsType, diskUsage, inodeUsage, sizeBytes, usedBytes) -> id
+  storeDiskMetrics: 'store usage of one mount point',
+
+  // (timestamp, hostname, name, running, pid, cpuUsage, rssBytes, restarts) -> id
+  // running is 1 or 0, restarts the number of restarts seen since the previous sample
+  storeProcessMetrics: 'store state of one watched process or systemd unit',
+
+  // (timestamp, hostname, alertType, value, message, sentSuccessfully, channel, state, severity, suppressedBy) -> id
+  // channel defaults to null, state to "firing", severity to "warning", suppressedBy (the silence or
+  // maintenance window that kept the alert from being sent) to null
+  storeAlert: 'store one alert delivery attempt',
+
+  // ([{ kind: 'metrics' | 'disk' | 'process' | 'alert', values: [same arguments as the store method] }]) -> number of rows
+  // Rows are inserted in order in a single transaction: either all of them are stored or none
+  storeBatch: 'store many writes at once (used by writeBuffer.js)',
+
+  // (limit) -> newest first: { id, timestamp: Date, hostname, ip_address, ram_usage, cpu_usage,
+  // disk_usage, swap_usage, load_average, network_rx, network_tx, extra_data: object|null }
+  getRecentMetrics: 'latest raw samples',
+
+  // ({ from, to, hostname, metrics, bucketSeconds }) -> [{ timestamp: ISO, samples, <metric>: { min, avg, max } }]
+  // Range is [from, to). Buckets start at multiples of bucketSeconds since the epoch; empty buckets are left out.
+  // Must include rollup tables when bucketSeconds is a multiple of a rollup (see ROLLUPS).
+  queryMetrics: 'aggregate samples into time buckets',
+
+  // ({ from, to, hostname, bucketSeconds }) -> [{ timestamp: ISO, mount, samples, usage, usedBytes, sizeBytes }]
+  // Averages of disk_metrics per mount and bucket, ordered by mount then time. Range is [from, to).
+  queryDiskUsage: 'aggregate disk usage per mount into time buckets',
+
+  // (limit) -> newest first, same shape as queryAlerts
+  getRecentAlerts: 'latest alerts',
+
+  // ({ type, hostname, from, to, sentSuccessfully, acknowledged, suppressed, limit }) -> [alert], see shapeAlert
+  // type "Disk" also matches "Disk:<mount>". Newest first, limit defaults to 100.
+  queryAlerts: 'filtered alert history',
+
+  // (id) -> alert or null
+  getAlert: 'one alert by id',
+
+  // (id, acknowledgedBy, timestamp) -> true, or false if the alert is missing or already acknowledged
+  acknowledgeAlert: 'record who acknowledged an alert',
+
+  // (rollupName, from, to) -> number of buckets written
+  // Aggregates raw samples in [from, to) per host into the rollup table; each bucket is written once.
+  rollupMetrics: 'fill a rollup table',
+
+  // (table) -> { oldest: Date|null, newest: Date|null }, table is one of RETENTION_TABLES
+  getTimeRange: 'oldest and newest timestamp in a table',
+
+  // (table, timestamp) -> number of deleted rows older than timestamp
+  deleteOlderThan: 'prune a table',
+
+  // () -> release connections
+  close: 'close the backend'
+};
+
+// Throw if a backend does not implement the whole contract
+function validateAdapter(name, adapter) {
+  const missing = Object.keys(ADAPTER_METHODS).filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Database backend "${name}" is missing: ${missing.join(', ')}`);
+  }
+}
+
+// Metric names accepted by queryMetrics and their metrics table columns
+const METRIC_COLUMNS = {
+  ram: 'ram_usage',
+  cpu: 'cpu_usage',
+  disk: 'disk_usage',
+  swap: 'swap_usage',
+  load: 'load_average',
+  network_rx: 'network_rx',
+  network_tx: 'network_tx'
+};
+
+// Rollup tables with min/avg/max per bucket, filled by the retention job (retention.js)
+const ROLLUPS = [
+  { name: '5m', table: 'metrics_5m', seconds: 300 },
+  { name: '1h', table: 'metrics_1h', seconds: 3600 }
+];
+
+// Tables the retention job is allowed to prune
+const RETENTION_TABLES = ['metrics', 'disk_metrics', 'process_metrics', ...ROLLUPS.map(rollup => rollup.table)];
+
+// Largest rollup whose bucket size divides the requested bucket, if any
+function pickRollup(bucketSeconds) {
+  return ROLLUPS.filter(rollup => bucketSeconds % rollup.seconds === 0).pop() || null;
+}
+
+function getRollup(name) {
+  const rollup = ROLLUPS.find(item => item.name === name);
+  if (!rollup) {
+    throw new Error(`Unknown rollup: ${name}`);
+  }
+  return rollup;
+}
+
+function checkRetentionTable(table) {
+  if (!RETENTION_TABLES.includes(table)) {
+    throw new Error(`Unknown table: ${table}`);
+  }
+}
+
+// Turn MIN/MAX timestamp strings into { oldest, newest } Dates
+function shapeTimeRange(row) {
+  return {
+    oldest: row && row.oldest ? parseTimestamp(row.oldest) : null,
+    newest: row && row.newest ? parseTimestamp(row.newest) : null
+  };
+}
+
+// Reshape disk_metrics aggregate rows into { timestamp, mount, samples, usage, usedBytes, sizeBytes }
+function shapeDiskBuckets(rows) {
+  const number = value => (value === null || value === undefined ? null : Number(value));
+  return rows.map(row => ({
+    timestamp: new Date(Number(row.bucket) * 1000).toISOString(),
+    mount: row.mount,
+    samples: Number(row.samples),
+    usage: Number(row.disk_usage),
+    usedBytes: number(row.used_bytes),
+    sizeBytes: number(row.size_bytes)
+  }));
+}
+
+// Reshape flat aggregate rows into { timestamp, samples, ram: { min, avg, max }, ... }
+function shapeBuckets(rows, metrics) {
+  return rows.map(row => {
+    const bucket = {
+      timestamp: new Date(Number(row.bucket) * 1000).toISOString(),
+      samples: Number(row.samples)
+    };
+    metrics.forEach(name => {
+      bucket[name] = {
+        min: Number(row[`${name}_min`]),
+        avg: Number(row[`${name}_avg`]),
+        max: Number(row[`${name}_max`])
+      };
+    });
+    return bucket;
+  });
+}
+
+// storeBatch kinds: table and columns in the argument order of storeMetrics / storeDiskMetrics /
+// storeProcessMetrics / storeAlert
+const WRITE_KINDS = {
+  metrics: {
+    table: 'metrics',
+    columns: ['timestamp', 'hostname', 'ip_address', 'ram_usage', 'cpu_usage', 'disk_usage', 'swap_usage', 'load_average', 'network_rx', 'network_tx', 'extra_data']
+  },
+  disk: {
+    table: 'disk_metrics',
+    columns: ['timestamp', 'hostname', 'mount', 'fs_type', 'disk_usage', 'inode_usage', 'size_bytes', 'used_bytes']
+  },
+  process: {
+    table: 'process_metrics',
+    columns: ['timestamp', 'hostname', 'name', 'running', 'pid', 'cpu_usage', 'rss_bytes', 'restarts']
+  },
+  alert: {
+    table: 'alerts',
+    columns: ['timestamp', 'hostname', 'alert_type', 'value', 'message', 'sent_successfully', 'channel', 'state', 'severity', 'suppressed_by'],
+    // Journals written before suppressed_by existed hold one value less
+    minValues: 9
+  }
+};
+
+function invalidWrite(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_WRITE';
+  return error;
+}
+
+// Throw before anything is written if a batch contains an unknown kind or a wrong number of values
+function checkWrites(writes) {
+  writes.forEach((write, index) => {
+    const kind = WRITE_KINDS[write.kind];
+    if (!kind) {
+      throw invalidWrite(`Unknown write kind at position ${index}: ${write.kind}`);
+    }
+    const minValues = kind.minValues || kind.columns.length;
+    if (!Array.isArray(write.values) || write.values.length < minValues || write.values.length > kind.columns.length) {
+      throw invalidWrite(`Write at position ${index} (${write.kind}) needs ${kind.columns.length} values`);
+    }
+  });
+}
+
+// SQLite result codes for rows the database refuses
+const SQLITE_DATA_ERRORS = ['SQLITE_CONSTRAINT', 'SQLITE_MISMATCH', 'SQLITE_TOOBIG', 'SQLITE_RANGE'];
+
+// True when a write failed because of the rows themselves (value too long, constraint violated, ...)
+// rather than the connection, so sending the same rows again would fail again. Covers SQLSTATE
+// classes 22 (data exception) and 23 (integrity constraint violation): error.code on PostgreSQL,
+// error.sqlState on MySQL.
+function isDataError(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.code === 'INVALID_WRITE' || SQLITE_DATA_ERRORS.includes(error.code)) {
+    return true;
+  }
+  const sqlState = String(error.sqlState || (typeof error.code === 'string' && error.code.length === 5 ? error.code : ''));
+  return sqlState.startsWith('22') || sqlState.startsWith('23');
+}
+
+// Convert an alerts row to the same shape on every backend
+function shapeAlert(row) {
+  return {
+    id: Number(row.id),
+    timestamp: parseTimestamp(row.timestamp).toISOString(),
+    hostname: row.hostname,
+    type: row.alert_type,
+    value: row.value,
+    message: row.message,
+    sentSuccessfully: Boolean(row.sent_successfully),
+    channel: row.channel,
+    state: row.state,
+    severity: row.severity,
+    acknowledgedBy: row.acknowledged_by || null,
+    acknowledgedAt: row.acknowledged_at ? parseTimestamp(row.acknowledged_at).toISOString() : null,
+    suppressedBy: row.suppressed_by || null
+  };
+}
+
+// Convert a metrics row to the same shape on every backend
+function shapeMetricRow(row) {
+  let extraData = row.extra_data === undefined ? null : row.extra_data;
+  if (typeof extraData === 'string') {
+    extraData = JSON.parse(extraData);
+  }
+
+  const shaped = {
+    id: Number(row.id),
+    timestamp: parseTimestamp(row.timestamp),
+    hostname: row.hostname,
+    ip_address: row.ip_address
+  };
+  Object.values(METRIC_COLUMNS).forEach(column => {
+    shaped[column] = Number(row[column]);
+  });
+  shaped.extra_data = extraData;
+  return shaped;
+}
+
+module.exports = {
+  ADAPTER_METHODS,
+  METRIC_COLUMNS,
+  ROLLUPS,
+  RETENTION_TABLES,
+  WRITE_KINDS,
+  validateAdapter,
+  checkWrites,
+  isDataError,
+  pickRollup,
+  getRollup,
+  checkRetentionTable,
+  shapeMetricRow,
+  shapeAlert,
+  shapeBuckets,
+  shapeDiskBuckets,
+  shapeTimeRange
+};
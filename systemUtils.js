@@ -2,6 +2,11 @@ const si = require('systeminformation');
 const os = require('os');
 const { exec } = require('child_process');
 const config = require('config');
+const { getMountUsage, getPrimaryMount } = require('./diskMonitor');
+const { createNetworkSampler } = require('./networkMonitor');
+
+// Network counters from the previous call, used to compute throughput
+const networkSampler = createNetworkSampler();
 
 // Get system information
 async function getSystemInfo() {
@@ -47,12 +52,10 @@ async function getSystemInfo() {
     const cpuLoad = await si.currentLoad();
     const cpuUsage = Math.round(cpuLoad.currentLoad);
     
-    // Get disk info
-    const diskPath = config.get('disk.path');
-    const fsSize = await si.fsSize();
-    let diskInfo = fsSize.find(fs => fs.mount === diskPath) || fsSize[0];
-    const totalDiskGB = (diskInfo.size / (1024 ** 3)).toFixed(1);
-    const diskUsage = Math.round(diskInfo.use);
+    // Get disk info for the primary mount (disk.path, else the fullest mount)
+    const { mount: diskInfo } = getPrimaryMount(await getMountUsage());
+    const totalDiskGB = diskInfo ? (diskInfo.sizeBytes / (1024 ** 3)).toFixed(1) : '0.0';
+    const diskUsage = diskInfo ? diskInfo.usage : 0;
     
     return {
       hostname,
@@ -162,20 +165,17 @@ async function checkCpuUsage() {
   }
 }
 
-// Check disk usage
+// Check disk and inode usage of every monitored mount
 async function checkDiskUsage() {
   if (!config.get('disk.monitor')) {
-    return 0;
+    return [];
   }
   
   try {
-    const diskPath = config.get('disk.path');
-    const fsSize = await si.fsSize();
-    const diskInfo = fsSize.find(fs => fs.mount === diskPath) || fsSize[0];
-    return Math.round(diskInfo.use);
+    return await getMountUsage();
   } catch (error) {
     console.error(`Error checking disk usage: ${error.message}`);
-    return 0;
+    return [];
   }
 }
 
@@ -216,29 +216,17 @@ async function checkLoadAverage() {
   }
 }
 
-// Check network usage
+// Check network throughput of every monitored interface since the previous call
 async function checkNetworkUsage() {
   if (!config.get('network.monitor')) {
-    return [0, 0];
+    return [];
   }
   
   try {
-    const networkInterface = config.get('network.interface');
-    const networkStats1 = await si.networkStats(networkInterface);
-    
-    // Wait 1 second
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    const networkStats2 = await si.networkStats(networkInterface);
-    
-    // Calculate rates in Mbps
-    const rxRate = ((networkStats2[0].rx_bytes - networkStats1[0].rx_bytes) * 8) / 1024 / 1024;
-    const txRate = ((networkStats2[0].tx_bytes - networkStats1[0].tx_bytes) * 8) / 1024 / 1024;
-    
-    return [rxRate, txRate];
+    return await networkSampler.sample();
   } catch (error) {
     console.error(`Error checking network usage: ${error.message}`);
-    return [0, 0];
+    return [];
   }
 }
 
@@ -0,0 +1,146 @@
+const config = require('config');
+const { parseDuration } = require('./timeUtils');
+
+// Register interactive bot commands and start polling for updates
+// handlers: { getStatus, getTopProcesses, getDiskBreakdown, getHistory }
+function setupTelegramCommands(bot, handlers, logger) {
+  const allowedChatId = String(config.get('telegram.chatId'));
+
+  const commands = {
+    start: showHelp,
+    help: showHelp,
+    status: showStatus,
+    top: showTopProcesses,
+    disk: showDisk,
+    history: showHistory
+  };
+
+  bot.on('message', async (msg) => {
+    if (!msg.text || !msg.text.startsWith('/')) {
+      return;
+    }
+
+    // "/top@MyBot ram" -> command "top", args ["ram"]
+    const [commandToken, ...args] = msg.text.trim().split(/\s+/);
+    const command = commandToken.substring(1).split('@')[0].toLowerCase();
+    const chatId = String(msg.chat.id);
+
+    if (chatId !== allowedChatId) {
+      logger.warn(`Rejected Telegram command /${command} from unauthorized chat ${chatId}`);
+      await reply(chatId, '⛔ This chat is not allowed to query this host.');
+      return;
+    }
+
+    const handler = commands[command];
+    if (!handler) {
+      await reply(chatId, `Unknown command /${command}. Send /help for the list of commands.`);
+      return;
+    }
+
+    logger.info(`Telegram command received: /${command} ${args.join(' ')}`.trim());
+
+    try {
+      await reply(chatId, await handler(args));
+    } catch (error) {
+      logger.error(`Error handling Telegram command /${command}: ${error.message}`);
+      await reply(chatId, `Could not run /${command}: ${error.message}`);
+    }
+  });
+
+  bot.on('polling_error', (error) => {
+    logger.error(`Telegram polling error: ${error.message}`);
+  });
+
+  bot.startPolling();
+  logger.info('Telegram bot commands enabled (/status, /top, /disk, /history)');
+
+  async function reply(chatId, text) {
+    try {
+      await bot.sendMessage(chatId, text);
+    } catch (error) {
+      logger.error(`Failed to reply to Telegram command: ${error.message}`);
+    }
+  }
+
+  function showHelp() {
+    return [
+      'Available commands:',
+      '/status - current resource usage',
+      '/top ram|cpu - top processes',
+      '/disk - disk usage breakdown',
+      '/history 1h - metrics summary for a period (e.g. 30m, 6h, 1d)'
+    ].join('\n');
+  }
+
+  async function showStatus() {
+    const status = await handlers.getStatus();
+    const system = status.system;
+
+    return [
+      `🖥️ ${system.hostname} (${system.ip})`,
+      `OS: ${system.os}, kernel ${system.kernel}`,
+      `Uptime: ${system.uptime}`,
+      '',
+      `RAM:  ${status.metrics.ram}% of ${system.totalRam}`,
+      `CPU:  ${status.metrics.cpu}%`,
+      `Disk: ${status.metrics.disk}% of ${system.totalDisk}`
+    ].join('\n');
+  }
+
+  async function showTopProcesses(args) {
+    const resource = (args[0] || 'ram').toUpperCase();
+    if (resource !== 'RAM' && resource !== 'CPU') {
+      return 'Usage: /top ram|cpu';
+    }
+
+    const count = config.get('monitoring.topProcessesCount');
+    const processes = await handlers.getTopProcesses(resource, count);
+    return `Top ${resource} consumers:\n${processes}`;
+  }
+
+  async function showDisk() {
+    const status = await handlers.getStatus();
+    const breakdown = await handlers.getDiskBreakdown();
+
+    const lines = ['💾 Mounts:'];
+    status.metrics.disks.forEach(disk => {
+      const sizeGB = (disk.sizeBytes / (1024 ** 3)).toFixed(1);
+      const inodes = disk.inodeUsage !== null ? `, inodes ${disk.inodeUsage}%` : '';
+      lines.push(`${disk.mount.padEnd(15)} ${disk.usage}% of ${sizeGB}G${inodes}`);
+    });
+
+    return [
+      ...lines,
+      '',
+      `Disk usage breakdown (${config.get('disk.path')}):`,
+      breakdown
+    ].join('\n');
+  }
+
+  async function showHistory(args) {
+    const period = args[0] || '1h';
+    const seconds = parseDuration(period);
+    if (!seconds) {
+      return 'Usage: /history 1h (supported units: s, m, h, d)';
+    }
+
+    const summary = await handlers.getHistory(seconds);
+    if (!summary) {
+      return 'Database integration is disabled, no history is available.';
+    }
+    if (summary.samples === 0) {
+      return `No metrics stored in the last ${period}.`;
+    }
+
+    const lines = [`📈 Last ${period} (${summary.samples} samples)`, '', 'metric   min / avg / max'];
+    Object.keys(summary.metrics).forEach(name => {
+      const { min, avg, max } = summary.metrics[name];
+      lines.push(`${name.padEnd(8)} ${min.toFixed(1)} / ${avg.toFixed(1)} / ${max.toFixed(1)}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+module.exports = {
+  setupTelegramCommands
+};
@@ -0,0 +1,321 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAdapter, RETENTION_TABLES } = require('../storageAdapter');
+const { toDbTimestamp } = require('../timeUtils');
+
+// Shared behaviour every storage backend must have (see storageAdapter.js)
+// createAdapter() resolves to a fresh adapter. The suite deletes all metric rows,
+// so SQL backends must point at a throwaway database.
+function runConformanceSuite(name, createAdapter) {
+  describe(`${name} storage adapter`, () => {
+    let db;
+
+    // Alerts are never pruned, so every run uses its own host names
+    const run = Math.random().toString(36).substring(2, 8);
+    const host = suffix => `conformance-${run}-${suffix}`;
+
+    const base = Date.UTC(2030, 0, 1);
+    const at = seconds => toDbTimestamp(new Date(base + seconds * 1000));
+
+    function storeSample(hostname, seconds, value, extraData = null) {
+      return db.storeMetrics(at(seconds), hostname, '10.0.0.1', value, value * 2, 50, 0, 0.5, 1, 2, extraData);
+    }
+
+    function assertClose(actual, expected) {
+      assert.ok(Math.abs(actual - expected) < 1e-3 * Math.max(1, Math.abs(expected)), `expected ${actual} to be close to ${expected}`);
+    }
+
+    before(async () => {
+      db = await createAdapter();
+      for (const table of RETENTION_TABLES) {
+        await db.deleteOlderThan(table, '9999-12-31 23:59:59');
+      }
+    });
+
+    after(async () => {
+      if (db) {
+        await db.close();
+      }
+    });
+
+    it('implements every method of the contract', () => {
+      assert.doesNotThrow(() => validateAdapter(name, db));
+    });
+
+    it('stores metrics and returns the newest first', async () => {
+      const hostname = host('recent');
+      await storeSample(hostname, 0, 10);
+      await storeSample(hostname, 60, 20, JSON.stringify({ note: 'second' }));
+      const id = await storeSample(hostname, 120, 30.5);
+      assert.ok(Number(id) > 0);
+
+      const rows = await db.getRecentMetrics(2);
+      assert.equal(rows.length, 2);
+      assert.equal(rows[0].id, Number(id));
+      assert.equal(rows[0].timestamp.getTime(), base + 120 * 1000);
+      assert.equal(rows[0].hostname, hostname);
+      assert.equal(rows[0].ip_address, '10.0.0.1');
+      assertClose(rows[0].ram_usage, 30.5);
+      assertClose(rows[0].cpu_usage, 61);
+      assert.equal(rows[0].extra_data, null);
+      assert.deepEqual(rows[1].extra_data, { note: 'second' });
+    });
+
+    it('aggregates metrics into buckets over a half-open range', async () => {
+      const hostname = host('buckets');
+      // 10:00 .. 10:03 one sample per minute, another host in between
+      for (let minute = 0; minute < 4; minute++) {
+        await storeSample(hostname, 36000 + minute * 60, minute * 10);
+      }
+      await storeSample(host('other'), 36030, 99);
+
+      const buckets = await db.queryMetrics({
+        from: at(36000),
+        to: at(36180),
+        hostname,
+        metrics: ['ram', 'cpu'],
+        bucketSeconds: 120
+      });
+
+      assert.deepEqual(buckets.map(bucket => bucket.timestamp), [
+        new Date(base + 36000 * 1000).toISOString(),
+        new Date(base + 36120 * 1000).toISOString()
+      ]);
+      assert.deepEqual(buckets.map(bucket => bucket.samples), [2, 1]);
+      assert.deepEqual(Object.keys(buckets[0]).sort(), ['cpu', 'ram', 'samples', 'timestamp']);
+      assertClose(buckets[0].ram.min, 0);
+      assertClose(buckets[0].ram.avg, 5);
+      assertClose(buckets[0].ram.max, 10);
+      assertClose(buckets[0].cpu.avg, 10);
+      assertClose(buckets[1].ram.avg, 20);
+
+      const allHosts = await db.queryMetrics({ from: at(36000), to: at(36060), metrics: ['ram'], bucketSeconds: 60 });
+      assert.equal(allHosts[0].samples, 2);
+      assertClose(allHosts[0].ram.max, 99);
+    });
+
+    it('stores alerts with defaults and reads them back', async () => {
+      const hostname = host('alerts');
+      const id = await db.storeAlert(at(0), hostname, 'CPU', '95%', 'CPU is high', true);
+
+      const alert = await db.getAlert(id);
+      assert.deepEqual(alert, {
+        id: Number(id),
+        timestamp: new Date(base).toISOString(),
+        hostname,
+        type: 'CPU',
+        value: '95%',
+        message: 'CPU is high',
+        sentSuccessfully: true,
+        channel: null,
+        state: 'firing',
+        severity: 'warning',
+        acknowledgedBy: null,
+        acknowledgedAt: null,
+        suppressedBy: null
+      });
+      assert.equal(await db.getAlert(Number(id) + 100000), null);
+    });
+
+    it('keeps long rule types and condition messages whole', async () => {
+      const hostname = host('long');
+      const type = `DiskAlmostFullForecastRule:/mnt/${'d'.repeat(80)}`;
+      const value = `Disk ${'/srv/data'.repeat(20)} will be full in about 2 hours at the current write rate`;
+      const id = await db.storeAlert(at(0), hostname, type, value, 'm', true, 'telegram', 'firing', 'critical');
+
+      const alert = await db.getAlert(id);
+      assert.equal(alert.type, type);
+      assert.equal(alert.value, value);
+    });
+
+    it('filters alert history', async () => {
+      const hostname = host('history');
+      await db.storeAlert(at(0), hostname, 'Disk:/var', '91%', 'm', true, 'slack', 'firing', 'warning');
+      await db.storeAlert(at(60), hostname, 'CPU', '99%', 'm', false, 'email', 'firing', 'critical');
+      await db.storeAlert(at(120), hostname, 'Disk', '92%', 'm', false, 'slack', 'resolved', 'warning');
+      await db.storeAlert(at(180), host('elsewhere'), 'Disk:/', '93%', 'm', true, 'slack', 'firing', 'warning');
+
+      const types = async filters => (await db.queryAlerts({ hostname, ...filters })).map(alert => alert.type);
+
+      assert.deepEqual(await types({}), ['Disk', 'CPU', 'Disk:/var']);
+      assert.deepEqual(await types({ type: 'Disk' }), ['Disk', 'Disk:/var']);
+      assert.deepEqual(await types({ type: 'Disk:/var' }), ['Disk:/var']);
+      assert.deepEqual(await types({ sentSuccessfully: false }), ['Disk', 'CPU']);
+      assert.deepEqual(await types({ sentSuccessfully: true }), ['Disk:/var']);
+      assert.deepEqual(await types({ from: at(60), to: at(120) }), ['CPU']);
+      assert.deepEqual(await types({ limit: 1 }), ['Disk']);
+
+      const critical = await db.queryAlerts({ hostname, type: 'CPU' });
+      assert.equal(critical[0].severity, 'critical');
+      assert.equal(critical[0].channel, 'email');
+      assert.equal(critical[0].sentSuccessfully, false);
+
+      const recent = await db.getRecentAlerts(1);
+      assert.equal(recent[0].hostname, host('elsewhere'));
+    });
+
+    it('acknowledges an alert only once', async () => {
+      const hostname = host('ack');
+      const id = await db.storeAlert(at(0), hostname, 'RAM', '90%', 'm', true, 'telegram', 'firing', 'warning');
+
+      assert.equal(await db.acknowledgeAlert(id, 'alice', at(300)), true);
+      assert.equal(await db.acknowledgeAlert(id, 'bob', at(360)), false);
+      assert.equal(await db.acknowledgeAlert(Number(id) + 100000, 'bob', at(360)), false);
+
+      const alert = await db.getAlert(id);
+      assert.equal(alert.acknowledgedBy, 'alice');
+      assert.equal(alert.acknowledgedAt, new Date(base + 300 * 1000).toISOString());
+
+      assert.equal((await db.queryAlerts({ hostname, acknowledged: true })).length, 1);
+      assert.equal((await db.queryAlerts({ hostname, acknowledged: false })).length, 0);
+    });
+
+    it('records alerts kept back by a silence', async () => {
+      const hostname = host('suppressed');
+      await db.storeAlert(at(0), hostname, 'RAM', '90%', 'm', true, 'telegram', 'firing', 'warning');
+      const id = await db.storeAlert(at(60), hostname, 'CPU', '99%', 'm', false, null, 'firing', 'critical', 'silence 3 (kernel update)');
+
+      assert.equal((await db.getAlert(id)).suppressedBy, 'silence 3 (kernel update)');
+      assert.deepEqual((await db.queryAlerts({ hostname, suppressed: true })).map(alert => alert.type), ['CPU']);
+      assert.deepEqual((await db.queryAlerts({ hostname, suppressed: false })).map(alert => alert.type), ['RAM']);
+    });
+
+    it('stores disk metrics', async () => {
+      const id = await db.storeDiskMetrics(at(0), host('disk'), '/var', 'ext4', 81, 12, 1000, 810);
+      assert.ok(Number(id) > 0);
+      const range = await db.getTimeRange('disk_metrics');
+      assert.equal(range.oldest.getTime(), base);
+    });
+
+    it('aggregates disk usage per mount and bucket', async () => {
+      const hostname = host('disk-usage');
+      await db.storeDiskMetrics(at(86400), hostname, '/var', 'ext4', 40, 5, 1000, 400);
+      await db.storeDiskMetrics(at(86400 + 60), hostname, '/var', 'ext4', 42, 5, 1000, 420);
+      await db.storeDiskMetrics(at(86400 + 3600), hostname, '/var', 'ext4', 50, 5, 1000, 500);
+      await db.storeDiskMetrics(at(86400), hostname, '/', 'ext4', 10, 1, 2000, 200);
+      // Outside the range
+      await db.storeDiskMetrics(at(86400 + 7200), hostname, '/', 'ext4', 99, 1, 2000, 1980);
+
+      const buckets = await db.queryDiskUsage({ from: at(86400), to: at(86400 + 7200), hostname, bucketSeconds: 3600 });
+      assert.deepEqual(buckets.map(bucket => [bucket.mount, bucket.timestamp, bucket.samples]), [
+        ['/', new Date(base + 86400 * 1000).toISOString(), 1],
+        ['/var', new Date(base + 86400 * 1000).toISOString(), 2],
+        ['/var', new Date(base + (86400 + 3600) * 1000).toISOString(), 1]
+      ]);
+      assertClose(buckets[1].usage, 41);
+      assertClose(buckets[1].usedBytes, 410);
+      assert.equal(buckets[1].sizeBytes, 1000);
+    });
+
+    it('stores process metrics', async () => {
+      const id = await db.storeProcessMetrics(at(0), host('process'), 'nginx', 1, 812, 3.5, 52428800, 0);
+      assert.ok(Number(id) > 0);
+      await db.storeProcessMetrics(at(60), host('process'), 'nginx', 0, null, null, null, 1);
+      const range = await db.getTimeRange('process_metrics');
+      assert.equal(range.oldest.getTime(), base);
+      assert.equal(range.newest.getTime(), base + 60 * 1000);
+    });
+
+    it('stores a batch of writes in order', async () => {
+      const hostname = host('batch');
+      const writes = [];
+      // More rows than fit in one INSERT statement
+      for (let minute = 0; minute < 60; minute++) {
+        writes.push({ kind: 'metrics', values: [at(172800 + minute * 60), hostname, '10.0.0.2', minute, 1, 2, 3, 0.1, 4, 5, null] });
+      }
+      writes.push({ kind: 'disk', values: [at(172800), hostname, '/', 'ext4', 70, 5, 1000, 700] });
+      writes.push({ kind: 'process', values: [at(172800), hostname, 'nginx', 1, 812, 3.5, 52428800, 0] });
+      writes.push({ kind: 'alert', values: [at(172800), hostname, 'RAM', '91%', 'batched', false, null, null, null] });
+      writes.push({ kind: 'alert', values: [at(172800), hostname, 'CPU', '97%', 'batched', false, null, null, null, 'maintenance window patching'] });
+      writes.push({ kind: 'metrics', values: [at(172800 + 3600), hostname, '10.0.0.2', 60, 1, 2, 3, 0.1, 4, 5, null] });
+
+      assert.equal(await db.storeBatch(writes), 65);
+
+      const rows = await db.getRecentMetrics(2);
+      assert.deepEqual(rows.map(row => row.hostname), [hostname, hostname]);
+      assert.ok(rows[0].id > rows[1].id);
+      assertClose(rows[0].ram_usage, 60);
+      assertClose(rows[1].ram_usage, 59);
+
+      const minutes = await db.queryMetrics({ from: at(172800), to: at(176400), hostname, metrics: ['ram'], bucketSeconds: 3600 });
+      assert.equal(minutes[0].samples, 60);
+
+      const [alert] = await db.queryAlerts({ hostname, type: 'RAM' });
+      assert.equal(alert.message, 'batched');
+      assert.equal(alert.sentSuccessfully, false);
+      assert.equal(alert.state, 'firing');
+      assert.equal(alert.severity, 'warning');
+      assert.equal(alert.suppressedBy, null);
+
+      const [suppressed] = await db.queryAlerts({ hostname, type: 'CPU' });
+      assert.equal(suppressed.suppressedBy, 'maintenance window patching');
+    });
+
+    it('rejects a batch with an unknown write without storing any of it', async () => {
+      const hostname = host('bad-batch');
+      await assert.rejects(() => db.storeBatch([
+        { kind: 'alert', values: [at(0), hostname, 'RAM', '91%', 'm', true, null, null, null] },
+        { kind: 'logs', values: [] }
+      ]), /Unknown write kind/);
+      assert.deepEqual(await db.queryAlerts({ hostname }), []);
+    });
+
+    it('rolls up metrics and keeps history after raw samples are pruned', async () => {
+      const hostname = host('rollup');
+      const start = 86400 * 30;
+      // Two hours of one-minute samples, value = minute index
+      for (let minute = 0; minute < 120; minute++) {
+        await storeSample(hostname, start + minute * 60, minute);
+      }
+
+      assert.equal(await db.rollupMetrics('5m', at(start), at(start + 7200)), 24);
+      assert.equal(await db.rollupMetrics('1h', at(start), at(start + 7200)), 2);
+
+      const range = await db.getTimeRange('metrics_5m');
+      assert.equal(range.oldest.getTime(), base + start * 1000);
+      assert.equal(range.newest.getTime(), base + (start + 7200 - 300) * 1000);
+
+      // Drop every raw sample up to the end of the rolled up range
+      assert.ok(await db.deleteOlderThan('metrics', at(start + 7200)) >= 120);
+      assert.equal((await db.getTimeRange('metrics')).oldest, null);
+
+      // Samples after the rollups are still read from the raw table
+      for (let minute = 120; minute < 130; minute++) {
+        await storeSample(hostname, start + minute * 60, minute);
+      }
+
+      const hourly = await db.queryMetrics({ from: at(start), to: at(start + 10800), hostname, metrics: ['ram'], bucketSeconds: 3600 });
+      assert.deepEqual(hourly.map(bucket => bucket.samples), [60, 60, 10]);
+      assertClose(hourly[0].ram.min, 0);
+      assertClose(hourly[0].ram.avg, 29.5);
+      assertClose(hourly[0].ram.max, 59);
+      assertClose(hourly[1].ram.avg, 89.5);
+      assertClose(hourly[2].ram.avg, 124.5);
+
+      const tenMinutes = await db.queryMetrics({ from: at(start), to: at(start + 7200), hostname, metrics: ['ram'], bucketSeconds: 600 });
+      assert.equal(tenMinutes.length, 12);
+      assert.equal(tenMinutes[0].samples, 10);
+      assertClose(tenMinutes[0].ram.avg, 4.5);
+
+      // Raw queries with buckets smaller than a rollup no longer see the pruned samples
+      const minutes = await db.queryMetrics({ from: at(start), to: at(start + 7200), hostname, metrics: ['ram'], bucketSeconds: 60 });
+      assert.equal(minutes.length, 0);
+    });
+
+    it('prunes rollup tables', async () => {
+      const deleted = await db.deleteOlderThan('metrics_5m', '9999-12-31 23:59:59');
+      assert.equal(deleted, 24);
+      assert.deepEqual(await db.getTimeRange('metrics_5m'), { oldest: null, newest: null });
+    });
+
+    it('rejects unknown tables', async () => {
+      await assert.rejects(() => db.getTimeRange('alerts'), /Unknown table/);
+      await assert.rejects(() => db.deleteOlderThan('users', at(0)), /Unknown table/);
+      await assert.rejects(() => db.rollupMetrics('10m', at(0), at(60)), /Unknown rollup/);
+    });
+  });
+}
+
+module.exports = {
+  runConformanceSuite
+};
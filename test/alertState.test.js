@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAlertTracker } = require('../alertState');
+
+const rule = { warning: 80, critical: 95, clearThreshold: 75, forSeconds: 0 };
+
+describe('alert tracker', () => {
+  it('fires, escalates and resolves with a summary', () => {
+    const tracker = createAlertTracker();
+    assert.deepEqual(tracker.evaluate('RAM', 50, rule), { status: 'ok' });
+    assert.deepEqual(tracker.evaluate('RAM', 85, rule), { status: 'fired', severity: 'warning' });
+    assert.deepEqual(tracker.evaluate('RAM', 97, rule), { status: 'escalated', severity: 'critical' });
+    // Below warning but above the clear threshold: still firing
+    assert.equal(tracker.evaluate('RAM', 78, rule).status, 'firing');
+
+    const { status, resolution } = tracker.evaluate('RAM', 60, rule);
+    assert.equal(status, 'resolved');
+    assert.equal(resolution.peak, 97);
+    assert.equal(resolution.maxSeverity, 'critical');
+    assert.equal(tracker.isFiring('RAM'), false);
+  });
+
+  it('escalates only once per firing period when flapping around the critical level', () => {
+    const tracker = createAlertTracker();
+    tracker.evaluate('CPU', 85, rule);
+
+    const statuses = [97, 90, 96, 88, 99].map(value => tracker.evaluate('CPU', value, rule).status);
+    assert.deepEqual(statuses, ['escalated', 'firing', 'firing', 'firing', 'firing']);
+    assert.equal(tracker.getFiring()[0].severity, 'critical');
+
+    // A new firing period may escalate again
+    tracker.evaluate('CPU', 50, rule);
+    tracker.evaluate('CPU', 85, rule);
+    assert.equal(tracker.evaluate('CPU', 97, rule).status, 'escalated');
+  });
+
+  it('fires at critical right away without a later escalation', () => {
+    const tracker = createAlertTracker();
+    assert.deepEqual(tracker.evaluate('Disk', 97, rule), { status: 'fired', severity: 'critical' });
+    tracker.evaluate('Disk', 85, rule);
+    assert.equal(tracker.evaluate('Disk', 97, rule).status, 'firing');
+  });
+
+  it('waits for the condition to hold for forSeconds', () => {
+    const tracker = createAlertTracker();
+    const sustained = { ...rule, forSeconds: 60 };
+    assert.deepEqual(tracker.evaluate('Swap', 85, sustained), { status: 'pending' });
+    assert.deepEqual(tracker.evaluate('Swap', 50, sustained), { status: 'ok' });
+    assert.equal(tracker.isFiring('Swap'), false);
+  });
+
+  it('resolves firing alerts whose check was not produced and forgets the rest', () => {
+    const tracker = createAlertTracker();
+    const sustained = { ...rule, forSeconds: 60 };
+    tracker.evaluate('Disk:/mnt/backup', 90, rule);
+    tracker.evaluate('Disk:/', 85, rule);
+    tracker.evaluate('Swap', 85, sustained);
+    tracker.markNotified('Disk:/mnt/backup');
+
+    const resolved = tracker.resolveMissing(new Set(['Disk:/']));
+    assert.deepEqual(resolved.map(item => item.key), ['Disk:/mnt/backup']);
+    assert.equal(resolved[0].resolution.peak, 90);
+    assert.equal(resolved[0].resolution.notified, true);
+    assert.deepEqual(tracker.getFiring().map(item => item.type), ['Disk:/']);
+    assert.deepEqual(tracker.resolveMissing(new Set(['Disk:/'])), []);
+  });
+});
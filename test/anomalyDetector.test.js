@@ -0,0 +1,74 @@
+// Baselines for RAM only, usable after two days of history
+const overrides = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+overrides.anomaly = {
+  ...overrides.anomaly,
+  metrics: ['ram'],
+  history: '14d',
+  refresh: '1h',
+  minSamples: 20,
+  perMetric: {}
+};
+process.env.NODE_CONFIG = JSON.stringify(overrides);
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupMemory } = require('../memoryDatabase');
+const { createBaselines, hourlyBaseline } = require('../anomalyDetector');
+const { toDbTimestamp } = require('../timeUtils');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('anomaly baselines', () => {
+  const now = Date.now();
+  // The busy hour is the current hour of day, three hours ago is quiet
+  const busy = new Date(now);
+  const quiet = new Date(now - 3 * 3600 * 1000);
+  let baselines;
+
+  before(async () => {
+    const db = setupMemory();
+    // Three days of samples, one per 5 minute bucket: 60% +/- 2 in the busy hour, 20% +/- 2 otherwise
+    const start = Math.floor(now / 300000) * 300000 - 3 * 86400 * 1000;
+    for (let index = 0; start + index * 300000 < now; index++) {
+      const date = new Date(start + index * 300000);
+      const ram = (date.getHours() === busy.getHours() ? 60 : 20) + (index % 2 === 0 ? 2 : -2);
+      await db.storeMetrics(toDbTimestamp(date), 'db1', '10.0.0.1', ram, 0, 0, 0, 0, 0, 0, null);
+    }
+
+    baselines = createBaselines(db, logger);
+    await baselines.prepare('db1');
+    await baselines.prepare('web1');
+  });
+
+  it('learns the usual value per hour of day', () => {
+    const expected = baselines.expected('db1', 'ram', busy);
+    assert.equal(expected.hour, busy.getHours());
+    assert.ok(Math.abs(expected.mean - 60) < 0.5, `mean ${expected.mean}`);
+    assert.ok(expected.samples >= 20);
+
+    assert.ok(Math.abs(baselines.expected('db1', 'ram', quiet).mean - 20) < 0.5);
+  });
+
+  it('never reports a spread below the metric minimum', () => {
+    // The real spread is 2, the RAM minimum is 2 as well
+    assert.equal(baselines.expected('db1', 'ram', quiet).stddev, 2);
+  });
+
+  it('has no baseline without enough history', () => {
+    assert.equal(baselines.expected('web1', 'ram', busy), null);
+    assert.equal(baselines.expected('db1', 'cpu', busy), null);
+  });
+
+  it('groups buckets by hour of day', () => {
+    const at = hour => new Date(2030, 0, 1, hour, 30).toISOString();
+    const baseline = hourlyBaseline([
+      { timestamp: at(9), ram: { avg: 10 } },
+      { timestamp: at(9), ram: { avg: 30 } },
+      { timestamp: at(10), ram: { avg: 50 } }
+    ], ['ram']);
+
+    assert.deepEqual(baseline.ram[9], { mean: 20, stddev: 10, samples: 2 });
+    assert.deepEqual(baseline.ram[10], { mean: 50, stddev: 0, samples: 1 });
+    assert.equal(baseline.ram[11], null);
+  });
+});
@@ -0,0 +1,105 @@
+// Reload from a copy of the shipped config in a temporary directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+const file = path.join(dir, 'default.json');
+const shipped = fs.readFileSync(path.join(__dirname, '..', 'config', 'default.json'), 'utf8');
+fs.writeFileSync(file, shipped);
+process.env.NODE_CONFIG_DIR = dir;
+process.env.ALLOW_CONFIG_MUTATIONS = 'true';
+
+const { describe, it, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('config');
+const { createConfigReloader } = require('../configReload');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Write the shipped config with some sections changed
+function writeConfig(change) {
+  const settings = JSON.parse(shipped);
+  change(settings);
+  fs.writeFileSync(file, JSON.stringify(settings));
+}
+
+describe('config reload', () => {
+  let applied;
+  const reloader = createConfigReloader(logger, {
+    prepare: settings => settings.rules.length,
+    apply: (changed, prepared) => {
+      applied = { changed, prepared };
+    }
+  });
+
+  beforeEach(() => {
+    applied = null;
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('swaps in thresholds, intervals and rules', () => {
+    writeConfig(settings => {
+      settings.cpu.warning = 70;
+      settings.monitoring.checkInterval = 30;
+      settings.rules = [{ name: 'Busy', expression: 'cpu > 50', message: 'CPU {cpu}%' }];
+    });
+
+    const result = reloader.reload('test');
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(result.changed, ['monitoring', 'cpu', 'rules']);
+    assert.deepEqual(result.restartRequired, []);
+    assert.equal(config.get('cpu.warning'), 70);
+    assert.equal(config.get('monitoring.checkInterval'), 30);
+    assert.deepEqual(applied, { changed: ['monitoring', 'cpu', 'rules'], prepared: 1 });
+    assert.equal(reloader.lastReload().trigger, 'test');
+  });
+
+  it('keeps the running config when the new one is invalid', () => {
+    const before = config.get('monitoring.checkInterval');
+    writeConfig(settings => {
+      settings.monitoring.checkInterval = 120;
+      delete settings.alertFormat.topBorder;
+    });
+
+    const result = reloader.reload('test');
+    assert.equal(result.status, 'error');
+    assert.deepEqual(result.errors, [
+      'monitoring.checkInterval must be an integer from 1 to 60 (got 120)',
+      'alertFormat.topBorder is missing'
+    ]);
+    assert.equal(config.get('monitoring.checkInterval'), before);
+    assert.equal(applied, null);
+  });
+
+  it('rejects the reload when prepare throws', () => {
+    const failing = createConfigReloader(logger, {
+      prepare: () => {
+        throw new Error('rules[0] (Busy): unknown variable "cpuu"');
+      },
+      apply: () => assert.fail('apply must not run')
+    });
+    writeConfig(settings => {
+      settings.cpu.warning = 60;
+    });
+
+    assert.deepEqual(failing.reload('test').errors, ['rules[0] (Busy): unknown variable "cpuu"']);
+    assert.equal(config.get('cpu.warning'), 70);
+  });
+
+  it('leaves startup-only settings alone and reports them', () => {
+    writeConfig(settings => {
+      settings.database.enabled = true;
+      settings.monitoring.logFile = 'other.log';
+      settings.telegram.chatId = '42';
+    });
+
+    const result = reloader.reload('test');
+    assert.deepEqual(result.changed, ['telegram', 'monitoring', 'cpu', 'rules']);
+    assert.deepEqual(result.restartRequired, ['database', 'monitoring.logFile']);
+    assert.equal(config.get('database.enabled'), false);
+    assert.equal(config.get('monitoring.logFile'), JSON.parse(shipped).monitoring.logFile);
+    assert.equal(config.get('telegram.chatId'), '42');
+  });
+});
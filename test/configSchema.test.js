@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('config');
+const { validateConfig } = require('../configSchema');
+
+// A copy of the running config to break in one place per test
+function settings() {
+  return config.util.toObject(config);
+}
+
+describe('config schema', () => {
+  it('accepts the shipped config', () => {
+    assert.deepEqual(validateConfig(settings()), { errors: [], warnings: [] });
+  });
+
+  it('names an interval the seconds cron schedule cannot run', () => {
+    const broken = settings();
+    broken.monitoring.checkInterval = 120;
+    assert.deepEqual(validateConfig(broken).errors, ['monitoring.checkInterval must be an integer from 1 to 60 (got 120)']);
+  });
+
+  it('names missing keys and reports every problem at once', () => {
+    const broken = settings();
+    delete broken.alertFormat.topBorder;
+    broken.disk.forecast.horizon = 'two days';
+    broken.database.type = 'oracle';
+
+    const { errors } = validateConfig(broken);
+    assert.equal(errors.length, 3);
+    assert.ok(errors.includes('alertFormat.topBorder is missing'));
+    assert.ok(errors.some(error => error.startsWith('disk.forecast.horizon must be a duration')));
+    assert.ok(errors.some(error => error.startsWith('database.type must be one of "sqlite", "mysql", "postgresql"')));
+  });
+
+  it('checks entries of lists and per-instance overrides', () => {
+    const broken = settings();
+    broken.rules = [{ name: 'ok', expression: 'cpu > 1' }, { expression: 'ram > 1' }];
+    broken.disk.perMount = { '/var': { warning: 'high' } };
+
+    assert.deepEqual(validateConfig(broken).errors, [
+      'disk.perMount./var.warning must be a number (got "high")',
+      'rules[1].name is missing'
+    ]);
+  });
+
+  it('names the rule or watched process that does not compile', () => {
+    const broken = settings();
+    broken.rules = [{ name: 'Busy', expression: 'cpu >', message: 'CPU {cpu}%' }];
+    assert.match(validateConfig(broken).errors[0], /^Invalid expression in rules\[0\] \(Busy\)/);
+
+    const processes = settings();
+    processes.processes = { ...processes.processes, monitor: true, watch: [{ name: 'api', command: 'node (' }] };
+    assert.match(validateConfig(processes).errors[0], /^Invalid command regex in processes\.watch\[0\] \(api\)/);
+
+    // Entries are only compiled when the process watcher runs
+    processes.processes.monitor = false;
+    assert.deepEqual(validateConfig(processes).errors, []);
+  });
+
+  it('only warns about unknown keys', () => {
+    const extended = settings();
+    extended.cpu.treshold = 90;
+    extended.cpu.threshold = 85;
+
+    assert.deepEqual(validateConfig(extended), {
+      errors: [],
+      warnings: ['cpu.treshold is not a known setting and is ignored']
+    });
+  });
+});
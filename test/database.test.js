@@ -0,0 +1,34 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point SQLite at a scratch file before the config module loads; keep any other NODE_CONFIG overrides
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-monitor-test-'));
+const overrides = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+overrides.database = {
+  ...overrides.database,
+  enabled: true,
+  sqlite: { path: path.join(scratchDir, 'metrics.db') },
+  migrations: { autoApply: true }
+};
+process.env.NODE_CONFIG = JSON.stringify(overrides);
+
+const { after } = require('node:test');
+const { BACKENDS } = require('../database');
+const { runConformanceSuite } = require('./adapterConformance');
+
+after(() => {
+  fs.rmSync(scratchDir, { recursive: true, force: true });
+});
+
+runConformanceSuite('memory', BACKENDS.memory);
+runConformanceSuite('sqlite', BACKENDS.sqlite);
+
+// MySQL and PostgreSQL need a server: TEST_DATABASES=mysql,postgresql npm test
+// with database.mysql / database.postgresql pointing at throwaway databases
+(process.env.TEST_DATABASES || '').split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown backend in TEST_DATABASES: ${name}`);
+  }
+  runConformanceSuite(name, BACKENDS[name]);
+});
@@ -0,0 +1,80 @@
+// Fill date warnings within two days, critical within twelve hours
+const overrides = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+overrides.disk = {
+  ...overrides.disk,
+  forecast: {
+    monitor: true,
+    history: '3d',
+    minHistory: '6h',
+    refresh: '10m',
+    horizon: '48h',
+    criticalHorizon: '12h'
+  }
+};
+process.env.NODE_CONFIG = JSON.stringify(overrides);
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupMemory } = require('../memoryDatabase');
+const { createDiskForecaster } = require('../diskForecast');
+const { toDbTimestamp } = require('../timeUtils');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const GB = 1024 * 1024 * 1024;
+const SIZE = 100 * GB;
+
+function disk(mount, usedBytes) {
+  return { mount, sizeBytes: SIZE, usedBytes, availableBytes: SIZE - usedBytes, usage: Math.round(usedBytes / SIZE * 100) };
+}
+
+describe('disk forecast', () => {
+  const now = Date.now();
+  let forecaster;
+
+  before(async () => {
+    const db = setupMemory();
+    // One day of samples every 10 minutes: /var grows 24 GB per day, / stays flat, /tmp only has an hour
+    const start = now - 86400 * 1000;
+    for (let time = start; time < now; time += 600000) {
+      const grown = ((time - start) / (86400 * 1000)) * 24 * GB;
+      const timestamp = toDbTimestamp(new Date(time));
+      await db.storeDiskMetrics(timestamp, 'db1', '/var', 'ext4', 40 + grown / GB, null, SIZE, 40 * GB + grown);
+      await db.storeDiskMetrics(timestamp, 'db1', '/', 'ext4', 30, null, SIZE, 30 * GB);
+      if (now - time < 3600 * 1000) {
+        await db.storeDiskMetrics(timestamp, 'db1', '/tmp', 'ext4', 10 + grown / GB, null, SIZE, 10 * GB + grown);
+      }
+    }
+
+    forecaster = createDiskForecaster(db, logger);
+    await forecaster.prepare('db1');
+  });
+
+  it('projects the fill date from the growth rate', () => {
+    // 36 GB left at 24 GB per day
+    const [forecast] = forecaster.forecast('db1', [disk('/var', 64 * GB)], now);
+    assert.equal(forecast.mount, '/var');
+    assert.ok(Math.abs(forecast.growthBytesPerDay - 24 * GB) < 0.01 * GB, `growth ${forecast.growthBytesPerDay}`);
+    assert.equal(forecast.growthPercentPerDay, 24);
+    assert.ok(Math.abs(forecast.secondsToFull - 1.5 * 86400) < 600, `seconds ${forecast.secondsToFull}`);
+    assert.equal(forecast.fullAt, new Date(now + forecast.secondsToFull * 1000).toISOString());
+    assert.equal(forecast.severity, 'warning');
+  });
+
+  it('is critical when the disk fills within the critical horizon', () => {
+    const [forecast] = forecaster.forecast('db1', [disk('/var', 95 * GB)], now);
+    assert.equal(forecast.severity, 'critical');
+  });
+
+  it('has no fill date for a mount that is not growing', () => {
+    const [forecast] = forecaster.forecast('db1', [disk('/', 30 * GB)], now);
+    assert.equal(forecast.secondsToFull, null);
+    assert.equal(forecast.fullAt, null);
+    assert.equal(forecast.severity, null);
+  });
+
+  it('skips mounts and hosts without enough history', () => {
+    assert.deepEqual(forecaster.forecast('db1', [disk('/tmp', 20 * GB)], now), []);
+    assert.deepEqual(forecaster.forecast('web1', [disk('/var', 64 * GB)], now), []);
+  });
+});
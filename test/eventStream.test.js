@@ -0,0 +1,112 @@
+// Two stream clients at most
+const overrides = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+overrides.stream = { maxClients: 2 };
+process.env.NODE_CONFIG = JSON.stringify(overrides);
+
+const http = require('http');
+const { once } = require('events');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createEventStream } = require('../eventStream');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Open GET /api/stream and collect what it sends; close() drops the connection like a browser tab
+function connect(baseUrl, query = '') {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}/api/stream${query}`, res => {
+      const client = { res, text: '', close: () => req.destroy() };
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        client.text += chunk;
+      });
+      res.on('error', () => {});
+      resolve(client);
+    });
+    req.on('error', reject);
+  });
+}
+
+// Wait for the server side to catch up (data written, close handled)
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 100 && !check(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(check(), 'condition not reached in time');
+}
+
+describe('event stream', () => {
+  const stream = createEventStream(logger);
+  const app = express();
+  app.get('/api/stream', stream.handler);
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('sends events in SSE format with a short reconnect delay', async () => {
+    const client = await connect(baseUrl);
+    assert.equal(client.res.statusCode, 200);
+    assert.equal(client.res.headers['content-type'], 'text/event-stream');
+
+    stream.publish('alert', { hostname: 'web1', type: 'RAM', state: 'firing' });
+    await waitFor(() => client.text.includes('event: alert'));
+
+    assert.match(client.text, /^retry: 3000\n\n/);
+    assert.match(client.text, /id: \d+\nevent: alert\ndata: \{"hostname":"web1","type":"RAM","state":"firing"\}\n\n$/);
+    client.close();
+    await waitFor(() => stream.clientCount() === 0);
+  });
+
+  it('filters by event type and host and replays the last sample', async () => {
+    stream.publish('sample', { hostname: 'web2', ram: 40 });
+    const client = await connect(baseUrl, '?events=sample&hostname=web2');
+    await waitFor(() => client.text.includes('"ram":40'));
+
+    stream.publish('alert', { hostname: 'web2', type: 'CPU' });
+    stream.publish('sample', { hostname: 'web3', ram: 70 });
+    stream.publish('sample', { hostname: 'web2', ram: 41 });
+    await waitFor(() => client.text.includes('"ram":41'));
+
+    assert.equal(client.text.includes('event: alert'), false);
+    assert.equal(client.text.includes('web3'), false);
+    client.close();
+    await waitFor(() => stream.clientCount() === 0);
+  });
+
+  it('rejects unknown event types', async () => {
+    const response = await fetch(`${baseUrl}/api/stream?events=sample,logs`);
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).message, /Unknown events: logs/);
+  });
+
+  it('refuses clients over stream.maxClients and frees the slot on disconnect', async () => {
+    const first = await connect(baseUrl);
+    const second = await connect(baseUrl);
+    await waitFor(() => stream.clientCount() === 2);
+
+    const response = await fetch(`${baseUrl}/api/stream`);
+    assert.equal(response.status, 503);
+    assert.match((await response.json()).message, /Too many stream clients \(2\)/);
+
+    first.close();
+    await waitFor(() => stream.clientCount() === 1);
+
+    // Publishing must not reach the closed response, and the freed slot can be used again
+    assert.doesNotThrow(() => stream.publish('alert', { hostname: 'web1', type: 'Disk' }));
+    const third = await connect(baseUrl);
+    assert.equal(third.res.statusCode, 200);
+    await waitFor(() => stream.clientCount() === 2);
+
+    second.close();
+    third.close();
+    await waitFor(() => stream.clientCount() === 0);
+  });
+});
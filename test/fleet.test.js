@@ -0,0 +1,113 @@
+const http = require('http');
+const { once } = require('events');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Collector stand-in: answers 500 while failing, otherwise records the pushed samples
+const collector = { failing: false, received: [], authorization: null };
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    if (collector.failing) {
+      res.writeHead(500);
+      res.end('down');
+      return;
+    }
+    collector.authorization = req.headers.authorization;
+    collector.received.push(...JSON.parse(body).samples);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"status":"ok"}');
+  });
+});
+
+let fleet;
+
+// The collector URL is only known once the server listens, so the config (and fleet.js) load afterwards
+before(async () => {
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const overrides = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+  overrides.fleet = {
+    mode: 'agent',
+    token: 's3cret-token',
+    agent: { collectorUrl: `http://127.0.0.1:${server.address().port}/`, timeout: 2000, maxBacklog: 3 },
+    collector: { staleAfter: '3m', maxSamplesPerRequest: 1000 }
+  };
+  process.env.NODE_CONFIG = JSON.stringify(overrides);
+  fleet = require('../fleet');
+});
+
+after(() => server.close());
+
+const sample = (hostname, extra = {}) => ({
+  timestamp: '2030-01-01T00:00:00.000Z',
+  system: { hostname },
+  metrics: { ram: 40, cpu: 10, disks: [], interfaces: [] },
+  ...extra
+});
+
+describe('validateSample', () => {
+  it('accepts a complete sample', () => {
+    assert.equal(fleet.validateSample(sample('web1')), null);
+  });
+
+  it('names what is wrong with an invalid sample', () => {
+    assert.equal(fleet.validateSample(null), 'sample must be an object');
+    assert.equal(fleet.validateSample(sample('')), 'system.hostname is required');
+    assert.equal(fleet.validateSample({ ...sample('web1'), system: undefined }), 'system.hostname is required');
+    assert.equal(fleet.validateSample(sample('web1', { timestamp: 'yesterday' })), 'invalid timestamp: yesterday');
+    assert.equal(fleet.validateSample(sample('web1', { metrics: 'full' })), 'metrics must be an object');
+    assert.equal(fleet.validateSample(sample('web1', { metrics: { ram: '40', cpu: 10, load: null } })), 'metrics must be numbers: ram, load');
+    assert.equal(fleet.validateSample(sample('web1', { metrics: { disks: {} } })), 'metrics.disks and metrics.interfaces must be arrays');
+    assert.equal(fleet.validateSample(sample('web1', { metrics: { processes: [{ name: 'nginx' }] } })), 'metrics.processes must be an array of watched processes');
+    assert.equal(fleet.validateSample(sample('web1', { metrics: { leaks: [{ name: 'node' }] } })), 'metrics.leaks must be an array of processes');
+  });
+});
+
+describe('isAuthorized', () => {
+  it('accepts the fleet token as a bearer token', () => {
+    assert.equal(fleet.isAuthorized('Bearer s3cret-token'), true);
+    assert.equal(fleet.isAuthorized('bearer  s3cret-token '), true);
+  });
+
+  it('rejects a wrong or missing token', () => {
+    assert.equal(fleet.isAuthorized('Bearer s3cret-tokeN'), false);
+    assert.equal(fleet.isAuthorized('Bearer s3cret'), false);
+    assert.equal(fleet.isAuthorized('s3cret-token'), false);
+    assert.equal(fleet.isAuthorized('Bearer '), false);
+    assert.equal(fleet.isAuthorized(''), false);
+    assert.equal(fleet.isAuthorized(undefined), false);
+  });
+});
+
+describe('fleet agent', () => {
+  it('keeps the newest samples while the collector is down and sends them once it is back', async () => {
+    const agent = fleet.createFleetAgent(logger);
+    collector.failing = true;
+    for (let index = 1; index <= 5; index++) {
+      await agent.report(sample(`web${index}`));
+    }
+
+    let stats = agent.stats();
+    assert.equal(stats.backlog, 3);
+    assert.equal(stats.dropped, 2);
+    assert.ok(stats.failingSince);
+    assert.deepEqual(collector.received, []);
+
+    collector.failing = false;
+    await agent.report(sample('web6'));
+
+    stats = agent.stats();
+    assert.equal(stats.backlog, 0);
+    assert.equal(stats.dropped, 3);
+    assert.equal(stats.failingSince, null);
+    assert.deepEqual(collector.received.map(item => item.system.hostname), ['web4', 'web5', 'web6']);
+    assert.equal(collector.authorization, 'Bearer s3cret-token');
+  });
+});
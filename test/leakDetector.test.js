@@ -0,0 +1,112 @@
+// Short window so a handful of samples is enough
+const overrides = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+overrides.leaks = {
+  ...overrides.leaks,
+  window: '10m',
+  minSamples: 5,
+  minRssMb: 50,
+  minGrowthMbPerHour: 10,
+  minFit: 0.8,
+  criticalHorizon: '6h',
+  maxProcesses: 10
+};
+process.env.NODE_CONFIG = JSON.stringify(overrides);
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLeakDetector } = require('../leakDetector');
+const { linearTrend } = require('../trend');
+
+const MB = 1024 * 1024;
+const start = Date.UTC(2030, 0, 1);
+
+// si.processes() entry; memRss is in KB like systeminformation reports it
+function proc(pid, rssMb, name = `proc${pid}`) {
+  return { pid, name, started: '2030-01-01 00:00:00', memRss: rssMb * 1024 };
+}
+
+// Feed one list per minute; rssAt(minute) gives the processes of that minute
+function run(detector, minutes, rssAt, availableBytes = 4096 * MB) {
+  let results = [];
+  for (let minute = 0; minute <= minutes; minute++) {
+    results = detector.observe(rssAt(minute), availableBytes, start + minute * 60000);
+  }
+  return results;
+}
+
+describe('leak detector', () => {
+  it('fits a straight line', () => {
+    const trend = linearTrend([0, 60, 120, 180].map(time => ({ time, value: 1000 + time * 2 })));
+    assert.equal(trend.slope, 2);
+    assert.equal(trend.fit, 1);
+  });
+
+  it('flags steady growth with rate and time to exhaustion', () => {
+    const detector = createLeakDetector();
+    // +1 MB per minute = 60 MB/h
+    const [leak] = run(detector, 10, minute => [proc(42, 100 + minute, 'worker')], 600 * MB);
+
+    assert.equal(leak.name, 'worker');
+    assert.equal(leak.pid, 42);
+    assert.equal(leak.leaking, true);
+    assert.equal(leak.growthBytesPerHour, 60 * MB);
+    assert.equal(leak.rssBytes, 110 * MB);
+    // 600 MB left at 1 MB per minute
+    assert.equal(leak.exhaustionSeconds, 600 * 60);
+    assert.equal(leak.critical, false);
+  });
+
+  it('marks a leak critical when memory runs out within the horizon', () => {
+    const detector = createLeakDetector();
+    const [leak] = run(detector, 10, minute => [proc(42, 100 + minute * 10)], 1000 * MB);
+    assert.equal(leak.critical, true);
+  });
+
+  it('waits until the window is covered', () => {
+    const detector = createLeakDetector();
+    assert.deepEqual(run(detector, 7, minute => [proc(42, 100 + minute)]), []);
+  });
+
+  it('ignores flat, noisy, slow and small processes', () => {
+    const detector = createLeakDetector();
+    const results = run(detector, 10, minute => [
+      proc(1, 200),
+      // Garbage collection sawtooth: grows and drops back
+      proc(2, 200 + (minute % 3) * 40),
+      // 3 MB/h
+      proc(3, 200 + minute * 0.05),
+      // Grows fast but stays under minRssMb
+      proc(4, 10 + minute * 3)
+    ]);
+    assert.deepEqual(results, []);
+  });
+
+  it('reports a leak once more when the process exits', () => {
+    const detector = createLeakDetector();
+    run(detector, 10, minute => [proc(42, 100 + minute)]);
+
+    const [gone] = detector.observe([], 4096 * MB, start + 11 * 60000);
+    assert.equal(gone.pid, 42);
+    assert.equal(gone.leaking, false);
+    assert.equal(gone.rssBytes, null);
+
+    assert.deepEqual(detector.observe([], 4096 * MB, start + 12 * 60000), []);
+    assert.equal(detector.trackedCount(), 0);
+  });
+
+  it('keeps following a process whose start time wobbles', () => {
+    const detector = createLeakDetector();
+    const [leak] = run(detector, 10, minute => [{ ...proc(42, 100 + minute), started: `2030-01-01 00:00:0${minute % 2}` }]);
+    assert.equal(leak.leaking, true);
+  });
+
+  it('tells a reused pid apart from the process that had it', () => {
+    const detector = createLeakDetector();
+    run(detector, 10, minute => [proc(42, 100 + minute)]);
+
+    const restarted = { ...proc(42, 100), started: '2030-01-01 00:11:00' };
+    const [cleared] = detector.observe([restarted], 4096 * MB, start + 11 * 60000);
+    assert.equal(cleared.leaking, false);
+    assert.equal(detector.trackedCount(), 1);
+  });
+});
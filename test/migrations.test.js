@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// SQLite at a scratch file that already holds the tables of a release from before migrations
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-monitor-test-'));
+const dbPath = path.join(scratchDir, 'metrics.db');
+const overrides = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+overrides.database = {
+  ...overrides.database,
+  enabled: true,
+  type: 'sqlite',
+  sqlite: { path: dbPath },
+  migrations: { autoApply: true }
+};
+process.env.NODE_CONFIG = JSON.stringify(overrides);
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { BACKENDS } = require('../database');
+
+// Schema created by the first releases: no channel, state, severity or suppressed_by
+const LEGACY_SCHEMA = [
+  `CREATE TABLE metrics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    hostname TEXT NOT NULL,
+    ip_address TEXT NOT NULL,
+    ram_usage REAL NOT NULL,
+    cpu_usage REAL NOT NULL,
+    disk_usage REAL NOT NULL,
+    swap_usage REAL NOT NULL,
+    load_average REAL NOT NULL,
+    network_rx REAL NOT NULL,
+    network_tx REAL NOT NULL,
+    extra_data TEXT
+  )`,
+  `CREATE TABLE alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    hostname TEXT NOT NULL,
+    alert_type TEXT NOT NULL,
+    value TEXT NOT NULL,
+    message TEXT NOT NULL,
+    sent_successfully INTEGER NOT NULL
+  )`,
+  `INSERT INTO alerts (timestamp, hostname, alert_type, value, message, sent_successfully)
+    VALUES ('2024-01-01 00:00:00', 'legacy', 'RAM', '91%', 'old alert', 1)`
+];
+
+function createLegacyDatabase() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath);
+    db.serialize(() => {
+      LEGACY_SCHEMA.forEach(sql => db.run(sql));
+      db.close(err => (err ? reject(err) : resolve()));
+    });
+  });
+}
+
+describe('migrations on a database from before migrations', () => {
+  let db;
+
+  before(async () => {
+    await createLegacyDatabase();
+    db = await BACKENDS.sqlite();
+  });
+
+  after(async () => {
+    if (db) {
+      await db.close();
+    }
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+  });
+
+  it('keeps old alerts and fills the added columns with their defaults', async () => {
+    const [alert] = await db.queryAlerts({ hostname: 'legacy' });
+    assert.equal(alert.type, 'RAM');
+    assert.equal(alert.channel, null);
+    assert.equal(alert.state, 'firing');
+    assert.equal(alert.severity, 'warning');
+  });
+
+  it('stores alerts with channel and state', async () => {
+    await db.storeAlert('2024-01-01 00:01:00', 'legacy', 'CPU', '99%', 'm', true, 'webhook', 'resolved', 'critical');
+
+    const [alert] = await db.queryAlerts({ hostname: 'legacy', type: 'CPU' });
+    assert.equal(alert.channel, 'webhook');
+    assert.equal(alert.state, 'resolved');
+    assert.equal(alert.severity, 'critical');
+  });
+});
@@ -0,0 +1,130 @@
+// One process watched by name; no units, systemctl is not needed
+const overrides = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+overrides.processes = {
+  monitor: true,
+  for: '0s',
+  watch: [{ name: 'nginx', process: 'nginx' }],
+  units: []
+};
+process.env.NODE_CONFIG = JSON.stringify(overrides);
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWatchList, parseUnitProperties, unitDetails, createProcessWatcher } = require('../processMonitor');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Entry of si.processes().list
+const proc = (pid, name, started, parentPid = 1) => ({ pid, parentPid, name, command: name, params: '', started, cpu: 1.5, memRss: 2048 });
+
+describe('loadWatchList', () => {
+  it('turns entries into matchers with default limits', () => {
+    const [nginx, api, sshd] = loadWatchList(
+      [{ name: 'nginx', process: 'nginx', minCount: 2 }, { name: 'api', command: 'node .*server\\.js', maxRssMb: 512, for: '1m' }],
+      [{ unit: 'ssh.service', name: 'sshd' }]
+    );
+    assert.equal(nginx.kind, 'process');
+    assert.deepEqual(nginx.limits, { minCount: 2, maxRssMb: null, maxCpu: null, forSeconds: 0 });
+    assert.ok(api.command.test('node /srv/server.js'));
+    assert.deepEqual(api.limits, { minCount: 1, maxRssMb: 512, maxCpu: null, forSeconds: 60 });
+    assert.deepEqual({ name: sshd.name, kind: sshd.kind, unit: sshd.unit }, { name: 'sshd', kind: 'unit', unit: 'ssh.service' });
+    assert.equal(loadWatchList([], [{ unit: 'cron.service' }])[0].name, 'cron.service');
+  });
+
+  it('names the first invalid entry', () => {
+    const invalid = [
+      [[{ process: 'nginx' }], [], /processes\.watch\[0\] needs a name/],
+      [[{ name: 'web', process: 'nginx', pidfile: '/run/nginx.pid' }], [], /needs exactly one of: process, command, pidfile/],
+      [[{ name: 'web' }], [], /needs exactly one of/],
+      [[{ name: 'api', command: 'node (' }], [], /Invalid command regex in processes\.watch\[0\] \(api\)/],
+      [[{ name: 'web', process: 'nginx', for: 'soon' }], [], /Invalid "for" in processes\.watch\[0\]: soon/],
+      [[{ name: 'web', process: 'nginx', maxCpu: 0 }], [], /maxCpu in processes\.watch\[0\] must be a positive number/],
+      [[], [{ name: 'ssh' }], /processes\.units\[0\] needs a unit/],
+      [[{ name: 'nginx', process: 'nginx' }], [{ unit: 'nginx' }], /Duplicate watched process name: nginx/]
+    ];
+    invalid.forEach(([watch, units, message]) => {
+      assert.throws(() => loadWatchList(watch, units), message);
+    });
+  });
+});
+
+describe('systemd unit state', () => {
+  const list = [proc(100, 'postgres', '2030-01-01 10:00:00'), proc(101, 'postgres', '2030-01-01 10:00:01', 100), proc(200, 'sshd', '2030-01-01 09:00:00')];
+
+  it('parses "systemctl show" output', () => {
+    const properties = parseUnitProperties('LoadState=loaded\nActiveState=active\nSubState=running\nMainPID=100\nNRestarts=2\nEnvironment=A=1\n\n');
+    assert.deepEqual(properties, {
+      LoadState: 'loaded',
+      ActiveState: 'active',
+      SubState: 'running',
+      MainPID: '100',
+      NRestarts: '2',
+      Environment: 'A=1'
+    });
+
+    const details = unitDetails(properties, list);
+    assert.equal(details.state, 'active/running');
+    assert.equal(details.running, true);
+    assert.deepEqual(details.processes.map(item => item.pid), [100, 101]);
+    assert.equal(details.mainPid, 100);
+    assert.equal(details.mainStarted, '2030-01-01 10:00:00');
+    assert.equal(details.nRestarts, 2);
+  });
+
+  it('reports stopped, failed and missing units', () => {
+    const failed = unitDetails(parseUnitProperties('LoadState=loaded\nActiveState=failed\nSubState=failed\nMainPID=0\nNRestarts=5\n'), list);
+    assert.deepEqual({ ...failed, processes: failed.processes.length }, {
+      state: 'failed/failed',
+      running: false,
+      processes: 0,
+      mainPid: null,
+      mainStarted: null,
+      nRestarts: 5
+    });
+
+    // Older systemd versions have no NRestarts
+    const missing = unitDetails(parseUnitProperties('LoadState=not-found\nActiveState=inactive\nSubState=dead\nMainPID=0\nNRestarts=\n'), list);
+    assert.equal(missing.state, 'not-found');
+    assert.equal(missing.running, false);
+    assert.equal(missing.nRestarts, null);
+  });
+});
+
+describe('restart detection', () => {
+  const sampleOnce = async (watcher, list) => (await watcher.sample(list))[0];
+
+  it('counts a new main pid or a reused pid with a new start time as a restart', async () => {
+    const watcher = createProcessWatcher(logger);
+    const workers = [proc(20, 'nginx', '2030-01-01 10:00:01', 10), proc(21, 'nginx', '2030-01-01 10:00:01', 10)];
+
+    let nginx = await sampleOnce(watcher, [proc(10, 'nginx', '2030-01-01 10:00:00'), ...workers]);
+    assert.deepEqual({ running: nginx.running, count: nginx.count, mainPid: nginx.mainPid, restarts: nginx.restarts }, { running: true, count: 3, mainPid: 10, restarts: 0 });
+
+    // New workers under the same master are not a restart
+    nginx = await sampleOnce(watcher, [proc(10, 'nginx', '2030-01-01 10:00:00'), proc(22, 'nginx', '2030-01-01 10:05:00', 10)]);
+    assert.equal(nginx.restarts, 0);
+
+    nginx = await sampleOnce(watcher, [proc(11, 'nginx', '2030-01-01 10:06:00')]);
+    assert.equal(nginx.mainPid, 11);
+    assert.equal(nginx.restarts, 1);
+
+    // Same pid, started again (pid reuse, e.g. pid 1 in a container)
+    nginx = await sampleOnce(watcher, [proc(11, 'nginx', '2030-01-01 10:07:00')]);
+    assert.equal(nginx.restarts, 1);
+
+    nginx = await sampleOnce(watcher, [proc(11, 'nginx', '2030-01-01 10:07:00')]);
+    assert.equal(nginx.restarts, 0);
+  });
+
+  it('does not count a start after the process was down', async () => {
+    const watcher = createProcessWatcher(logger);
+    await sampleOnce(watcher, [proc(10, 'nginx', '2030-01-01 10:00:00')]);
+
+    let nginx = await sampleOnce(watcher, [proc(200, 'sshd', '2030-01-01 09:00:00')]);
+    assert.deepEqual({ running: nginx.running, state: nginx.state, restarts: nginx.restarts }, { running: false, state: 'no matching process', restarts: 0 });
+
+    nginx = await sampleOnce(watcher, [proc(12, 'nginx', '2030-01-01 10:10:00')]);
+    assert.equal(nginx.running, true);
+    assert.equal(nginx.restarts, 0);
+  });
+});
@@ -0,0 +1,59 @@
+// Exporter on a free port with one static label
+const overrides = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+overrides.prometheus = { enabled: true, port: 0, path: '/metrics', labels: { env: 'test' }, defaultMetrics: false };
+process.env.NODE_CONFIG = JSON.stringify(overrides);
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { setupPrometheus } = require('../prometheus');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('prometheus exporter', () => {
+  const prometheus = setupPrometheus();
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = prometheus.startServer(logger);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('serves host and static labels on the configured path', async () => {
+    prometheus.ramUsage.set({ host: 'web1' }, 42);
+    prometheus.diskUsage.set({ host: 'web1', path: '/var' }, 71);
+
+    const response = await fetch(`${baseUrl}/metrics`);
+    assert.equal(response.status, 200);
+    const body = await response.text();
+    assert.match(body, /system_ram_usage_percent\{host="web1",env="test"\} 42/);
+    assert.match(body, /system_disk_usage_percent\{host="web1",path="\/var",env="test"\} 71/);
+  });
+
+  it('counts alerts by type and severity in one counter', async () => {
+    prometheus.alertsSent.inc({ host: 'web1', type: 'Disk', severity: 'warning' });
+    prometheus.alertsSent.inc({ host: 'web1', type: 'Disk', severity: 'warning' });
+
+    const body = await (await fetch(`${baseUrl}/metrics`)).text();
+    assert.match(body, /system_alerts_total\{host="web1",type="Disk",severity="warning",env="test"\} 2/);
+  });
+
+  it('publishes collector durations and errors', async () => {
+    prometheus.collectionDuration.observe({ collector: 'ram' }, 0.02);
+    prometheus.collectorErrors.inc({ collector: 'network' });
+
+    const body = await (await fetch(`${baseUrl}/metrics`)).text();
+    assert.match(body, /system_collection_duration_seconds_count\{env="test",collector="ram"\} 1/);
+    assert.match(body, /system_collector_errors_total\{collector="network",env="test"\} 1/);
+  });
+
+  it('answers 404 outside the metrics path', async () => {
+    const response = await fetch(`${baseUrl}/status`);
+    assert.equal(response.status, 404);
+    await response.text();
+  });
+});
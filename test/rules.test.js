@@ -0,0 +1,108 @@
+// Two rules from config: a condition over host metrics and a per-mount rule for one host
+const overrides = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+overrides.rules = [
+  { name: 'MemoryPressure', expression: 'ram > 85 && swap > 40', severity: 'critical', message: 'RAM {ram}% and swap {swap}%' },
+  { name: 'LowSpace', each: 'disks', expression: 'free_gb < 5', hosts: ['db1'], for: '5m', message: '{mount} has {free_gb} GB left' },
+  { name: 'Swap', enabled: false },
+  { name: 'CPU', warning: 50, critical: 70 }
+];
+overrides.cpu = { ...overrides.cpu, monitor: true };
+process.env.NODE_CONFIG = JSON.stringify(overrides);
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRuleSet, compileExpression } = require('../rules');
+
+const GB = 1024 * 1024 * 1024;
+
+function metrics(values) {
+  return {
+    ram: 50,
+    cpu: 10,
+    disk: 40,
+    swap: 0,
+    load: 20,
+    network: [0, 0],
+    disks: [{ mount: '/', usage: 40, inodeUsage: null, sizeBytes: 100 * GB, usedBytes: 40 * GB, availableBytes: 60 * GB }],
+    interfaces: [],
+    ...values
+  };
+}
+
+function check(checks, type) {
+  return checks.find(item => item.type === type);
+}
+
+describe('expressions', () => {
+  const run = (source, variables = {}) => compileExpression(source, Object.keys(variables)).evaluate(variables);
+
+  it('follows operator precedence', () => {
+    assert.equal(run('1 + 2 * 3'), 7);
+    assert.equal(run('(1 + 2) * 3'), 9);
+    assert.equal(run('-2 + max(1, 4) / 2'), 0);
+    assert.equal(run('a > 1 && b < 1 || !c', { a: 2, b: 0, c: true }), true);
+    assert.equal(run('name == "/var" && 1 != 2', { name: '/var' }), true);
+  });
+
+  it('rejects unknown names and malformed input', () => {
+    assert.throws(() => compileExpression('rss > 5', ['ram']), /unknown name "rss"/);
+    assert.throws(() => compileExpression('ram >', ['ram']), /unexpected end/);
+    assert.throws(() => compileExpression('(ram > 5', ['ram']), /expected "\)"/);
+    assert.throws(() => compileExpression('ram = 5', ['ram']), /unexpected/);
+    assert.throws(() => compileExpression('exit(1)', ['ram']), /unknown function/);
+  });
+});
+
+describe('rule set', () => {
+  const ruleSet = createRuleSet();
+
+  it('turns the built-in checks into default rules', () => {
+    assert.deepEqual(ruleSet.rules.slice(0, 3), ['RAM', 'CPU', 'Disk']);
+
+    const checks = ruleSet.checks(metrics({ ram: 91 }), 'web1');
+    const ram = check(checks, 'RAM');
+    assert.equal(ram.value(), 91);
+    assert.equal(ram.rule().warning, 80);
+    assert.equal(ram.logMessage(), 'High RAM usage: 91%');
+    assert.equal(ram.alertValue(), '91%');
+    assert.equal(check(checks, 'Disk:/').value(), 40);
+    // Inode usage unknown for this mount
+    assert.equal(check(checks, 'Inodes:/'), undefined);
+  });
+
+  it('applies config overrides to default rules', () => {
+    const checks = ruleSet.checks(metrics({}), 'web1');
+    assert.equal(check(checks, 'Swap'), undefined);
+    assert.equal(check(checks, 'CPU').rule().warning, 50);
+    assert.equal(check(checks, 'CPU').rule().critical, 70);
+  });
+
+  it('rejects rule names that do not fit the alert type column', () => {
+    const rule = { name: `R${'x'.repeat(100)}`, expression: 'ram > 90', message: 'RAM {ram}%' };
+    assert.throws(() => createRuleSet([rule]), /at most 100 characters/);
+  });
+
+  it('fires condition rules at their severity', () => {
+    const quiet = check(ruleSet.checks(metrics({ ram: 90, swap: 10 }), 'web1'), 'MemoryPressure');
+    assert.equal(quiet.value(), 0);
+
+    const pressure = check(ruleSet.checks(metrics({ ram: 90, swap: 50 }), 'web1'), 'MemoryPressure');
+    assert.equal(pressure.value(), 2);
+    assert.equal(pressure.rule().critical, 2);
+    assert.equal(pressure.alertValue(), 'RAM 90% and swap 50%');
+  });
+
+  it('limits rules to their hosts and evaluates them per mount', () => {
+    const full = { mount: '/var', usage: 97, inodeUsage: 10, sizeBytes: 100 * GB, usedBytes: 97 * GB, availableBytes: 3 * GB };
+    const sample = metrics({ disks: [...metrics({}).disks, full] });
+
+    assert.equal(check(ruleSet.checks(sample, 'web1'), 'LowSpace:/var'), undefined);
+
+    const checks = ruleSet.checks(sample, 'db1');
+    assert.equal(check(checks, 'LowSpace:/').value(), 0);
+    const low = check(checks, 'LowSpace:/var');
+    assert.equal(low.value(), 1);
+    assert.equal(low.rule().forSeconds, 300);
+    assert.equal(low.logMessage(), '/var has 3 GB left');
+  });
+});
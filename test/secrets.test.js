@@ -0,0 +1,74 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SECRETS, loadSecretFiles, secretsInConfigFiles, secretValues, createRedactor } = require('../secrets');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-'));
+
+describe('secrets', () => {
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('maps every secret to its environment variable', () => {
+    const mapping = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'custom-environment-variables.json'), 'utf8'));
+    SECRETS.forEach(({ key, env }) => {
+      assert.equal(key.split('.').reduce((value, part) => value[part], mapping), env);
+    });
+  });
+
+  it('reads NAME_FILE and picks up a rotated file', () => {
+    const file = path.join(dir, 'token');
+    fs.writeFileSync(file, '123456:first-token\n');
+    const env = { TELEGRAM_BOT_TOKEN_FILE: file };
+
+    loadSecretFiles(env);
+    assert.equal(env.TELEGRAM_BOT_TOKEN, '123456:first-token');
+
+    fs.writeFileSync(file, '123456:second-token\n');
+    loadSecretFiles(env);
+    assert.equal(env.TELEGRAM_BOT_TOKEN, '123456:second-token');
+  });
+
+  it('lets NAME_FILE fill a variable that is set but empty', () => {
+    const file = path.join(dir, 'slack');
+    fs.writeFileSync(file, 'https://hooks.slack.com/services/T0/B0/secret\n');
+    const env = { SLACK_WEBHOOK_URL: '', SLACK_WEBHOOK_URL_FILE: file };
+
+    loadSecretFiles(env);
+    assert.equal(env.SLACK_WEBHOOK_URL, 'https://hooks.slack.com/services/T0/B0/secret');
+  });
+
+  it('refuses a variable set both directly and from a file', () => {
+    const env = { FLEET_TOKEN: 'direct', FLEET_TOKEN_FILE: path.join(dir, 'missing') };
+    assert.throws(() => loadSecretFiles(env), /Set either FLEET_TOKEN or FLEET_TOKEN_FILE, not both/);
+    assert.throws(() => loadSecretFiles({ SMTP_PASSWORD_FILE: path.join(dir, 'missing') }), /Could not read SMTP_PASSWORD_FILE/);
+  });
+
+  it('warns about secrets in config files only', () => {
+    const warnings = secretsInConfigFiles([
+      { name: '/opt/monitor/config/default.json', parsed: { telegram: { botToken: 'abc' }, database: { mysql: { password: '' } } } },
+      { name: '/opt/monitor/config/custom-environment-variables.json', parsed: { telegram: { botToken: 'TELEGRAM_BOT_TOKEN' } } },
+      { name: '$NODE_CONFIG', parsed: { fleet: { token: 'from-env' } } }
+    ]);
+    assert.deepEqual(warnings, [
+      'telegram.botToken is set in default.json; move it to TELEGRAM_BOT_TOKEN (environment, .env or TELEGRAM_BOT_TOKEN_FILE)'
+    ]);
+  });
+
+  it('masks secrets, bot tokens and URL passwords in log lines', () => {
+    const settings = {
+      telegram: { botToken: '7120243579:AAEoaMz5DK8pv1uvwmbD-example-token' },
+      database: { mysql: { password: 's3cret!pass' } },
+      notifications: { webhook: { headers: { Authorization: 'Bearer abc.def' } } }
+    };
+    const { redact } = createRedactor(() => secretValues(settings));
+
+    assert.equal(redact(`BOT_TOKEN: ${settings.telegram.botToken}`), 'BOT_TOKEN: [REDACTED]');
+    assert.equal(redact('login failed with s3cret!pass (Bearer abc.def)'), 'login failed with [REDACTED] ([REDACTED])');
+    assert.equal(redact('POST https://api.telegram.org/bot987654:ZZZZZZZZZZZZZZZZZZZZZZZZZZZZZZZZZZ/sendMessage'),
+      'POST https://api.telegram.org/bot[REDACTED]/sendMessage');
+    assert.equal(redact('connect postgres://monitor:hunter22@db:5432/system'), 'connect postgres://monitor:[REDACTED]@db:5432/system');
+    assert.equal(redact('RAM usage 91%'), 'RAM usage 91%');
+  });
+});
@@ -0,0 +1,88 @@
+// Silences in a temporary file and two maintenance windows
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'silences-'));
+const overrides = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+overrides.silences = {
+  path: path.join(dir, 'silences.json'),
+  maintenance: [
+    { name: 'patching', days: ['sun'], start: '02:00', end: '04:00', reason: 'weekly updates' },
+    { name: 'backup', start: '23:30', end: '00:30', type: 'Disk', hostname: 'db1' }
+  ]
+};
+process.env.NODE_CONFIG = JSON.stringify(overrides);
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSilences } = require('../silences');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Local time, like the maintenance windows
+function at(day, hours, minutes) {
+  // 2030-01-06 is a Sunday
+  return new Date(2030, 0, 6 + day, hours, minutes);
+}
+
+describe('silences', () => {
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('mutes matching alerts until the silence ends', () => {
+    const silences = createSilences(logger);
+    const silence = silences.create({ type: 'Disk', hostname: 'web1', duration: '2h', reason: 'resize /var' });
+    assert.equal(silence.state, 'active');
+
+    const now = new Date();
+    assert.equal(silences.match('Disk:/var', 'web1', now), `silence ${silence.id} (resize /var)`);
+    assert.equal(silences.match('Disk:/var', 'web2', now), null);
+    assert.equal(silences.match('CPU', 'web1', now), null);
+    assert.equal(silences.match('Disk:/var', 'web1', new Date(now.getTime() + 3 * 3600 * 1000)), null);
+  });
+
+  it('keeps suppressed_by within its 255 character column', () => {
+    const silences = createSilences(logger);
+    const silence = silences.create({ type: 'Load', duration: '1h', reason: 'r'.repeat(255) });
+
+    const suppressedBy = silences.match('Load', 'web1', new Date());
+    assert.equal(suppressedBy.length, 255);
+    assert.ok(suppressedBy.startsWith(`silence ${silence.id} (rrr`));
+    assert.ok(suppressedBy.endsWith('r...'));
+    silences.expire(silence.id);
+  });
+
+  it('keeps silences across restarts and expires them on request', () => {
+    const created = createSilences(logger).create({ duration: '1h', reason: 'reboot' });
+
+    const silences = createSilences(logger);
+    assert.ok(silences.list().some(silence => silence.id === created.id));
+    assert.equal(silences.expire(created.id).state, 'expired');
+    assert.ok(!silences.list().some(silence => silence.id === created.id));
+    assert.ok(silences.list(true).some(silence => silence.id === created.id));
+    assert.equal(silences.expire(9999), null);
+  });
+
+  it('rejects silences without a reason or an end in the future', () => {
+    const silences = createSilences(logger);
+    assert.throws(() => silences.create({ duration: '1h' }), /reason/);
+    assert.throws(() => silences.create({ reason: 'x' }), /endsAt/);
+    assert.throws(() => silences.create({ reason: 'x', endsAt: '2001-01-01T00:00:00Z' }), /future/);
+    assert.throws(() => silences.create({ reason: 'x', duration: 'soon' }), /future/);
+  });
+
+  it('mutes alerts during recurring maintenance windows', () => {
+    const silences = createSilences(logger);
+    assert.equal(silences.match('RAM', 'web1', at(0, 2, 30)), 'maintenance window patching (weekly updates)');
+    assert.equal(silences.match('RAM', 'web1', at(0, 4, 0)), null);
+    assert.equal(silences.match('RAM', 'web1', at(1, 2, 30)), null);
+  });
+
+  it('runs a window past midnight into the next day', () => {
+    const silences = createSilences(logger);
+    assert.equal(silences.match('Disk:/', 'db1', at(2, 23, 45)), 'maintenance window backup');
+    assert.equal(silences.match('Disk:/', 'db1', at(3, 0, 15)), 'maintenance window backup');
+    assert.equal(silences.match('Disk:/', 'db1', at(3, 0, 45)), null);
+    assert.equal(silences.match('CPU', 'db1', at(3, 0, 15)), null);
+  });
+});
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Small batches, a scratch journal and no timer flushes during the test
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-monitor-buffer-'));
+const journalPath = path.join(scratchDir, 'journal.jsonl');
+const overrides = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+overrides.database = {
+  ...overrides.database,
+  buffer: { enabled: true, batchSize: 3, flushInterval: '1h', maxQueueSize: 5, journalPath, maxJournalSizeMb: 1 }
+};
+process.env.NODE_CONFIG = JSON.stringify(overrides);
+
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupMemory } = require('../memoryDatabase');
+const { createWriteBuffer } = require('../writeBuffer');
+const { toDbTimestamp } = require('../timeUtils');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+const at = minute => toDbTimestamp(new Date(Date.UTC(2030, 0, 1) + minute * 60000));
+
+after(() => {
+  fs.rmSync(scratchDir, { recursive: true, force: true });
+});
+
+describe('write buffer', () => {
+  let db;
+  let down;
+  let hold;
+  let buffer;
+
+  // Memory adapter whose batch inserts fail while the database is "down", and which refuses
+  // (all or nothing, like a transaction) any batch holding an alert with a value over 100 characters
+  beforeEach(() => {
+    const memory = setupMemory();
+    down = false;
+    hold = null;
+    db = {
+      ...memory,
+      storeBatch: async (writes) => {
+        await hold;
+        if (down) {
+          throw new Error('connection refused');
+        }
+        if (writes.some(write => write.kind === 'alert' && write.values[3].length > 100)) {
+          throw Object.assign(new Error('value too long for type character varying(100)'), { code: '22001' });
+        }
+        return memory.storeBatch(writes);
+      }
+    };
+    buffer = createWriteBuffer(db, logger);
+  });
+
+  afterEach(async () => {
+    await buffer.close();
+    fs.rmSync(journalPath, { force: true });
+    fs.rmSync(`${journalPath}.rejected`, { force: true });
+  });
+
+  const storeBadAlert = () => buffer.storeAlert(at(0), 'web1', 'Rule', 'x'.repeat(150), 'm', true, 'telegram', 'firing', 'warning');
+  const rejectedLines = () => fs.readFileSync(`${journalPath}.rejected`, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const store = minute => buffer.storeMetrics(at(minute), 'web1', '10.0.0.1', minute, 0, 0, 0, 0, 0, 0, null);
+  const storedMinutes = async () => (await db.getRecentMetrics(100)).map(row => row.ram_usage).reverse();
+
+  it('writes in batches once batchSize writes are queued', async () => {
+    await store(0);
+    await store(1);
+    assert.deepEqual(await storedMinutes(), []);
+    assert.equal(buffer.stats().queued, 2);
+
+    await store(2);
+    await buffer.flush();
+    assert.deepEqual(await storedMinutes(), [0, 1, 2]);
+    assert.equal(buffer.stats().queued, 0);
+  });
+
+  it('journals writes during an outage and replays them in order', async () => {
+    down = true;
+    await store(0);
+    await buffer.storeAlert(at(0), 'web1', 'RAM', '95%', 'm', true, 'telegram', 'firing', 'critical');
+    await buffer.flush();
+
+    assert.ok(buffer.stats().outageSince);
+    assert.equal(buffer.stats().queued, 0);
+    assert.equal(fs.readFileSync(journalPath, 'utf8').trim().split('\n').length, 2);
+
+    await store(1);
+    await buffer.flush();
+    await store(2);
+    assert.deepEqual(await storedMinutes(), []);
+
+    down = false;
+    await buffer.flush();
+    assert.deepEqual(await storedMinutes(), [0, 1, 2]);
+    assert.equal((await db.getRecentAlerts(10))[0].severity, 'critical');
+    assert.equal(fs.existsSync(journalPath), false);
+    assert.deepEqual(buffer.stats(), { queued: 0, journalBytes: 0, dropped: 0, rejected: 0, outageSince: null });
+  });
+
+  it('spills a full queue to the journal', async () => {
+    down = true;
+    await store(0);
+    await buffer.flush();
+    // No batch writes during the outage; the sixth queued write pushes the first five to the journal
+    for (let minute = 1; minute < 8; minute++) {
+      await store(minute);
+    }
+    assert.equal(buffer.stats().queued, 2);
+    assert.equal(fs.readFileSync(journalPath, 'utf8').trim().split('\n').length, 6);
+
+    down = false;
+    await buffer.flush();
+    assert.deepEqual(await storedMinutes(), [0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  it('keeps queued writes for the next start and skips corrupt journal lines', async () => {
+    await store(0);
+    await buffer.close();
+    fs.appendFileSync(journalPath, '{"kind":"metrics"\n{"kind":"logs","values":[]}\n');
+
+    buffer = createWriteBuffer(db, logger);
+    await store(1);
+    await buffer.flush();
+    assert.deepEqual(await storedMinutes(), [0, 1]);
+  });
+
+  it('waits for a running flush on close instead of journaling its batch', async () => {
+    let release;
+    hold = new Promise(resolve => {
+      release = resolve;
+    });
+    for (let minute = 0; minute < 4; minute++) {
+      await store(minute);
+    }
+
+    // Minutes 0-2 are being inserted; the running flush also takes minute 3, so nothing is left to journal
+    const closed = buffer.close();
+    release();
+    await closed;
+    assert.deepEqual(await storedMinutes(), [0, 1, 2, 3]);
+    assert.equal(fs.existsSync(journalPath), false);
+  });
+
+  it('sets aside a write the database refuses and stores the rest', async () => {
+    // The bad alert shares a batch with two samples; the next batch must not be held up either
+    await storeBadAlert();
+    await store(0);
+    await store(1);
+    await buffer.flush();
+    for (let minute = 2; minute < 5; minute++) {
+      await store(minute);
+    }
+    await buffer.flush();
+
+    assert.deepEqual(await storedMinutes(), [0, 1, 2, 3, 4]);
+    assert.deepEqual(await db.getRecentAlerts(10), []);
+    assert.equal(buffer.stats().outageSince, null);
+    assert.equal(buffer.stats().rejected, 1);
+    assert.equal(fs.existsSync(journalPath), false);
+
+    const [line] = rejectedLines();
+    assert.equal(line.kind, 'alert');
+    assert.match(line.error, /value too long/);
+  });
+
+  it('sets aside a refused write when replaying the journal', async () => {
+    down = true;
+    await store(0);
+    await storeBadAlert();
+    await store(1);
+    await buffer.flush();
+    assert.equal(fs.readFileSync(journalPath, 'utf8').trim().split('\n').length, 3);
+
+    down = false;
+    await buffer.flush();
+    assert.deepEqual(await storedMinutes(), [0, 1]);
+    assert.equal(fs.existsSync(journalPath), false);
+    assert.equal(buffer.stats().outageSince, null);
+    assert.equal(rejectedLines().length, 1);
+  });
+});
@@ -0,0 +1,61 @@
+// Parse duration strings like "90s", "30m", "1h", "2d" into seconds
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*(s|m|h|d)?$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const multipliers = { s: 1, m: 60, h: 3600, d: 86400 };
+  const unit = (match[2] || 's').toLowerCase();
+  return Math.round(parseFloat(match[1]) * multipliers[unit]);
+}
+
+// Format seconds as a short human readable duration, e.g. "1d 2h 5m"
+function formatDuration(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (days > 0) {
+    return `${days}d ${hours}h ${minutes}m`;
+  } else if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  } else if (minutes > 0) {
+    return `${minutes}m`;
+  }
+  return `${Math.max(0, Math.round(seconds))}s`;
+}
+
+// Convert a database timestamp (Date or "YYYY-MM-DD HH:MM:SS" in UTC) to a Date
+function parseTimestamp(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  return new Date(String(value).replace(' ', 'T') + 'Z');
+}
+
+// Format a Date the way timestamps are stored in the database ("YYYY-MM-DD HH:MM:SS", UTC)
+function toDbTimestamp(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// Parse an API time parameter: ISO 8601 date or unix epoch seconds
+function parseTimeParam(value) {
+  if (/^\d+$/.test(String(value))) {
+    return new Date(Number(value) * 1000);
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+  parseDuration,
+  formatDuration,
+  parseTimestamp,
+  toDbTimestamp,
+  parseTimeParam
+};
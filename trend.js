@@ -0,0 +1,28 @@
+// Least squares line through [{ time, value }] (time in seconds): slope per second and how well
+// the line fits (R², 0..1)
+function linearTrend(points) {
+  const n = points.length;
+  const meanTime = points.reduce((sum, point) => sum + point.time, 0) / n;
+  const meanValue = points.reduce((sum, point) => sum + point.value, 0) / n;
+
+  let covariance = 0;
+  let timeVariance = 0;
+  let valueVariance = 0;
+  points.forEach(point => {
+    covariance += (point.time - meanTime) * (point.value - meanValue);
+    timeVariance += (point.time - meanTime) ** 2;
+    valueVariance += (point.value - meanValue) ** 2;
+  });
+
+  if (timeVariance === 0 || valueVariance === 0) {
+    return { slope: 0, fit: 0 };
+  }
+  return {
+    slope: covariance / timeVariance,
+    fit: (covariance * covariance) / (timeVariance * valueVariance)
+  };
+}
+
+module.exports = {
+  linearTrend
+};
@@ -0,0 +1,36 @@
+const config = require('config');
+const { postJson } = require('./httpClient');
+
+// Create generic JSON webhook notification channel
+function createWebhookChannel() {
+  const url = config.get('notifications.webhook.url');
+  const headers = config.get('notifications.webhook.headers');
+  const timeout = config.get('notifications.webhook.timeout');
+
+  return {
+    name: 'webhook',
+
+    send: async (message, alert) => {
+      // Test messages pass no alert (null, which a default parameter would not replace)
+      const details = alert || {};
+      await postJson(url, {
+        type: details.type || 'Test',
+        value: details.value || null,
+        state: details.state || null,
+        severity: details.severity || null,
+        hostname: details.hostname || null,
+        ip: details.ip || null,
+        timestamp: new Date().toISOString(),
+        message
+      }, { headers, timeout });
+    },
+
+    describe: () => [
+      `WEBHOOK_URL: ${new URL(url).host}`
+    ]
+  };
+}
+
+module.exports = {
+  createWebhookChannel
+};
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const { parseDuration, formatDuration } = require('./timeUtils');
+const { checkWrites, isDataError } = require('./storageAdapter');
+
+// Queue metric and alert writes, insert them in batches with db.storeBatch and keep them in a
+// journal file while the database is unreachable. The journal is replayed in order before anything
+// newer is written, so an outage does not leave gaps in the history. A write the database rejects
+// (value too long, constraint violated) is set aside in <journalPath>.rejected instead of blocking the rest.
+// Has the same store methods as a storage adapter; reads still go to db directly.
+function createWriteBuffer(db, logger) {
+  const batchSize = config.get('database.buffer.batchSize');
+  const maxQueueSize = config.get('database.buffer.maxQueueSize');
+  const journalPath = path.resolve(config.get('database.buffer.journalPath'));
+  const rejectedPath = `${journalPath}.rejected`;
+  const maxJournalBytes = config.get('database.buffer.maxJournalSizeMb') * 1024 * 1024;
+  const flushSeconds = parseDuration(config.get('database.buffer.flushInterval'));
+  if (!flushSeconds) {
+    throw new Error(`Invalid database.buffer.flushInterval: ${config.get('database.buffer.flushInterval')}`);
+  }
+
+  let queue = [];
+  let flushing = null;
+  let outageSince = null;
+  let dropped = 0;
+  let rejected = 0;
+  let journalBytes = fs.existsSync(journalPath) ? fs.statSync(journalPath).size : 0;
+
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+
+  function enqueue(kind, values) {
+    if (queue.length >= maxQueueSize) {
+      if (flushing) {
+        // The journal may be rewritten by the running flush, so it cannot be appended to now
+        dropped++;
+        logger.warn(`Write queue is full (${maxQueueSize}), dropping ${kind} write`);
+        return;
+      }
+      spill();
+    }
+
+    queue.push({ kind, values });
+    if (queue.length >= batchSize && !outageSince) {
+      flush();
+    }
+  }
+
+  // Move the queue to the end of the journal; writes that do not fit under maxJournalSizeMb are dropped
+  function spill() {
+    if (queue.length === 0) {
+      return;
+    }
+
+    let data = '';
+    let kept = 0;
+    for (const write of queue) {
+      const line = `${JSON.stringify(write)}\n`;
+      if (journalBytes + Buffer.byteLength(data) + Buffer.byteLength(line) > maxJournalBytes) {
+        break;
+      }
+      data += line;
+      kept++;
+    }
+
+    if (kept < queue.length) {
+      dropped += queue.length - kept;
+      logger.error(`Write journal ${journalPath} is full, dropped ${queue.length - kept} write(s)`);
+    }
+    if (data) {
+      fs.appendFileSync(journalPath, data);
+      journalBytes += Buffer.byteLength(data);
+    }
+    queue = [];
+  }
+
+  // Keep a write the database refused, with the reason, for a look later; bounded like the journal
+  function reject(write, error) {
+    rejected++;
+    logger.error(`Database rejected a ${write.kind} write, moved it to ${rejectedPath}: ${error.message}`);
+
+    const line = `${JSON.stringify({ time: new Date().toISOString(), error: error.message, ...write })}\n`;
+    const size = fs.existsSync(rejectedPath) ? fs.statSync(rejectedPath).size : 0;
+    if (size + Buffer.byteLength(line) <= maxJournalBytes) {
+      fs.appendFileSync(rejectedPath, line);
+    }
+  }
+
+  // Store writes in one batch. When the database refuses a row, the batch is retried one write at a
+  // time so only the bad write is set aside. consumed(count) is called as writes are stored or
+  // rejected; a connection error is thrown on, leaving the unconsumed writes for the next attempt.
+  async function storeWrites(writes, consumed) {
+    try {
+      const stored = await db.storeBatch(writes);
+      consumed(writes.length);
+      return stored;
+    } catch (error) {
+      if (!isDataError(error)) {
+        throw error;
+      }
+      if (writes.length === 1) {
+        reject(writes[0], error);
+        consumed(1);
+        return 0;
+      }
+    }
+
+    let stored = 0;
+    for (const write of writes) {
+      try {
+        stored += await db.storeBatch([write]);
+      } catch (error) {
+        if (!isDataError(error)) {
+          throw error;
+        }
+        reject(write, error);
+      }
+      consumed(1);
+    }
+    return stored;
+  }
+
+  // Insert journaled writes oldest first; on failure keep the lines that were not stored yet
+  async function replayJournal() {
+    if (!fs.existsSync(journalPath)) {
+      return 0;
+    }
+
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n').filter(Boolean);
+    let stored = 0;
+    let offset = 0;
+    try {
+      while (offset < lines.length) {
+        const chunk = lines.slice(offset, offset + batchSize);
+        const entries = [];
+        chunk.forEach((line, index) => {
+          // A bad line would otherwise block the journal forever
+          try {
+            const write = JSON.parse(line);
+            checkWrites([write]);
+            entries.push({ write, index });
+          } catch (error) {
+            logger.warn(`Skipping corrupt line in write journal: ${line.substring(0, 80)}`);
+          }
+        });
+
+        let done = 0;
+        try {
+          if (entries.length > 0) {
+            stored += await storeWrites(entries.map(entry => entry.write), count => {
+              done += count;
+            });
+          }
+        } finally {
+          // Lines before the first write that is still pending are finished, corrupt ones included
+          offset += done < entries.length ? entries[done].index : chunk.length;
+        }
+      }
+    } finally {
+      if (offset >= lines.length) {
+        fs.rmSync(journalPath, { force: true });
+        journalBytes = 0;
+      } else if (offset > 0) {
+        const rest = lines.slice(offset).map(line => `${line}\n`).join('');
+        fs.writeFileSync(`${journalPath}.tmp`, rest);
+        fs.renameSync(`${journalPath}.tmp`, journalPath);
+        journalBytes = Buffer.byteLength(rest);
+      }
+    }
+
+    return stored;
+  }
+
+  // Resolves once the queue has been written (or journaled); joins a flush that is already running
+  function flush() {
+    if (!flushing) {
+      flushing = writeAll().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  async function writeAll() {
+    try {
+      let stored = await replayJournal();
+      while (queue.length > 0) {
+        stored += await storeWrites(queue.slice(0, batchSize), count => queue.splice(0, count));
+      }
+
+      if (outageSince) {
+        logger.info(`Database writes recovered after ${formatDuration(Math.round((Date.now() - outageSince) / 1000))}, stored ${stored} buffered write(s)`);
+        outageSince = null;
+      }
+    } catch (error) {
+      if (!outageSince) {
+        outageSince = Date.now();
+        logger.error(`Database write failed, buffering writes in ${journalPath}: ${error.message}`);
+      } else {
+        logger.debug(`Database is still unavailable: ${error.message}`);
+      }
+      spill();
+    }
+  }
+
+  const timer = setInterval(flush, flushSeconds * 1000);
+
+  // Writes left over from the last run
+  if (journalBytes > 0) {
+    logger.info(`Replaying ${journalPath} from a previous run`);
+    flush();
+  }
+
+  logger.info(`Database write buffer enabled (batch size: ${batchSize}, flush interval: ${flushSeconds}s)`);
+
+  return {
+    storeMetrics: async (...values) => enqueue('metrics', values),
+    storeDiskMetrics: async (...values) => enqueue('disk', values),
+    storeProcessMetrics: async (...values) => enqueue('process', values),
+    storeAlert: async (...values) => enqueue('alert', values),
+    flush,
+
+    // Keep pending writes for the next start; called on shutdown
+    // A running flush is waited for first: its batch may still commit, and a journal replay
+    // rewrites the journal when it finishes
+    close: async () => {
+      clearInterval(timer);
+      while (flushing) {
+        await flushing;
+      }
+      spill();
+    },
+
+    stats: () => ({
+      queued: queue.length,
+      journalBytes,
+      dropped,
+      rejected,
+      outageSince: outageSince ? new Date(outageSince).toISOString() : null
+    })
+  };
+}
+
+module.exports = {
+  createWriteBuffer
+};